@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+/**
+ * Reece AI Chatbot - Admin CLI
+ *
+ * Operates the token service directly against its store, with the same
+ * environment variables, encryption keys and refresh logic as server.js.
+ * Run it wherever the service's environment is available (e.g. `railway run`).
+ *
+ * Commands:
+ * - locations                         - List installed locations
+ * - token <locationId>                - Print a valid access token (refreshes if needed)
+ * - refresh <locationId>              - Force a token refresh
+ * - revoke <locationId> [--keep-ghl]  - Uninstall a location (revoke, delete, tombstone)
+ * - keys list                         - List API keys
+ * - keys issue --name <name> --permissions <p,..> [--locations <id,..>]
+ * - keys revoke <keyId>               - Revoke an API key
+ * - export [--out <file>]             - Write a passphrase-encrypted backup bundle
+ * - import <file> [--strategy <s>] [--dry-run] - Import a backup bundle
+ * - config                            - Validate the configuration
+ * - doctor [--offline]                - Check config, store connectivity and GHL credentials
+ *
+ * Backups take their passphrase from BACKUP_PASSPHRASE so it stays out of
+ * the shell history. Location commands act on the default GHL app unless
+ * --app <id> names another registered app. Add --json for machine-readable output. Exits non-zero
+ * on failure.
+ */
+
+// Keep stdout clean for piping tokens and JSON, logs still go to stderr
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const os = require('os');
+const axios = require('axios');
+const { loadConfig } = require('../lib/config');
+const { createServices } = require('../lib/services');
+const { summarizeImport } = require('../lib/backup');
+const { parseKeyring } = require('../lib/encryption');
+const { NEEDS_REAUTH } = require('../lib/refresh-scheduler');
+const { PERMISSIONS } = require('../lib/api-keys');
+const { grantedScopesForRecord } = require('../lib/scopes');
+const { createPageRenderer } = require('../lib/views/pages');
+const { LOCALES } = require('../lib/views/i18n');
+const { createNotifier } = require('../lib/notifier');
+
+const USAGE = `Usage: ghl-oauth <command> [options]
+
+Commands:
+  locations                          List installed locations
+  token <locationId>                 Print a valid access token (refreshes if needed)
+  refresh <locationId>               Force a token refresh
+  revoke <locationId> [--keep-ghl]   Uninstall a location; --keep-ghl skips the GHL revocation
+  keys list                          List API keys
+  keys issue --name <name> --permissions <p,...> [--locations <id,...>]
+  keys revoke <keyId>                Revoke an API key
+  export [--out <file>]              Write a backup bundle (passphrase from BACKUP_PASSPHRASE)
+  import <file> [--strategy skip|overwrite|newest-wins] [--dry-run]
+                                     Import a backup bundle
+  config                             Validate the configuration
+  doctor [--offline]                 Check config, store connectivity and GHL credentials
+
+Options:
+  --app <id>                         GHL app for locations, token, refresh and revoke (default: default)
+  --json                             Print JSON instead of text
+  --help                             Show this help`;
+
+const CHECK_ICONS = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'usage';
+  return err;
+}
+
+/**
+ * Splits argv into positional arguments and --flag / --flag value options.
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) {
+      flags[name] = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+  return { args, flags };
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map((v) => v.trim()).filter(Boolean) : [];
+}
+
+// Audit entries written by the CLI name the OS user that ran it
+function cliActor() {
+  let user = 'unknown';
+  try {
+    user = os.userInfo().username;
+  } catch (err) {
+    // No passwd entry in some containers
+  }
+  return { actor: { type: 'cli', id: user }, ip: null };
+}
+
+function requireLocationId(args) {
+  if (!args[0]) {
+    throw usageError('A locationId is required');
+  }
+  return args[0];
+}
+
+/**
+ * Points the location commands at another registered app by swapping in its
+ * token collections and token service.
+ */
+function selectApp(services, appId) {
+  if (appId === undefined) return services;
+  if (typeof appId !== 'string' || !Object.hasOwn(services.apps, appId)) {
+    throw usageError(`Unknown app "${appId}", registered apps: ${Object.keys(services.apps).join(', ')}`);
+  }
+  const { tokenStore, companyStore, uninstalledLocations, credentialSync, tokens } = services.apps[appId];
+  return { ...services, tokenStore, companyStore, uninstalledLocations, credentialSync, tokens };
+}
+
+function printTable(rows, columns) {
+  const widths = columns.map((column) => Math.max(column.length, ...rows.map((row) => String(row[column] ?? '—').length)));
+  const line = (values) => values.map((value, i) => String(value ?? '—').padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(columns));
+  rows.forEach((row) => console.log(line(columns.map((column) => row[column]))));
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+async function listLocations({ services, flags }) {
+  const locations = (await services.tokenStore.list()).map(([locationId, data]) => ({
+    locationId,
+    companyId: data.companyId || null,
+    userType: data.userType || null,
+    source: data.source || 'install',
+    status: data.status || 'active',
+    scopeProfile: data.scopeProfile || null,
+    scopes: grantedScopesForRecord(data).length,
+    expiresAt: data.expiresAt,
+    lastRefreshed: data.lastRefreshed || null
+  }));
+
+  if (flags.json) {
+    console.log(JSON.stringify({ count: locations.length, locations }, null, 2));
+  } else if (!locations.length) {
+    console.log('No locations installed. Visit /authorize to connect one.');
+  } else {
+    printTable(locations, ['locationId', 'companyId', 'userType', 'status', 'scopeProfile', 'expiresAt', 'lastRefreshed']);
+  }
+}
+
+/**
+ * Prints the access token alone on stdout so it can be captured with $(...).
+ * Like GET /api/token, a token expiring within five minutes is refreshed first.
+ */
+async function printToken({ services, args, flags }) {
+  const locationId = requireLocationId(args);
+  const context = cliActor();
+  const { tokens, tokenStore, uninstalledLocations, audit } = services;
+
+  let tokenData = await tokens.loadLocationToken(locationId, flags.company, context);
+  if (!tokenData) {
+    const tombstone = await uninstalledLocations.get(locationId);
+    throw new Error(tombstone
+      ? `Location ${locationId} was uninstalled at ${tombstone.uninstalledAt}`
+      : `No tokens found for location ${locationId}`);
+  }
+  if (tokenData.status === NEEDS_REAUTH) {
+    throw new Error(`Location ${locationId} needs reauthorization: ${tokenData.lastRefreshError || 'refresh token rejected'}`);
+  }
+
+  let refreshed = false;
+  if (new Date(tokenData.expiresAt) - Date.now() < 5 * 60 * 1000) {
+    await tokens.refreshToken(tokenData.refreshToken, locationId, context);
+    tokenData = await tokenStore.get(locationId);
+    refreshed = true;
+  }
+
+  await audit.record('token.read', { ...context, locationId, companyId: tokenData.companyId, details: { refreshed } });
+  if (flags.json) {
+    console.log(JSON.stringify({ accessToken: tokenData.accessToken, expiresAt: tokenData.expiresAt, locationId, refreshed }, null, 2));
+  } else {
+    console.log(tokenData.accessToken);
+  }
+}
+
+async function forceRefresh({ services, args, flags }) {
+  const locationId = requireLocationId(args);
+  const context = cliActor();
+  const { tokens, uninstalledLocations } = services;
+
+  const tokenData = await tokens.loadLocationToken(locationId, flags.company, context);
+  if (!tokenData) {
+    const tombstone = await uninstalledLocations.get(locationId);
+    throw new Error(tombstone
+      ? `Location ${locationId} was uninstalled at ${tombstone.uninstalledAt}`
+      : `No tokens found for location ${locationId}`);
+  }
+
+  const { expiresAt } = await tokens.refreshToken(tokenData.refreshToken, locationId, context);
+  if (flags.json) {
+    console.log(JSON.stringify({ success: true, locationId, expiresAt }, null, 2));
+  } else {
+    console.log(`Refreshed ${locationId}, new token expires at ${expiresAt}`);
+  }
+}
+
+async function revokeLocation({ services, args, flags }) {
+  const locationId = requireLocationId(args);
+  const { removed, tombstone, revocation } = await services.tokens.disconnectLocation(locationId, {
+    ...cliActor(),
+    source: 'cli',
+    ...(flags['keep-ghl'] && { revoke: false })
+  });
+
+  if (flags.json) {
+    console.log(JSON.stringify({ success: true, locationId, removed, uninstalledAt: tombstone.uninstalledAt, ghlRevocation: revocation }, null, 2));
+  } else if (!removed) {
+    console.log(`Location ${locationId} was already uninstalled at ${tombstone.uninstalledAt}`);
+  } else {
+    console.log(`Uninstalled ${locationId} (GHL revocation: ${revocation.status}${revocation.error ? `, ${revocation.error}` : ''})`);
+  }
+}
+
+async function manageKeys({ services, args, flags }) {
+  const [action, keyId] = args;
+  const { keyRegistry, audit } = services;
+  const context = cliActor();
+
+  if (action === 'list') {
+    const keys = await keyRegistry.list();
+    if (flags.json) {
+      console.log(JSON.stringify({ count: keys.length, keys }, null, 2));
+    } else {
+      printTable(keys.map((key) => ({
+        ...key,
+        permissions: key.permissions.join(','),
+        locations: key.locations.join(','),
+        revokedAt: key.revokedAt || ''
+      })), ['id', 'name', 'permissions', 'locations', 'createdAt', 'lastUsedAt', 'revokedAt']);
+    }
+    return;
+  }
+
+  if (action === 'issue') {
+    const { key, record } = await keyRegistry.issue({
+      name: typeof flags.name === 'string' ? flags.name : null,
+      permissions: splitList(flags.permissions),
+      locations: flags.locations ? splitList(flags.locations) : ['*'],
+      createdBy: `cli:${context.actor.id}`
+    });
+    await audit.record('key.issued', {
+      ...context,
+      details: { keyId: record.id, name: record.name, permissions: record.permissions, locations: record.locations }
+    });
+
+    if (flags.json) {
+      console.log(JSON.stringify({ ...record, key }, null, 2));
+    } else {
+      console.log(`Issued key ${record.id} (${record.permissions.join(', ')}), store it now, it cannot be shown again:`);
+      console.log(key);
+    }
+    return;
+  }
+
+  if (action === 'revoke') {
+    if (!keyId) {
+      throw usageError('A key ID is required');
+    }
+    const key = await keyRegistry.revoke(keyId);
+    if (!key) {
+      throw new Error(`No API key ${keyId}`);
+    }
+    await audit.record('key.revoked', { ...context, details: { keyId: key.id, name: key.name } });
+    console.log(flags.json ? JSON.stringify({ success: true, key }, null, 2) : `Revoked key ${key.id}`);
+    return;
+  }
+
+  throw usageError(`Unknown keys action "${action || ''}" (expected list, issue or revoke; permissions: ${PERMISSIONS.join(', ')})`);
+}
+
+function backupPassphrase() {
+  if (!process.env.BACKUP_PASSPHRASE) {
+    throw usageError('Set BACKUP_PASSPHRASE to the bundle passphrase');
+  }
+  return process.env.BACKUP_PASSPHRASE;
+}
+
+async function exportStore({ services, flags }) {
+  const bundle = await services.backup.exportBundle(backupPassphrase());
+  await services.audit.record('store.export', { ...cliActor(), details: bundle.counts });
+
+  if (typeof flags.out === 'string') {
+    await fs.promises.writeFile(flags.out, JSON.stringify(bundle), { mode: 0o600 });
+    console.error(`Exported ${bundle.counts.locations} locations and ${bundle.counts.companies} agencies to ${flags.out}`);
+  } else {
+    console.log(JSON.stringify(bundle));
+  }
+}
+
+async function importStore({ services, args, flags }) {
+  if (!args[0]) {
+    throw usageError('A bundle file is required');
+  }
+  const bundle = JSON.parse(await fs.promises.readFile(args[0], 'utf8'));
+  const report = await services.backup.importBundle(bundle, backupPassphrase(), {
+    strategy: typeof flags.strategy === 'string' ? flags.strategy : undefined,
+    dryRun: Boolean(flags['dry-run'])
+  });
+
+  const summary = summarizeImport(report);
+  if (!report.dryRun) {
+    await services.audit.record('store.import', { ...cliActor(), details: summary });
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  console.log(`${report.dryRun ? 'Dry run, nothing written. ' : ''}Bundle exported at ${report.exportedAt}, strategy ${report.strategy}`);
+  for (const [appId, appReport] of Object.entries(report.apps)) {
+    for (const kind of ['locations', 'companies']) {
+      const { created, overwritten, skipped } = appReport[kind];
+      console.log(`${appId} ${kind}: ${created.length} created, ${overwritten.length} overwritten, ${skipped.length} skipped`);
+      created.forEach((id) => console.log(`  + ${id}`));
+      overwritten.forEach((id) => console.log(`  ~ ${id}`));
+      skipped.forEach(({ id, reason }) => console.log(`  - ${id} (${reason})`));
+    }
+  }
+  if (report.unknownApps.length) {
+    console.log(`⚠️  Not imported, apps not registered here: ${report.unknownApps.join(', ')}`);
+  }
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * GHL only redirects to the exact URI registered on the app, and this
+ * service only serves the callback on /oauth/callback.
+ */
+function checkRedirectUri(redirectUri) {
+  let parsed;
+  try {
+    parsed = new URL(redirectUri);
+  } catch (err) {
+    return { status: 'fail', label: 'Redirect URI', detail: `"${redirectUri}" is not an absolute URL` };
+  }
+
+  const local = ['localhost', '127.0.0.1'].includes(parsed.hostname);
+  if (parsed.hostname === 'undefined') {
+    return { status: 'fail', label: 'Redirect URI', detail: 'REDIRECT_URI is not set and RAILWAY_PUBLIC_DOMAIN is empty' };
+  }
+  if (parsed.protocol !== 'https:' && !local) {
+    return { status: 'fail', label: 'Redirect URI', detail: `${redirectUri} must use https://` };
+  }
+  if (parsed.pathname !== '/oauth/callback') {
+    return { status: 'fail', label: 'Redirect URI', detail: `${redirectUri} must end in /oauth/callback` };
+  }
+  if (parsed.search || parsed.hash) {
+    return { status: 'fail', label: 'Redirect URI', detail: `${redirectUri} must not have a query string or fragment` };
+  }
+  if (local) {
+    return { status: 'warn', label: 'Redirect URI', detail: `${redirectUri} only works for local development` };
+  }
+  return { status: 'ok', label: 'Redirect URI', detail: redirectUri };
+}
+
+/**
+ * Checks that need nothing but the environment. Returns the loaded config
+ * (null if it failed to load) along with the results.
+ */
+function configChecks() {
+  const checks = [];
+
+  let loaded;
+  try {
+    loaded = loadConfig();
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Config', detail: err.message });
+    return { config: null, apps: null, checks };
+  }
+  const { config, SCOPE_PROFILES, apps } = loaded;
+  checks.push({ status: 'ok', label: 'Config', detail: `${Object.keys(SCOPE_PROFILES).length} scope profiles, default ${config.scopeProfiles.defaultProfile}` });
+  if (apps.length > 1) {
+    checks.push({ status: 'ok', label: 'Apps', detail: apps.map((app) => app.id).join(', ') });
+  }
+  if (config.sandbox.enabled) {
+    checks.push({ status: 'warn', label: 'Sandbox', detail: `SANDBOX_MODE is on, GHL is simulated at ${config.baseUrl} and real credentials are ignored` });
+  }
+
+  if (!config.clientId || !config.clientSecret) {
+    checks.push({ status: 'fail', label: 'Credentials', detail: 'GHL_CLIENT_ID and GHL_CLIENT_SECRET must both be set' });
+  } else {
+    checks.push({ status: 'ok', label: 'Credentials', detail: `client ID ${config.clientId.slice(0, 8)}…` });
+  }
+  if (!config.uninstall.appId && config.uninstall.revokeWithGhl) {
+    checks.push({ status: 'warn', label: 'App ID', detail: 'Set GHL_APP_ID, uninstalls cannot be revoked with GHL without it' });
+  }
+
+  checks.push(checkRedirectUri(config.redirectUri));
+
+  try {
+    const keyring = parseKeyring(config.encryption.keys, config.encryption.activeKeyId);
+    checks.push(keyring
+      ? { status: 'ok', label: 'Encryption', detail: `AES-256-GCM, active key ${keyring.activeId}` }
+      : { status: 'warn', label: 'Encryption', detail: 'TOKEN_ENCRYPTION_KEYS not set, tokens are stored in plain text' });
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Encryption', detail: err.message });
+  }
+
+  try {
+    createPageRenderer({ branding: config.branding });
+    if (!Object.hasOwn(LOCALES, config.branding.defaultLocale)) {
+      checks.push({ status: 'warn', label: 'Branding', detail: `DEFAULT_LOCALE "${config.branding.defaultLocale}" is not one of ${Object.keys(LOCALES).join(', ')}` });
+    }
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Branding', detail: err.message });
+  }
+
+  try {
+    // Only validates the channels, nothing is sent
+    createNotifier({ store: null, collection: null, channels: config.notifications.channels, options: config.notifications });
+    checks.push(config.notifications.channels.length
+      ? { status: 'ok', label: 'Alerts', detail: config.notifications.channels.map((channel) => channel.id).join(', ') }
+      : { status: 'warn', label: 'Alerts', detail: 'NOTIFY_CHANNELS not set, refresh failures are only logged' });
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Alerts', detail: err.message });
+  }
+
+  if (Boolean(config.n8n.baseUrl) !== Boolean(config.n8n.apiKey)) {
+    checks.push({ status: 'warn', label: 'n8n sync', detail: 'Set both N8N_BASE_URL and N8N_API_KEY, credentials are not synced' });
+  } else if (config.n8n.baseUrl) {
+    checks.push({ status: 'ok', label: 'n8n sync', detail: config.n8n.baseUrl });
+  }
+
+  if (config.webhooks.devMode) {
+    checks.push({ status: 'warn', label: 'Webhooks', detail: 'WEBHOOK_DEV_MODE is on, unsigned webhooks are accepted' });
+  } else if (!config.webhooks.publicKey) {
+    checks.push({ status: 'warn', label: 'Webhooks', detail: 'GHL_WEBHOOK_PUBLIC_KEY not set, all webhooks will be rejected' });
+  }
+
+  return { config, apps, checks };
+}
+
+async function storeChecks(services) {
+  const checks = [];
+  try {
+    await services.store.ping();
+    checks.push({ status: 'ok', label: 'Token store', detail: `${services.store.driver} is reachable` });
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Token store', detail: `${services.store.driver}: ${err.message}` });
+    return checks;
+  }
+
+  // Reading every record proves the encryption keys can still decrypt them
+  try {
+    const locations = await services.tokenStore.list();
+    const companies = await services.companyStore.list();
+    const needsReauth = locations.filter(([, data]) => data.status === NEEDS_REAUTH).length;
+    checks.push({
+      status: needsReauth ? 'warn' : 'ok',
+      label: 'Tokens',
+      detail: `${locations.length} locations, ${companies.length} agencies${needsReauth ? `, ${needsReauth} need reauthorization` : ''}`
+    });
+  } catch (err) {
+    checks.push({ status: 'fail', label: 'Tokens', detail: `cannot read stored tokens: ${err.message}` });
+  }
+  return checks;
+}
+
+/**
+ * Asks GHL to refresh a made-up refresh token. GHL authenticates the client
+ * before looking at the grant, so invalid_grant means the ID and secret were
+ * accepted while invalid_client (or a 401) means they were not.
+ */
+async function credentialCheck(config) {
+  try {
+    await axios.post(
+      `${config.baseUrl}/oauth/token`,
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        refresh_token: 'doctor-check'
+      }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+        timeout: 15000
+      }
+    );
+    return { status: 'ok', label: 'GHL credentials', detail: 'accepted by GHL' };
+  } catch (err) {
+    if (!err.response) {
+      return { status: 'fail', label: 'GHL credentials', detail: `cannot reach ${config.baseUrl}: ${err.message}` };
+    }
+    const error = err.response.data?.error;
+    if (err.response.status === 401 || error === 'invalid_client' || error === 'unauthorized_client') {
+      return { status: 'fail', label: 'GHL credentials', detail: `rejected by GHL (${error || err.response.status})` };
+    }
+    return { status: 'ok', label: 'GHL credentials', detail: 'accepted by GHL' };
+  }
+}
+
+function reportChecks(checks, flags) {
+  const ok = !checks.some((check) => check.status === 'fail');
+  if (flags.json) {
+    console.log(JSON.stringify({ ok, checks }, null, 2));
+  } else {
+    checks.forEach((check) => console.log(`${CHECK_ICONS[check.status]} ${check.label.padEnd(16)} ${check.detail}`));
+  }
+  return ok;
+}
+
+async function validateConfig({ flags }) {
+  return reportChecks(configChecks().checks, flags);
+}
+
+async function doctor({ flags }) {
+  const { config, apps, checks } = configChecks();
+  if (config && !checks.some((check) => check.status === 'fail' && check.label === 'Encryption')) {
+    const services = createServices(config, apps);
+    try {
+      checks.push(...(await storeChecks(services)));
+    } finally {
+      await services.store.close();
+    }
+  }
+  if (config && config.clientId && config.clientSecret) {
+    checks.push(flags.offline
+      ? { status: 'warn', label: 'GHL credentials', detail: 'not checked (--offline)' }
+      : await credentialCheck(config));
+  }
+  return reportChecks(checks, flags);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+// Commands that run against the store; config and doctor set up their own
+const COMMANDS = {
+  locations: listLocations,
+  token: printToken,
+  refresh: forceRefresh,
+  revoke: revokeLocation,
+  keys: manageKeys,
+  export: exportStore,
+  import: importStore
+};
+
+const CHECK_COMMANDS = {
+  config: validateConfig,
+  doctor
+};
+
+async function main(argv) {
+  const { args, flags } = parseArgs(argv);
+  const [command, ...rest] = args;
+
+  if (!command || flags.help || command === 'help') {
+    console.log(USAGE);
+    return true;
+  }
+
+  if (CHECK_COMMANDS[command]) {
+    return CHECK_COMMANDS[command]({ args: rest, flags });
+  }
+  if (!COMMANDS[command]) {
+    throw usageError(`Unknown command "${command}"`);
+  }
+
+  const { config, apps } = loadConfig();
+  const services = createServices(config, apps);
+  try {
+    await COMMANDS[command]({ services: selectApp(services, flags.app), args: rest, flags });
+  } finally {
+    // Refreshes push the new token to n8n in the background, let that finish
+    await Promise.all(Object.values(services.apps).map((ghlApp) => ghlApp.credentialSync.idle()));
+    await services.store.close();
+  }
+  return true;
+}
+
+main(process.argv.slice(2))
+  .then((ok) => {
+    process.exitCode = ok ? 0 : 1;
+  })
+  .catch((err) => {
+    console.error(`Error: ${err.response?.data?.error_description || err.response?.data?.message || err.message}`);
+    if (err.code === 'usage') {
+      console.error('');
+      console.error(USAGE);
+    }
+    process.exitCode = err.code === 'usage' ? 2 : 1;
+  });
@@ -0,0 +1,117 @@
+/**
+ * Admin dashboard sessions
+ *
+ * Signing in to /admin with an admin API key creates a session. The browser
+ * only holds a random session ID in an HttpOnly cookie; the store keeps a
+ * hash of it together with the key it was opened with and a CSRF token that
+ * every dashboard form must echo back.
+ */
+
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'ghl_admin_session';
+
+function hashSessionId(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Ignore cookies we can't decode, they aren't ours
+    }
+  }
+  return cookies;
+}
+
+function createSessionManager({ collection, options = {} }) {
+  const ttlMs = options.ttlMs || 8 * 60 * 60 * 1000;
+
+  async function pruneExpired() {
+    const now = Date.now();
+    for (const [id, session] of await collection.list()) {
+      if (session.expiresAt < now) {
+        await collection.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Opens a session for an authenticated API key. Returns the raw session ID
+   * for the cookie; it is not stored anywhere.
+   */
+  async function create(key, { ip } = {}) {
+    await pruneExpired();
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      keyId: key.id,
+      keyName: key.name,
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      ip: ip || null,
+      createdAt: now,
+      expiresAt: now + ttlMs
+    };
+
+    await collection.set(hashSessionId(sessionId), session);
+    return { sessionId, session };
+  }
+
+  /**
+   * Returns the session for the request's cookie, or null if it is missing
+   * or expired.
+   */
+  async function fromRequest(req) {
+    const sessionId = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (!sessionId) return null;
+
+    const id = hashSessionId(sessionId);
+    const session = await collection.get(id);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      await collection.delete(id);
+      return null;
+    }
+    return { id, ...session };
+  }
+
+  async function destroy(req) {
+    const sessionId = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (sessionId) {
+      await collection.delete(hashSessionId(sessionId));
+    }
+  }
+
+  function verifyCsrf(session, token) {
+    const expected = Buffer.from(session.csrfToken);
+    const provided = Buffer.from(String(token || ''));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  function cookie(sessionId, { secure }) {
+    const attributes = [
+      `${COOKIE_NAME}=${sessionId}`,
+      'Path=/admin',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${Math.floor(ttlMs / 1000)}`
+    ];
+    if (secure) attributes.push('Secure');
+    return attributes.join('; ');
+  }
+
+  function clearCookie() {
+    return `${COOKIE_NAME}=; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=0`;
+  }
+
+  return { create, fromRequest, destroy, verifyCsrf, cookie, clearCookie };
+}
+
+module.exports = { createSessionManager };
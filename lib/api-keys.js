@@ -0,0 +1,156 @@
+/**
+ * API key registry
+ *
+ * Keys look like `ghk_<id>_<secret>`. Only a SHA-256 hash of the full key is
+ * stored, the plaintext is returned once when the key is issued. Each key is
+ * limited to a set of permissions and locations:
+ *
+ * - token:read    - GET /api/token, GET /api/locations
+ * - token:refresh - POST /api/refresh
+ * - proxy         - /api/ghl/*
+ * - admin         - everything, including key management
+ *
+ * The legacy API_KEY environment variable still works as an admin key.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Keys');
+
+const PERMISSIONS = ['token:read', 'token:refresh', 'proxy', 'admin'];
+const KEY_PREFIX = 'ghk';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+// Compared against when the key ID is unknown, so a miss costs the same as a hit
+const DUMMY_HASH = '0'.repeat(64);
+
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const ROOT_KEY = { id: 'root', name: 'API_KEY', permissions: ['admin'], locations: ['*'] };
+
+function publicView(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+function createKeyRegistry({ collection, rootKey }) {
+  const rootHash = rootKey ? hashKey(rootKey) : null;
+  const lastTouched = new Map();
+
+  async function issue({ name, permissions = [], locations = ['*'], createdBy = null }) {
+    if (!name) {
+      throw new Error('name is required');
+    }
+    const invalid = permissions.filter((p) => !PERMISSIONS.includes(p));
+    if (!permissions.length || invalid.length) {
+      throw new Error(`permissions must be a non-empty list of: ${PERMISSIONS.join(', ')}`);
+    }
+    if (!Array.isArray(locations) || !locations.length) {
+      throw new Error('locations must be a non-empty list of location IDs or ["*"]');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const rawKey = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id,
+      name,
+      permissions,
+      locations,
+      hash: hashKey(rawKey),
+      createdAt: new Date().toISOString(),
+      createdBy,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await collection.set(id, record);
+    return { key: rawKey, record: publicView(record) };
+  }
+
+  async function list() {
+    return (await collection.list()).map(([, record]) => publicView(record));
+  }
+
+  async function revoke(id) {
+    const record = await collection.get(id);
+    if (!record) return null;
+
+    const revoked = { ...record, revokedAt: record.revokedAt || new Date().toISOString() };
+    await collection.set(id, revoked);
+    return publicView(revoked);
+  }
+
+  async function touch(record) {
+    const now = Date.now();
+    if (now - (lastTouched.get(record.id) || 0) < TOUCH_INTERVAL_MS) return;
+    lastTouched.set(record.id, now);
+
+    const current = await collection.get(record.id);
+    if (current) {
+      await collection.set(record.id, { ...current, lastUsedAt: new Date(now).toISOString() });
+    }
+  }
+
+  /**
+   * Resolves a presented key to its record, or null if it is unknown or
+   * revoked.
+   */
+  async function authenticate(rawKey) {
+    if (!rawKey) return null;
+    const hash = hashKey(rawKey);
+
+    if (rootHash && safeEqualHex(hash, rootHash)) {
+      return ROOT_KEY;
+    }
+
+    const [prefix, id] = String(rawKey).split('_');
+    if (prefix !== KEY_PREFIX || !id) return null;
+
+    const record = await collection.get(id);
+    const matches = safeEqualHex(hash, record ? record.hash : DUMMY_HASH);
+    if (!record || record.revokedAt || !matches) {
+      return null;
+    }
+
+    touch(record).catch((err) => {
+      log.error('Failed to update lastUsedAt', { keyId: record.id, error: err.message });
+    });
+    return publicView(record);
+  }
+
+  /**
+   * Looks up a key by ID without the secret, e.g. to check that the key an
+   * admin session was opened with hasn't been revoked since.
+   */
+  async function findActive(id) {
+    if (id === 'root') {
+      return rootHash ? ROOT_KEY : null;
+    }
+    const record = await collection.get(id);
+    return record && !record.revokedAt ? publicView(record) : null;
+  }
+
+  async function hasKeys() {
+    return (await collection.list()).some(([, record]) => !record.revokedAt);
+  }
+
+  return { issue, list, revoke, authenticate, findActive, hasKeys };
+}
+
+function hasPermission(key, permission) {
+  return key.permissions.includes('admin') || key.permissions.includes(permission);
+}
+
+function canAccessLocation(key, locationId) {
+  return key.locations.includes('*') || key.locations.includes(locationId);
+}
+
+module.exports = { createKeyRegistry, hasPermission, canAccessLocation, PERMISSIONS };
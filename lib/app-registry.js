@@ -0,0 +1,107 @@
+/**
+ * GHL app registry
+ *
+ * One deployment can serve several GHL marketplace apps, e.g. the chatbot, a
+ * voice-AI variant and a white-label copy. The app configured with
+ * GHL_CLIENT_ID / GHL_CLIENT_SECRET is the "default" app and keeps the
+ * original /authorize and /oauth/callback routes. More apps come from APPS
+ * (JSON) or APPS_FILE:
+ *   [{ "id": "voice", "clientId": "...", "clientSecret": "...",
+ *      "appId": "optional, defaults to the clientId prefix",
+ *      "redirectUri": "optional, defaults to <origin>/apps/voice/oauth/callback",
+ *      "scopeProfiles": { "voice": ["voice-ai*", "contacts.readonly"] },
+ *      "defaultScopeProfile": "voice",
+ *      "branding": { "name": "Voice AI", "primaryColor": "#7c3aed" } }]
+ *
+ * Each app is installed through /apps/<id>/authorize and has its own
+ * credentials, scope profiles, branding and token collections, so a location
+ * installed in two apps has two independent sets of tokens.
+ */
+
+const { parseScopeProfiles } = require('./scope-profiles');
+
+const DEFAULT_APP_ID = 'default';
+const APP_ID = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const BRANDING_FIELDS = ['name', 'logoUrl', 'primaryColor', 'darkColor', 'supportEmail', 'defaultLocale'];
+
+/**
+ * Name of an app's store collection. The default app keeps the original
+ * names so existing installs stay where they are.
+ */
+function appCollectionName(name, appId) {
+  return appId === DEFAULT_APP_ID ? name : `${name}.${appId}`;
+}
+
+// Where a location installs (or reinstalls) the app
+function appAuthorizePath(appId) {
+  return appId === DEFAULT_APP_ID ? '/authorize' : `/apps/${appId}/authorize`;
+}
+
+function appConfigFor(entry, config) {
+  const branding = { ...config.branding };
+  for (const field of BRANDING_FIELDS) {
+    if (entry.branding?.[field] !== undefined) branding[field] = entry.branding[field];
+  }
+
+  return {
+    ...config,
+    clientId: entry.clientId,
+    clientSecret: entry.clientSecret,
+    redirectUri: entry.redirectUri || new URL(`/apps/${entry.id}/oauth/callback`, config.redirectUri).toString(),
+    appName: branding.name,
+    branding,
+    uninstall: {
+      ...config.uninstall,
+      // Client IDs look like <appId>-<suffix>
+      appId: entry.appId || entry.clientId.split('-')[0]
+    },
+    scopeProfiles: {
+      definitions: entry.scopeProfiles ? JSON.stringify(entry.scopeProfiles) : config.scopeProfiles.definitions,
+      defaultProfile: entry.defaultScopeProfile || config.scopeProfiles.defaultProfile
+    }
+  };
+}
+
+/**
+ * Returns the registered apps, default first, as { id, config, SCOPE_PROFILES }
+ * where config is the service config with the app's own credentials,
+ * redirect URI, uninstall app ID, branding and scope profiles. Throws on a
+ * malformed entry so mistakes fail at startup.
+ */
+function parseApps(raw, { config, SCOPE_PROFILES, catalog }) {
+  const apps = [{ id: DEFAULT_APP_ID, config, SCOPE_PROFILES }];
+  if (!raw) return apps;
+
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list)) {
+    throw new Error('APPS must be a JSON array of apps');
+  }
+
+  for (const entry of list) {
+    if (!APP_ID.test(entry.id || '') || entry.id === DEFAULT_APP_ID) {
+      throw new Error(`App id "${entry.id || ''}" must be lowercase letters, digits and "-" (and not "${DEFAULT_APP_ID}")`);
+    }
+    if (apps.some((app) => app.id === entry.id)) {
+      throw new Error(`App "${entry.id}" is registered twice`);
+    }
+    if (!entry.clientId || !entry.clientSecret) {
+      throw new Error(`App "${entry.id}" needs a clientId and clientSecret`);
+    }
+
+    const appConfig = appConfigFor(entry, config);
+    let profiles;
+    try {
+      profiles = parseScopeProfiles(appConfig.scopeProfiles.definitions, catalog);
+    } catch (err) {
+      throw new Error(`App "${entry.id}": ${err.message}`);
+    }
+    if (!profiles[appConfig.scopeProfiles.defaultProfile]) {
+      throw new Error(`App "${entry.id}": default scope profile "${appConfig.scopeProfiles.defaultProfile}" is not defined`);
+    }
+
+    apps.push({ id: entry.id, config: appConfig, SCOPE_PROFILES: profiles });
+  }
+  return apps;
+}
+
+module.exports = { parseApps, appCollectionName, appAuthorizePath, DEFAULT_APP_ID };
@@ -0,0 +1,119 @@
+/**
+ * Audit trail
+ *
+ * Append-only record of installs, uninstalls, token reads, refreshes, API
+ * key usage, store backups and n8n credential mappings, written to the
+ * store's "audit" log. Every entry records who did it (API key, CLI user or
+ * system component), from where and how it ended:
+ *
+ *   { id, at, event, outcome, locationId, companyId, actor, ip, details }
+ *
+ * Writing an entry never fails the request that triggered it.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Audit');
+
+const EVENTS = [
+  'install',
+  'uninstall',
+  'token.read',
+  'token.refresh',
+  'token.mint',
+  'proxy.request',
+  'key.issued',
+  'key.revoked',
+  'key.denied',
+  'admin.login',
+  'admin.logout',
+  'store.export',
+  'store.import',
+  'n8n.mapped',
+  'n8n.unmapped'
+];
+
+/**
+ * Describes the caller of an HTTP request for audit entries.
+ */
+function actorFromRequest(req) {
+  return {
+    actor: req.apiKey ? { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name } : { type: 'anonymous' },
+    ip: req.ip
+  };
+}
+
+function createAuditLog({ log: auditLog }) {
+  async function record(event, fields = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      event,
+      outcome: fields.outcome || 'success',
+      locationId: fields.locationId || null,
+      companyId: fields.companyId || null,
+      actor: fields.actor || { type: 'system' },
+      ip: fields.ip || null,
+      details: fields.details || {}
+    };
+
+    try {
+      await auditLog.append(entry);
+    } catch (err) {
+      log.error('Failed to write audit entry', { event, error: err.message });
+    }
+    return entry;
+  }
+
+  function matches(entry, filters) {
+    if (filters.locationId && entry.locationId !== filters.locationId) return false;
+    if (filters.companyId && entry.companyId !== filters.companyId) return false;
+    if (filters.events && !filters.events.includes(entry.event)) return false;
+    if (filters.outcome && entry.outcome !== filters.outcome) return false;
+    if (filters.actorId && entry.actor?.id !== filters.actorId) return false;
+    if (filters.from && entry.at < filters.from) return false;
+    if (filters.to && entry.at > filters.to) return false;
+    return true;
+  }
+
+  /**
+   * Iterates matching entries, oldest first.
+   */
+  async function* query(filters = {}) {
+    for await (const entry of auditLog.read()) {
+      if (matches(entry, filters)) {
+        yield entry;
+      }
+    }
+  }
+
+  return { record, query };
+}
+
+/**
+ * Turns ?locationId=&event=&from=&to= query parameters into query() filters.
+ * Throws on malformed dates.
+ */
+function parseAuditFilters(query) {
+  const toIso = (value, name) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`${name} must be an ISO date`);
+    }
+    return date.toISOString();
+  };
+
+  return {
+    locationId: query.locationId || null,
+    companyId: query.companyId || null,
+    events: query.event ? String(query.event).split(',') : null,
+    outcome: query.outcome || null,
+    actorId: query.actorId || null,
+    from: toIso(query.from, 'from'),
+    to: toIso(query.to, 'to')
+  };
+}
+
+module.exports = { createAuditLog, actorFromRequest, parseAuditFilters, EVENTS };
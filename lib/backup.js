@@ -0,0 +1,257 @@
+/**
+ * Token store backups
+ *
+ * Exports every location and agency (Company) record (tokens, company and
+ * user metadata, install dates) of every registered GHL app into a single
+ * bundle encrypted with a
+ * passphrase, so installs can move between Railway projects or store drivers
+ * without anyone reinstalling. The bundle is independent of
+ * TOKEN_ENCRYPTION_KEYS: records are decrypted on export and re-encrypted
+ * with the target's keys on import.
+ *
+ * Bundle format (JSON):
+ *   { format, version, createdAt, counts, kdf: { name: 'scrypt', N, r, p, salt },
+ *     cipher: 'aes-256-gcm', iv, tag, data }
+ * data decrypts to { exportedAt, apps: { <appId>: { locations, companies } } }.
+ * Version 1 bundles (from before multiple apps) hold the default app's
+ * locations and companies at the top level and import into the default app.
+ *
+ * Imports resolve conflicts per record with one of:
+ * - skip        - keep what the target already has (default)
+ * - overwrite   - replace the target's record with the bundle's
+ * - newest-wins - keep whichever was refreshed (or installed) last
+ * A location the target has uninstalled counts as a conflict too, dated by
+ * its uninstall time.
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_APP_ID } = require('./app-registry');
+
+const FORMAT = 'ghl-oauth-backup';
+const VERSION = 2;
+const SUPPORTED_VERSIONS = [1, VERSION];
+const STRATEGIES = ['skip', 'overwrite', 'newest-wins'];
+const MIN_PASSPHRASE_LENGTH = 12;
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+function backupError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw backupError('invalid_passphrase', `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+}
+
+async function sealBundle(contents, passphrase) {
+  checkPassphrase(passphrase);
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await deriveKey(passphrase, salt, SCRYPT);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(`${FORMAT}:${VERSION}`));
+  const data = Buffer.concat([cipher.update(JSON.stringify(contents), 'utf8'), cipher.final()]);
+
+  const counts = { locations: 0, companies: 0, apps: {} };
+  for (const [appId, { locations, companies }] of Object.entries(contents.apps)) {
+    counts.apps[appId] = { locations: Object.keys(locations).length, companies: Object.keys(companies).length };
+    counts.locations += counts.apps[appId].locations;
+    counts.companies += counts.apps[appId].companies;
+  }
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    createdAt: contents.exportedAt,
+    counts,
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypts a bundle. Throws with a code of invalid_bundle, invalid_passphrase
+ * or wrong_passphrase.
+ */
+async function openBundle(bundle, passphrase) {
+  if (!bundle || bundle.format !== FORMAT || !bundle.kdf || !bundle.data) {
+    throw backupError('invalid_bundle', 'Not a token store backup bundle');
+  }
+  if (!SUPPORTED_VERSIONS.includes(bundle.version)) {
+    throw backupError('invalid_bundle', `Unsupported backup version ${bundle.version}`);
+  }
+  checkPassphrase(passphrase);
+
+  const { N, r, p, salt } = bundle.kdf;
+  let plaintext;
+  try {
+    const key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(bundle.iv, 'base64'));
+    decipher.setAAD(Buffer.from(`${FORMAT}:${bundle.version}`));
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+  } catch (err) {
+    throw backupError('wrong_passphrase', 'The bundle could not be decrypted, check the passphrase');
+  }
+
+  const contents = JSON.parse(plaintext.toString('utf8'));
+  const apps = bundle.version === 1
+    ? { [DEFAULT_APP_ID]: { locations: contents.locations, companies: contents.companies } }
+    : contents.apps || {};
+  return {
+    exportedAt: contents.exportedAt,
+    apps: Object.fromEntries(Object.entries(apps).map(([appId, app]) => [
+      appId,
+      { locations: app?.locations || {}, companies: app?.companies || {} }
+    ]))
+  };
+}
+
+// When a record last changed hands with GHL
+function recordTime(record) {
+  return Date.parse(record.lastRefreshed || record.installedAt || record.uninstalledAt) || 0;
+}
+
+/**
+ * apps maps each app id to its { tokenStore, companyStore,
+ * uninstalledLocations, refreshFlight }.
+ */
+function createBackupManager({ apps }) {
+  async function exportBundle(passphrase) {
+    checkPassphrase(passphrase);
+    const contents = { exportedAt: new Date().toISOString(), apps: {} };
+    for (const [appId, { tokenStore, companyStore }] of Object.entries(apps)) {
+      contents.apps[appId] = {
+        locations: Object.fromEntries(await tokenStore.list()),
+        companies: Object.fromEntries(await companyStore.list())
+      };
+    }
+    return sealBundle(contents, passphrase);
+  }
+
+  /**
+   * Decides what happens to one incoming record. Returns { action, reason }
+   * where action is create, overwrite or skip.
+   */
+  function resolve(incoming, existing, strategy) {
+    if (!incoming || typeof incoming !== 'object' || typeof incoming.accessToken !== 'string') {
+      return { action: 'skip', reason: 'invalid_record' };
+    }
+    if (!existing) {
+      return { action: 'create' };
+    }
+
+    const conflict = existing.uninstalledAt && !existing.accessToken ? 'uninstalled' : 'exists';
+    if (strategy === 'overwrite') {
+      return { action: 'overwrite', reason: conflict };
+    }
+    if (strategy === 'newest-wins' && recordTime(incoming) > recordTime(existing)) {
+      return { action: 'overwrite', reason: 'newer' };
+    }
+    if (strategy === 'newest-wins') {
+      return { action: 'skip', reason: conflict === 'uninstalled' ? 'uninstalled_later' : 'not_newer' };
+    }
+    return { action: 'skip', reason: conflict };
+  }
+
+  /**
+   * Each record is decided and written under lock(id, fn), the refresh lock,
+   * so a refresh finishing mid-import isn't overwritten with a stale record.
+   */
+  async function importRecords(records, collection, { strategy, dryRun, tombstones, lock }) {
+    const report = { created: [], overwritten: [], skipped: [] };
+
+    for (const [id, incoming] of Object.entries(records)) {
+      const apply = async () => {
+        const existing = (await collection.get(id)) || (tombstones && (await tombstones.get(id)));
+        const { action, reason } = resolve(incoming, existing, strategy);
+
+        if (action === 'skip') {
+          report.skipped.push({ id, reason });
+          return;
+        }
+        if (!dryRun) {
+          await collection.set(id, incoming);
+          if (tombstones) await tombstones.delete(id);
+        }
+        if (action === 'create') report.created.push(id);
+        else report.overwritten.push(id);
+      };
+      await (dryRun || !lock ? apply() : lock(id, apply));
+    }
+    return report;
+  }
+
+  /**
+   * Imports a bundle. With dryRun nothing is written and the report says
+   * what would have happened. Apps in the bundle that aren't registered here
+   * are left out and listed in unknownApps.
+   */
+  async function importBundle(bundle, passphrase, { strategy = 'skip', dryRun = false } = {}) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw backupError('invalid_strategy', `strategy must be one of: ${STRATEGIES.join(', ')}`);
+    }
+    const contents = await openBundle(bundle, passphrase);
+    const report = { dryRun, strategy, exportedAt: contents.exportedAt, apps: {}, unknownApps: [] };
+
+    for (const [appId, records] of Object.entries(contents.apps)) {
+      if (!Object.hasOwn(apps, appId)) {
+        report.unknownApps.push(appId);
+        continue;
+      }
+      const { tokenStore, companyStore, uninstalledLocations, refreshFlight } = apps[appId];
+      report.apps[appId] = {
+        locations: await importRecords(records.locations, tokenStore, {
+          strategy,
+          dryRun,
+          tombstones: uninstalledLocations,
+          lock: refreshFlight && ((id, fn) => refreshFlight.exclusive(id, fn))
+        }),
+        companies: await importRecords(records.companies, companyStore, {
+          strategy,
+          dryRun,
+          lock: refreshFlight && ((id, fn) => refreshFlight.exclusive(`company:${id}`, fn))
+        })
+      };
+    }
+    return report;
+  }
+
+  return { exportBundle, importBundle };
+}
+
+/**
+ * Totals of an import report, for logs and audit entries.
+ */
+function summarizeImport(report) {
+  const count = (field) => Object.values(report.apps)
+    .reduce((total, app) => total + app.locations[field].length + app.companies[field].length, 0);
+  return {
+    dryRun: report.dryRun,
+    strategy: report.strategy,
+    exportedAt: report.exportedAt,
+    created: count('created'),
+    overwritten: count('overwritten'),
+    skipped: count('skipped'),
+    unknownApps: report.unknownApps
+  };
+}
+
+module.exports = { createBackupManager, summarizeImport, STRATEGIES };
@@ -0,0 +1,407 @@
+/**
+ * Service configuration
+ *
+ * Built from environment variables and shared by server.js and the admin
+ * CLI, so both read the same store, keys and GHL app settings. loadConfig()
+ * throws on a malformed value (bad JSON, unknown scope profile) so mistakes
+ * fail at startup.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseSubscriptions } = require('./webhook-delivery');
+const { parseScopeProfiles } = require('./scope-profiles');
+const { parseChannels } = require('./notifier');
+const { parseApps } = require('./app-registry');
+
+// =============================================================================
+// SCOPES - Matching exactly what's enabled in the GHL App
+// =============================================================================
+
+const SCOPES = [
+  // Contacts
+  'contacts.readonly',
+  'contacts.write',
+  
+  // Conversations
+  'conversations.readonly',
+  'conversations.write',
+  'conversations/message.write',
+  'conversations/message.readonly',
+  'conversations/reports.readonly',
+  'conversations/livechat.write',
+  
+  // Calendars
+  'calendars.readonly',
+  'calendars.write',
+  'calendars/events.readonly',
+  'calendars/events.write',
+  'calendars/groups.readonly',
+  'calendars/groups.write',
+  'calendars/resources.readonly',
+  'calendars/resources.write',
+  
+  // Locations (NO locations.write - Sub-Account level)
+  'locations.readonly',
+  'locations/customFields.readonly',
+  'locations/customFields.write',
+  'locations/customValues.readonly',
+  'locations/customValues.write',
+  'locations/tags.readonly',
+  'locations/tags.write',
+  'locations/templates.readonly',
+  'locations/tasks.readonly',
+  'locations/tasks.write',
+  
+  // Users
+  'users.readonly',
+  'users.write',
+  
+  // Opportunities
+  'opportunities.readonly',
+  'opportunities.write',
+  
+  // OAuth
+  'oauth.readonly',
+  'oauth.write',
+  
+  // Funnels
+  'funnels/funnel.readonly',
+  'funnels/page.readonly',
+  'funnels/redirect.readonly',
+  'funnels/redirect.write',
+  'funnels/pagecount.readonly',
+  
+  // Media
+  'medias.readonly',
+  'medias.write',
+  
+  // Recurring Tasks
+  'recurring-tasks.readonly',
+  'recurring-tasks.write',
+  
+  // Links
+  'links.readonly',
+  'links.write',
+  
+  // Email
+  'lc-email.readonly',
+  
+  // Invoices
+  'invoices.readonly',
+  'invoices.write',
+  'invoices/estimate.readonly',
+  'invoices/estimate.write',
+  'invoices/template.readonly',
+  'invoices/template.write',
+  'invoices/schedule.readonly',
+  'invoices/schedule.write',
+  
+  // Forms
+  'forms.readonly',
+  'forms.write',
+  
+  // Courses
+  'courses.readonly',
+  'courses.write',
+  
+  // Associations
+  'associations.readonly',
+  'associations.write',
+  'associations/relation.readonly',
+  'associations/relation.write',
+  
+  // Objects
+  'objects/record.readonly',
+  'objects/record.write',
+  'objects/schema.readonly',
+  'objects/schema.write',
+  
+  // Businesses
+  'businesses.readonly',
+  'businesses.write',
+  
+  // Campaigns
+  'campaigns.readonly',
+  
+  // Payments
+  'payments/orders.readonly',
+  'payments/orders.write',
+  'payments/orders.collectPayment',
+  'payments/integration.readonly',
+  'payments/integration.write',
+  'payments/transactions.readonly',
+  'payments/subscriptions.readonly',
+  'payments/coupons.readonly',
+  'payments/coupons.write',
+  'payments/custom-provider.readonly',
+  'payments/custom-provider.write',
+  
+  // Products
+  'products.readonly',
+  'products.write',
+  'products/prices.readonly',
+  'products/prices.write',
+  'products/collection.readonly',
+  'products/collection.write',
+  
+  // Social Planner
+  'socialplanner/oauth.readonly',
+  'socialplanner/oauth.write',
+  'socialplanner/post.readonly',
+  'socialplanner/post.write',
+  'socialplanner/account.readonly',
+  'socialplanner/account.write',
+  'socialplanner/csv.readonly',
+  'socialplanner/csv.write',
+  'socialplanner/category.readonly',
+  'socialplanner/category.write',
+  'socialplanner/tag.readonly',
+  'socialplanner/tag.write',
+  'socialplanner/statistics.readonly',
+  
+  // Store
+  'store/shipping.readonly',
+  'store/shipping.write',
+  'store/setting.readonly',
+  'store/setting.write',
+  
+  // Surveys
+  'surveys.readonly',
+  
+  // Workflows
+  'workflows.readonly',
+  
+  // Emails
+  'emails/builder.readonly',
+  'emails/builder.write',
+  'emails/schedule.readonly',
+  
+  // WordPress
+  'wordpress.site.readonly',
+  
+  // Blogs
+  'blogs/post.write',
+  'blogs/check-slug.readonly',
+  'blogs/post-update.write',
+  'blogs/category.readonly',
+  'blogs/author.readonly',
+  'blogs/posts.readonly',
+  'blogs/list.readonly',
+  
+  // Charges
+  'charges.readonly',
+  'charges.write',
+  
+  // Marketplace
+  'marketplace-installer-details.readonly',
+  
+  // Phone/Twilio
+  'twilioaccount.read',
+  'phonenumbers.read',
+  'numberpools.read',
+  
+  // Documents/Contracts
+  'documents_contracts/list.readonly',
+  'documents_contracts/sendLink.write',
+  'documents_contracts_template/sendLink.write',
+  'documents_contracts_template/list.readonly',
+  
+  // Voice AI
+  'voice-ai-dashboard.readonly',
+  'voice-ai-agents.readonly',
+  'voice-ai-agents.write',
+  'voice-ai-agent-goals.readonly',
+  'voice-ai-agent-goals.write',
+  
+  // Knowledge Bases
+  'knowledge-bases.readonly',
+  'knowledge-bases.write',
+  
+  // Conversation AI
+  'conversation-ai.readonly',
+  'conversation-ai.write',
+  
+  // Agent Studio
+  'agent-studio.readonly',
+  'agent-studio.write'
+].join(' ');
+
+const SANDBOX_CLIENT_ID = 'sandbox-client';
+const SANDBOX_CLIENT_SECRET = 'sandbox-secret';
+
+/**
+ * Points the service at the fake GHL that server.js mounts at /sandbox (see
+ * lib/sandbox.js). Real credentials and GHL URLs are ignored so nothing the
+ * sandbox mints can be mistaken for a real install, and tokens stay in
+ * memory unless TOKEN_STORE says otherwise.
+ */
+function applySandbox(config, env) {
+  if (!env.REDIRECT_URI) {
+    config.redirectUri = `http://localhost:${config.port}/oauth/callback`;
+  }
+  // Browsers are sent to the consent page on the public origin, the service
+  // calls its own token and API endpoints over loopback
+  const localOrigin = `http://127.0.0.1:${config.port}`;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  config.clientId = SANDBOX_CLIENT_ID;
+  config.clientSecret = SANDBOX_CLIENT_SECRET;
+  config.marketplaceUrl = `${new URL(config.redirectUri).origin}/sandbox`;
+  config.baseUrl = `${localOrigin}/sandbox`;
+  config.uninstall.appId = 'sandbox';
+  config.webhooks.publicKey = publicKey.export({ type: 'spki', format: 'pem' });
+  config.sandbox.webhookPrivateKey = privateKey;
+  config.sandbox.webhookUrl = `${localOrigin}/webhook/ghl`;
+  if (!env.TOKEN_STORE) {
+    config.store.driver = 'memory';
+  }
+}
+
+/**
+ * Returns the config object, the scope profiles (named subsets of SCOPES for
+ * /authorize?profile=, checked against SCOPES) and the registered GHL apps
+ * (see lib/app-registry.js), default app first.
+ */
+function loadConfig(env = process.env) {
+  const config = {
+    clientId: env.GHL_CLIENT_ID,
+    clientSecret: env.GHL_CLIENT_SECRET,
+    redirectUri: env.REDIRECT_URI || `https://${env.RAILWAY_PUBLIC_DOMAIN}/oauth/callback`,
+    baseUrl: (env.GHL_API_BASE_URL || 'https://services.leadconnectorhq.com').replace(/\/+$/, ''),
+    apiVersion: env.GHL_API_VERSION || '2021-07-28',
+    marketplaceUrl: (env.GHL_MARKETPLACE_URL || 'https://marketplace.gohighlevel.com').replace(/\/+$/, ''),
+    apiKey: env.API_KEY || null,
+    port: env.PORT || 3000,
+    appName: 'Reece AI Chatbot',
+    store: {
+      driver: env.TOKEN_STORE || 'file',
+      dataDir: env.TOKEN_STORE_DIR || './data',
+      redisUrl: env.REDIS_URL,
+      redisPrefix: env.REDIS_KEY_PREFIX || 'ghl-oauth:'
+    },
+    encryption: {
+      keys: env.TOKEN_ENCRYPTION_KEYS,
+      activeKeyId: env.TOKEN_ENCRYPTION_KEY_ID
+    },
+    scheduler: {
+      enabled: env.REFRESH_SCHEDULER !== 'false',
+      intervalMs: (parseInt(env.REFRESH_INTERVAL_SECONDS, 10) || 60) * 1000,
+      refreshAheadMs: (parseInt(env.REFRESH_AHEAD_MINUTES, 10) || 30) * 60 * 1000,
+      jitterMs: (parseInt(env.REFRESH_JITTER_MINUTES, 10) || 5) * 60 * 1000,
+      backoffBaseMs: (parseInt(env.REFRESH_BACKOFF_BASE_SECONDS, 10) || 30) * 1000,
+      backoffMaxMs: (parseInt(env.REFRESH_BACKOFF_MAX_MINUTES, 10) || 30) * 60 * 1000
+    },
+    refreshLock: {
+      lockTtlMs: (parseInt(env.REFRESH_LOCK_TTL_SECONDS, 10) || 30) * 1000,
+      lockWaitMs: (parseInt(env.REFRESH_LOCK_WAIT_SECONDS, 10) || 35) * 1000
+    },
+    oauthState: {
+      secret: env.STATE_SECRET,
+      ttlMs: (parseInt(env.OAUTH_STATE_TTL_MINUTES, 10) || 10) * 60 * 1000,
+      allowStateless: env.OAUTH_ALLOW_STATELESS === 'true',
+      allowedReturnOrigins: (env.RETURN_URL_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean)
+    },
+    webhooks: {
+      publicKey: env.GHL_WEBHOOK_PUBLIC_KEY_FILE
+        ? fs.readFileSync(env.GHL_WEBHOOK_PUBLIC_KEY_FILE, 'utf8')
+        : (env.GHL_WEBHOOK_PUBLIC_KEY || '').replace(/\\n/g, '\n') || null,
+      toleranceMs: (parseInt(env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300) * 1000,
+      devMode: env.WEBHOOK_DEV_MODE === 'true'
+    },
+    deliveries: {
+      subscriptions: parseSubscriptions(
+        env.WEBHOOK_SUBSCRIPTIONS_FILE
+          ? fs.readFileSync(env.WEBHOOK_SUBSCRIPTIONS_FILE, 'utf8')
+          : env.WEBHOOK_SUBSCRIPTIONS
+      ),
+      intervalMs: (parseInt(env.DELIVERY_RETRY_INTERVAL_SECONDS, 10) || 5) * 1000,
+      maxAttempts: parseInt(env.DELIVERY_MAX_ATTEMPTS, 10) || 8,
+      backoffBaseMs: (parseInt(env.DELIVERY_BACKOFF_BASE_SECONDS, 10) || 10) * 1000,
+      backoffMaxMs: (parseInt(env.DELIVERY_BACKOFF_MAX_MINUTES, 10) || 60) * 60 * 1000
+    },
+    metrics: {
+      token: env.METRICS_TOKEN || null
+    },
+    admin: {
+      ttlMs: (parseInt(env.ADMIN_SESSION_TTL_HOURS, 10) || 8) * 60 * 60 * 1000
+    },
+    security: {
+      corsOrigins: (env.CORS_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean),
+      allowQueryApiKey: env.ALLOW_QUERY_API_KEY !== 'false',
+      ipRateLimit: parseInt(env.RATE_LIMIT_PER_IP, 10) || 300,
+      keyRateLimit: parseInt(env.RATE_LIMIT_PER_KEY, 10) || 600,
+      lockoutThreshold: parseInt(env.AUTH_LOCKOUT_THRESHOLD, 10) || 10,
+      lockoutWindowMs: (parseInt(env.AUTH_LOCKOUT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+      lockoutMs: (parseInt(env.AUTH_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+    },
+    branding: {
+      name: env.BRAND_NAME || 'Reece AI Chatbot',
+      logoUrl: env.BRAND_LOGO_URL || null,
+      primaryColor: env.BRAND_PRIMARY_COLOR || '#3b82f6',
+      darkColor: env.BRAND_DARK_COLOR || '#1e3a8a',
+      supportEmail: env.BRAND_SUPPORT_EMAIL || null,
+      defaultLocale: env.DEFAULT_LOCALE || 'en'
+    },
+    notifications: {
+      channels: parseChannels(
+        env.NOTIFY_CHANNELS_FILE
+          ? fs.readFileSync(env.NOTIFY_CHANNELS_FILE, 'utf8')
+          : env.NOTIFY_CHANNELS
+      ),
+      smtpUrl: env.SMTP_URL || null,
+      emailFrom: env.NOTIFY_EMAIL_FROM || null,
+      cooldownMs: (parseInt(env.NOTIFY_COOLDOWN_MINUTES, 10) || 60) * 60 * 1000,
+      intervalMs: (parseInt(env.NOTIFY_CHECK_INTERVAL_SECONDS, 10) || 300) * 1000,
+      expiringMs: (parseInt(env.NOTIFY_EXPIRING_MINUTES, 10) || 15) * 60 * 1000
+    },
+    health: {
+      expiringMs: (parseInt(env.READY_EXPIRING_MINUTES, 10) || 10) * 60 * 1000,
+      maxExpiringPercent: env.READY_MAX_EXPIRING_PERCENT ? parseFloat(env.READY_MAX_EXPIRING_PERCENT) : 100,
+      maxExpiredPercent: env.READY_MAX_EXPIRED_PERCENT ? parseFloat(env.READY_MAX_EXPIRED_PERCENT) : 50,
+      maxNeedsReauthPercent: env.READY_MAX_NEEDS_REAUTH_PERCENT ? parseFloat(env.READY_MAX_NEEDS_REAUTH_PERCENT) : 50
+    },
+    n8n: {
+      baseUrl: env.N8N_BASE_URL || null,
+      apiKey: env.N8N_API_KEY || null
+    },
+    backup: {
+      maxImportBytes: (parseInt(env.BACKUP_MAX_IMPORT_MB, 10) || 25) * 1024 * 1024
+    },
+    uninstall: {
+      revokeWithGhl: env.UNINSTALL_REVOKE !== 'false',
+      // Client IDs look like <appId>-<suffix>
+      appId: env.GHL_APP_ID || (env.GHL_CLIENT_ID || '').split('-')[0] || null
+    },
+    sandbox: {
+      enabled: env.SANDBOX_MODE === 'true',
+      tokenTtlMs: (parseInt(env.SANDBOX_TOKEN_TTL_SECONDS, 10) || 86399) * 1000
+    },
+    scopeProfiles: {
+      definitions: env.SCOPE_PROFILES_FILE
+        ? fs.readFileSync(env.SCOPE_PROFILES_FILE, 'utf8')
+        : env.SCOPE_PROFILES,
+      defaultProfile: env.DEFAULT_SCOPE_PROFILE || 'full'
+    },
+    apps: {
+      definitions: env.APPS_FILE
+        ? fs.readFileSync(env.APPS_FILE, 'utf8')
+        : env.APPS
+    }
+  };
+
+  if (config.sandbox.enabled) {
+    applySandbox(config, env);
+  }
+
+  const SCOPE_PROFILES = parseScopeProfiles(config.scopeProfiles.definitions, SCOPES.split(' '));
+  if (!SCOPE_PROFILES[config.scopeProfiles.defaultProfile]) {
+    throw new Error(`DEFAULT_SCOPE_PROFILE "${config.scopeProfiles.defaultProfile}" is not a defined scope profile`);
+  }
+
+  const apps = parseApps(config.apps.definitions, { config, SCOPE_PROFILES, catalog: SCOPES.split(' ') });
+
+  return { config, SCOPE_PROFILES, apps };
+}
+
+module.exports = { loadConfig, SCOPES };
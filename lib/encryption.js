@@ -0,0 +1,187 @@
+/**
+ * Token encryption at rest
+ *
+ * Envelope encryption with AES-256-GCM:
+ * - Each record gets its own random data key (DEK) that encrypts the secret
+ *   fields (accessToken, refreshToken, ...)
+ * - The DEK is wrapped with a versioned master key from TOKEN_ENCRYPTION_KEYS
+ *
+ * Rotating the master key only re-wraps the DEK of each record, the token
+ * ciphertext itself is untouched. Records written before encryption was
+ * enabled are read as plaintext and encrypted on their next write or rewrap.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FIELD_PREFIX = 'enc:';
+
+/**
+ * Parses "v1:<key>,v2:<key>" into a keyring. Keys are 32 bytes given as
+ * base64 or hex. The active key is the one named by activeKeyId, or the last
+ * one listed.
+ */
+function parseKeyring(spec, activeKeyId) {
+  const keys = new Map();
+
+  for (const entry of (spec || '').split(',').map((e) => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Encryption key entry "${entry.slice(0, 4)}..." must look like <id>:<key>`);
+    }
+    const id = entry.slice(0, separator);
+    const key = decodeKey(entry.slice(separator + 1));
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${id}" must be 32 bytes (base64 or hex encoded)`);
+    }
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    return null;
+  }
+
+  const activeId = activeKeyId || Array.from(keys.keys()).pop();
+  if (!keys.has(activeId)) {
+    throw new Error(`Active encryption key "${activeId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeId };
+}
+
+function decodeKey(value) {
+  if (/^[0-9a-f]{64}$/i.test(value)) {
+    return Buffer.from(value, 'hex');
+  }
+  return Buffer.from(value, 'base64');
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed, aad) {
+  const raw = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, raw.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Wraps a store collection so the given fields are encrypted on write and
+ * decrypted on read. Without a keyring the collection is returned as-is.
+ */
+function createEncryptedCollection(collection, keyring, fields) {
+  if (!keyring) {
+    return collection;
+  }
+
+  function masterKey(id) {
+    const key = keyring.keys.get(id);
+    if (!key) {
+      throw new Error(`Record is encrypted with unknown key "${id}"`);
+    }
+    return key;
+  }
+
+  function unwrapDataKey(id, envelope) {
+    return open(masterKey(envelope.keyId), envelope.dataKey, `dek:${id}`);
+  }
+
+  function encrypt(id, record) {
+    const dek = crypto.randomBytes(32);
+    const encrypted = { ...record };
+
+    for (const field of fields) {
+      if (typeof record[field] === 'string') {
+        encrypted[field] = FIELD_PREFIX + seal(dek, record[field], `${id}:${field}`);
+      }
+    }
+
+    encrypted._encryption = {
+      keyId: keyring.activeId,
+      dataKey: seal(masterKey(keyring.activeId), dek, `dek:${id}`)
+    };
+    return encrypted;
+  }
+
+  function decrypt(id, record) {
+    if (!record || !record._encryption) {
+      return record;
+    }
+
+    const dek = unwrapDataKey(id, record._encryption);
+    const { _encryption, ...decrypted } = record;
+
+    for (const field of fields) {
+      const value = record[field];
+      if (typeof value === 'string' && value.startsWith(FIELD_PREFIX)) {
+        decrypted[field] = open(dek, value.slice(FIELD_PREFIX.length), `${id}:${field}`).toString('utf8');
+      }
+    }
+    return decrypted;
+  }
+
+  return {
+    async get(id) {
+      return decrypt(id, await collection.get(id));
+    },
+    async set(id, record) {
+      await collection.set(id, encrypt(id, record));
+    },
+    async delete(id) {
+      return collection.delete(id);
+    },
+    async list() {
+      return (await collection.list()).map(([id, record]) => [id, decrypt(id, record)]);
+    },
+
+    /**
+     * Re-wraps every record that is unencrypted or uses a retired master key.
+     * Each record is re-read inside lock(id, fn) (the caller's refresh lock)
+     * so a refresh finishing meanwhile isn't overwritten with its rotated
+     * refresh token. Returns counts so callers can report progress.
+     */
+    async rewrap({ lock = (id, fn) => fn() } = {}) {
+      const result = { total: 0, rewrapped: 0, encrypted: 0, failed: [] };
+
+      for (const [id] of await collection.list()) {
+        result.total++;
+        try {
+          await lock(id, async () => {
+            const record = await collection.get(id);
+            if (!record) return;
+
+            if (!record._encryption) {
+              await collection.set(id, encrypt(id, record));
+              result.encrypted++;
+            } else if (record._encryption.keyId !== keyring.activeId) {
+              const dek = unwrapDataKey(id, record._encryption);
+              const { _encryption, ...rest } = record;
+              await collection.set(id, {
+                ...rest,
+                _encryption: {
+                  keyId: keyring.activeId,
+                  dataKey: seal(masterKey(keyring.activeId), dek, `dek:${id}`)
+                }
+              });
+              result.rewrapped++;
+            }
+          });
+        } catch (err) {
+          result.failed.push({ id, error: err.message });
+        }
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { parseKeyring, createEncryptedCollection };
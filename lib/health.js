@@ -0,0 +1,133 @@
+/**
+ * Liveness and readiness
+ *
+ * /healthz only says the process is serving requests. /readyz checks what
+ * the service needs to hand out working tokens:
+ *
+ * - store        - the token store answers a ping
+ * - credentials  - every registered GHL app has a client ID and secret
+ * - tokens       - every app's location and agency tokens are classified as
+ *                  fresh, expiring, expired or needs_reauth
+ *
+ * Readiness fails when the store or credentials check fails, or when the
+ * share of expired, expiring or needs_reauth tokens of either kind goes over
+ * its configured percentage. A failing scheduler shows up here as expired
+ * tokens piling up long before anyone reinstalls.
+ */
+
+const { NEEDS_REAUTH } = require('./refresh-scheduler');
+
+const STATES = ['fresh', 'expiring', 'expired', NEEDS_REAUTH];
+
+function classify(record, now, expiringMs) {
+  if (record.status === NEEDS_REAUTH) return NEEDS_REAUTH;
+  const remaining = new Date(record.expiresAt) - now;
+  if (!(remaining > 0)) return 'expired';
+  if (remaining < expiringMs) return 'expiring';
+  return 'fresh';
+}
+
+/**
+ * apps lists every registered GHL app as { id, tokenStore, companyStore,
+ * credentials: { clientId, clientSecret } }.
+ */
+function createHealthCheck({ store, apps, options = {} }) {
+  const expiringMs = options.expiringMs || 10 * 60 * 1000;
+  // Percent of tokens allowed in each state before /readyz fails
+  const thresholds = {
+    expiring: options.maxExpiringPercent ?? 100,
+    expired: options.maxExpiredPercent ?? 50,
+    [NEEDS_REAUTH]: options.maxNeedsReauthPercent ?? 50
+  };
+  const startedAt = Date.now();
+
+  function liveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+    };
+  }
+
+  async function checkStore() {
+    const started = Date.now();
+    try {
+      const ok = (await store.ping()) !== false;
+      return { ok, driver: store.driver, latencyMs: Date.now() - started };
+    } catch (err) {
+      return { ok: false, driver: store.driver, latencyMs: Date.now() - started, error: err.message };
+    }
+  }
+
+  function summarize(records, now) {
+    const counts = Object.fromEntries(STATES.map((state) => [state, 0]));
+    const entries = records.map(([app, id, record]) => {
+      const state = classify(record, now, expiringMs);
+      counts[state]++;
+      return {
+        app,
+        id,
+        state,
+        expiresAt: record.expiresAt || null,
+        lastRefreshed: record.lastRefreshed || null,
+        refreshFailures: record.refreshFailures || 0,
+        lastRefreshError: record.lastRefreshError || null
+      };
+    });
+
+    const breaches = [];
+    for (const [state, maxPercent] of Object.entries(thresholds)) {
+      const percent = records.length ? Math.round((counts[state] / records.length) * 1000) / 10 : 0;
+      if (percent > maxPercent) {
+        breaches.push({ state, count: counts[state], percent, maxPercent });
+      }
+    }
+
+    return { ok: breaches.length === 0, total: records.length, ...counts, breaches, entries };
+  }
+
+  /**
+   * Runs every check. `entries` on each token summary lists the individual
+   * tokens, callers decide whether to expose them.
+   */
+  async function readiness() {
+    const now = Date.now();
+    const storeCheck = await checkStore();
+    const credentialCheck = { ok: true, apps: {} };
+    for (const { id, credentials } of apps) {
+      credentialCheck.apps[id] = { clientId: Boolean(credentials.clientId), clientSecret: Boolean(credentials.clientSecret) };
+      credentialCheck.ok = credentialCheck.ok && Boolean(credentials.clientId && credentials.clientSecret);
+    }
+
+    let tokens = { ok: false, error: 'store unavailable' };
+    if (storeCheck.ok) {
+      try {
+        const locations = [];
+        const companies = [];
+        for (const app of apps) {
+          locations.push(...(await app.tokenStore.list()).map(([id, record]) => [app.id, id, record]));
+          companies.push(...(await app.companyStore.list()).map(([id, record]) => [app.id, id, record]));
+        }
+        tokens = {
+          ok: true,
+          locations: summarize(locations, now),
+          companies: summarize(companies, now)
+        };
+        tokens.ok = tokens.locations.ok && tokens.companies.ok;
+      } catch (err) {
+        tokens = { ok: false, error: err.message };
+      }
+    }
+
+    const ready = storeCheck.ok && credentialCheck.ok && tokens.ok;
+    return {
+      status: ready ? 'ready' : 'not_ready',
+      checkedAt: new Date(now).toISOString(),
+      thresholds: { expiringMinutes: expiringMs / 60000, maxPercent: thresholds },
+      checks: { store: storeCheck, credentials: credentialCheck, tokens }
+    };
+  }
+
+  return { liveness, readiness };
+}
+
+module.exports = { createHealthCheck };
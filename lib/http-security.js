@@ -0,0 +1,65 @@
+/**
+ * CORS allowlist and security response headers
+ *
+ * n8n and other server-side callers don't need CORS at all, so browsers only
+ * get CORS headers for origins listed in CORS_ORIGINS. `*` restores the old
+ * allow-everything behaviour.
+ */
+
+const crypto = require('crypto');
+
+const ALLOWED_HEADERS = 'Origin, X-Requested-With, Content-Type, Accept, X-Api-Key, X-Location-Id, X-Company-Id, X-Request-Id';
+const ALLOWED_METHODS = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+
+function createCorsMiddleware({ origins = [] }) {
+  const allowAll = origins.includes('*');
+
+  return function cors(req, res, next) {
+    const origin = req.headers.origin;
+    res.vary('Origin');
+
+    if (origin && (allowAll || origins.includes(origin))) {
+      res.setHeader('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+      res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+      res.setHeader('Access-Control-Allow-Methods', ALLOWED_METHODS);
+      res.setHeader('Access-Control-Max-Age', '600');
+    }
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+/**
+ * Standard hardening headers for every response. HTML pages get a strict
+ * Content-Security-Policy; inline scripts must carry res.locals.cspNonce.
+ * formActions lists extra origins forms may submit or redirect to (the GHL
+ * consent screen).
+ */
+function createSecurityHeaders({ formActions = [] } = {}) {
+  return function securityHeaders(req, res, next) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+    res.setHeader('Content-Security-Policy', [
+      "default-src 'none'",
+      `script-src 'nonce-${nonce}'`,
+      "style-src 'unsafe-inline'",
+      'img-src data: https:',
+      `form-action 'self' ${formActions.join(' ')}`.trim(),
+      "frame-ancestors 'none'",
+      "base-uri 'none'"
+    ].join('; '));
+    if (req.secure) {
+      res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    }
+    next();
+  };
+}
+
+module.exports = { createCorsMiddleware, createSecurityHeaders };
@@ -0,0 +1,99 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line on stdout/stderr:
+ *   {"time":"...","level":"info","component":"Refresh","msg":"Token refreshed","requestId":"...","locationId":"..."}
+ *
+ * - LOG_LEVEL picks the minimum level (debug, info, warn, error; default info)
+ * - LOG_FORMAT=pretty prints "[Component] msg {fields}" for local development
+ * - Log lines inside an HTTP request carry its requestId automatically
+ * - Tokens, API keys, secrets and contact PII are redacted before writing
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEYS = /token|secret|password|authorization|api[-_]?key|^key$|signature|cookie|^code$/i;
+const PII_KEYS = /^(email|phone|firstName|lastName|fullName|name|address1?|city|postalCode|dateOfBirth|body|message|contactName)$/i;
+const SECRET_PATTERNS = [
+  /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /ghk_[\w-]+/g,
+  /Bearer\s+[\w.-]+/gi
+];
+
+const requestContext = new AsyncLocalStorage();
+
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const format = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, '[REDACTED]'), value);
+}
+
+/**
+ * Returns a copy of value with secret and PII fields masked.
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 6) return '[Truncated]';
+  if (value instanceof Error) return { message: redactString(value.message), name: value.name };
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (SECRET_KEYS.test(key) && field !== null && field !== undefined && typeof field !== 'boolean') {
+      result[key] = '[REDACTED]';
+    } else if (PII_KEYS.test(key) && field !== null && field !== undefined) {
+      result[key] = '[PII]';
+    } else {
+      result[key] = redact(field, depth + 1);
+    }
+  }
+  return result;
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg: redactString(String(msg)),
+    ...(context && { requestId: context.requestId }),
+    ...redact(fields || {})
+  };
+
+  const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  if (format === 'pretty') {
+    const { time, level: _, component: __, msg: text, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${text}${extra}\n`);
+  } else {
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+}
+
+/**
+ * Returns a logger bound to a component name, e.g. createLogger('Refresh').
+ */
+function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields)
+  };
+}
+
+/**
+ * Runs fn with a request id attached to every log line written inside it.
+ */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+module.exports = { createLogger, runWithRequestId, redact };
@@ -0,0 +1,144 @@
+/**
+ * Prometheus metrics
+ *
+ * Exposed on GET /metrics in the Prometheus text format:
+ *
+ * - ghl_token_refresh_total{kind,outcome,trigger}  - refresh attempts
+ * - ghl_token_age_seconds{app,location_id}          - time since the last refresh
+ * - ghl_token_expires_in_seconds{app,location_id}   - time left on the access token
+ * - ghl_locations{app,status}                       - installed locations by status
+ * - ghl_webhooks_received_total{type}               - webhooks received
+ * - http_request_duration_seconds{method,route,status} - request latency
+ *
+ * Token gauges are computed from every app's token store on every scrape, so
+ * every replica reports the same values.
+ */
+
+const client = require('prom-client');
+
+// Array routes (['/authorize', '/apps/:appId/authorize']) are labelled with
+// the pattern that matched the request
+function routePattern(route, path) {
+  if (!Array.isArray(route.path)) return route.path;
+  const segments = path.split('/');
+  return route.path.find((pattern) => {
+    const parts = String(pattern).split('/');
+    return parts.length === segments.length && parts.every((part, i) => part.startsWith(':') || part === segments[i]);
+  }) || String(route.path[0]);
+}
+
+// tokenStores maps each GHL app id to its location token store
+function createMetrics({ tokenStores }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  const refreshes = new client.Counter({
+    name: 'ghl_token_refresh_total',
+    help: 'Token refresh attempts',
+    labelNames: ['kind', 'outcome', 'trigger'],
+    registers: [registry]
+  });
+
+  const webhooks = new client.Counter({
+    name: 'ghl_webhooks_received_total',
+    help: 'GHL webhooks received, by event type',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+  });
+
+  const tokenAge = new client.Gauge({
+    name: 'ghl_token_age_seconds',
+    help: 'Seconds since the location token was last issued or refreshed',
+    labelNames: ['app', 'location_id'],
+    registers: [registry]
+  });
+
+  const tokenExpiresIn = new client.Gauge({
+    name: 'ghl_token_expires_in_seconds',
+    help: 'Seconds until the location access token expires (negative once expired)',
+    labelNames: ['app', 'location_id'],
+    registers: [registry]
+  });
+
+  const locations = new client.Gauge({
+    name: 'ghl_locations',
+    help: 'Installed locations by token status',
+    labelNames: ['app', 'status'],
+    registers: [registry]
+  });
+
+  async function collectTokenGauges() {
+    tokenAge.reset();
+    tokenExpiresIn.reset();
+    locations.reset();
+
+    const now = Date.now();
+
+    for (const [app, tokenStore] of Object.entries(tokenStores)) {
+      const byStatus = {};
+
+      for (const [locationId, record] of await tokenStore.list()) {
+        const status = record.status || 'active';
+        byStatus[status] = (byStatus[status] || 0) + 1;
+
+        const issuedAt = record.lastRefreshed || record.installedAt;
+        if (issuedAt) {
+          tokenAge.set({ app, location_id: locationId }, (now - new Date(issuedAt)) / 1000);
+        }
+        if (record.expiresAt) {
+          tokenExpiresIn.set({ app, location_id: locationId }, (new Date(record.expiresAt) - now) / 1000);
+        }
+      }
+
+      for (const [status, count] of Object.entries(byStatus)) {
+        locations.set({ app, status }, count);
+      }
+    }
+  }
+
+  /**
+   * Express middleware timing every request. Routes are labelled by their
+   * Express pattern (/api/ghl/*) rather than the raw path to keep the label
+   * set small.
+   */
+  function httpMiddleware(req, res, next) {
+    const end = httpDuration.startTimer();
+    const { path } = req;
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${routePattern(req.route, path.slice(req.baseUrl.length))}` : 'unmatched';
+      end({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  }
+
+  function recordRefresh(kind, outcome, trigger) {
+    refreshes.inc({ kind, outcome, trigger: trigger || 'unknown' });
+  }
+
+  function recordWebhook(type) {
+    webhooks.inc({ type: type || 'unknown' });
+  }
+
+  async function render() {
+    await collectTokenGauges();
+    return registry.metrics();
+  }
+
+  return {
+    contentType: registry.contentType,
+    httpMiddleware,
+    recordRefresh,
+    recordWebhook,
+    render
+  };
+}
+
+module.exports = { createMetrics };
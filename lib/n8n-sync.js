@@ -0,0 +1,208 @@
+/**
+ * n8n credential sync
+ *
+ * Keeps n8n credentials that hold a location's GHL access token current, so
+ * workflows using a plain Header Auth or Bearer Auth credential don't go
+ * stale after the next refresh. A mapping ties a location to one n8n
+ * credential, a location can have several:
+ *   { id, locationId, credentialId, credentialType, status, lastSyncedAt,
+ *     tokenExpiresAt, lastError, lastErrorAt, failures, createdAt, createdBy }
+ *
+ * After every install and refresh the mapped credentials are updated through
+ * the n8n public API (PATCH N8N_BASE_URL/api/v1/credentials/:id with
+ * N8N_API_KEY). The update runs in the background, so a slow n8n never holds
+ * the refresh lock. The token is read from the store when the update is sent
+ * and a location's syncs run one at a time, so a slow sync never writes an
+ * older token over a newer one.
+ *
+ * Credential types:
+ * - httpHeaderAuth - Header Auth, sets Authorization: Bearer <token>
+ * - httpBearerAuth - Bearer Auth, sets the token
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('n8n');
+
+const CREDENTIAL_TYPES = {
+  httpHeaderAuth: (accessToken) => ({ name: 'Authorization', value: `Bearer ${accessToken}` }),
+  httpBearerAuth: (accessToken) => ({ token: accessToken })
+};
+const SYNC_TIMEOUT_MS = 10000;
+
+function syncError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createCredentialSync({ collection, tokenStore, options = {} }) {
+  const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+  const enabled = Boolean(baseUrl && options.apiKey);
+  // Background syncs by location, see queueSync()
+  const running = new Map();
+
+  async function list({ locationId } = {}) {
+    return (await collection.list())
+      .map(([, mapping]) => mapping)
+      .filter((mapping) => !locationId || mapping.locationId === locationId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function add({ locationId, credentialId, credentialType = 'httpHeaderAuth', createdBy = null }) {
+    if (!locationId || !credentialId) {
+      throw syncError('invalid_mapping', 'locationId and credentialId are required');
+    }
+    if (!Object.hasOwn(CREDENTIAL_TYPES, credentialType)) {
+      throw syncError('invalid_mapping', `credentialType must be one of: ${Object.keys(CREDENTIAL_TYPES).join(', ')}`);
+    }
+    const existing = (await list({ locationId })).find((mapping) => mapping.credentialId === String(credentialId));
+    if (existing) {
+      throw syncError('invalid_mapping', `Credential ${credentialId} is already mapped to location ${locationId} (${existing.id})`);
+    }
+
+    const mapping = {
+      id: crypto.randomBytes(6).toString('hex'),
+      locationId,
+      credentialId: String(credentialId),
+      credentialType,
+      status: 'pending',
+      lastSyncedAt: null,
+      tokenExpiresAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      failures: 0,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+    await collection.set(mapping.id, mapping);
+    return mapping;
+  }
+
+  async function remove(id) {
+    const mapping = await collection.get(id);
+    if (!mapping) return null;
+    await collection.delete(id);
+    return mapping;
+  }
+
+  async function push(mapping) {
+    const record = await tokenStore.get(mapping.locationId);
+    let update;
+
+    if (!record?.accessToken) {
+      // Mapped ahead of the install, or uninstalled since: nothing to push yet
+      update = { status: 'pending' };
+    } else {
+      try {
+        await axios.patch(
+          `${baseUrl}/api/v1/credentials/${encodeURIComponent(mapping.credentialId)}`,
+          { data: CREDENTIAL_TYPES[mapping.credentialType](record.accessToken) },
+          {
+            headers: {
+              'X-N8N-API-KEY': options.apiKey,
+              'Content-Type': 'application/json',
+              'Accept': 'application/json'
+            },
+            timeout: SYNC_TIMEOUT_MS
+          }
+        );
+        update = { status: 'synced', lastSyncedAt: new Date().toISOString(), tokenExpiresAt: record.expiresAt, lastError: null, failures: 0 };
+      } catch (err) {
+        const detail = err.response?.data?.message;
+        update = { status: 'failed', lastError: err.response ? `HTTP ${err.response.status}${detail ? `: ${detail}` : ''}` : err.message };
+      }
+    }
+
+    if (update.status === 'failed') {
+      update.lastErrorAt = new Date().toISOString();
+      update.failures = (mapping.failures || 0) + 1;
+      log.error('Credential sync failed', { mappingId: mapping.id, locationId: mapping.locationId, credentialId: mapping.credentialId, error: update.lastError });
+    } else if (update.status === 'synced') {
+      log.info('Credential synced', { mappingId: mapping.id, locationId: mapping.locationId, credentialId: mapping.credentialId });
+    }
+
+    // The mapping may have been removed while the request was in flight
+    const current = await collection.get(mapping.id);
+    if (!current) return { ...mapping, ...update };
+    const updated = { ...current, ...update };
+    await collection.set(mapping.id, updated);
+    return updated;
+  }
+
+  /**
+   * Pushes the location's current token to every credential mapped to it.
+   * Runs after installs and refreshes, never throws.
+   */
+  async function syncLocation(locationId) {
+    if (!enabled) return [];
+    try {
+      const results = [];
+      for (const mapping of await list({ locationId })) {
+        results.push(await push(mapping));
+      }
+      return results;
+    } catch (err) {
+      log.error('Failed to sync location credentials', { locationId, error: err.message });
+      return [];
+    }
+  }
+
+  /**
+   * Runs syncLocation() in the background. While a location is syncing,
+   * further requests collapse into one more run once it finishes, which reads
+   * the newest token. The returned promise settles when the location is
+   * synced, callers don't need to wait for it.
+   */
+  function queueSync(locationId) {
+    if (!enabled) return Promise.resolve([]);
+    const current = running.get(locationId);
+    if (current) {
+      current.again = true;
+      return current.done;
+    }
+
+    const entry = { again: false };
+    entry.done = (async () => {
+      let results;
+      do {
+        entry.again = false;
+        results = await syncLocation(locationId);
+      } while (entry.again);
+      running.delete(locationId);
+      return results;
+    })();
+    running.set(locationId, entry);
+    return entry.done;
+  }
+
+  // Resolves once every background sync has finished, e.g. before the CLI exits
+  async function idle() {
+    await Promise.all([...running.values()].map((entry) => entry.done));
+  }
+
+  /**
+   * Syncs one mapping, every mapping of a location, or all of them.
+   */
+  async function resync({ mappingId, locationId } = {}) {
+    if (!enabled) {
+      throw syncError('not_configured', 'Set N8N_BASE_URL and N8N_API_KEY to sync n8n credentials');
+    }
+    const mappings = (await list({ locationId })).filter((mapping) => !mappingId || mapping.id === mappingId);
+    if (mappingId && !mappings.length) {
+      throw syncError('not_found', `No credential mapping ${mappingId}`);
+    }
+
+    const results = [];
+    for (const mapping of mappings) {
+      results.push(await push(mapping));
+    }
+    return results;
+  }
+
+  return { enabled, list, add, remove, syncLocation, queueSync, idle, resync };
+}
+
+module.exports = { createCredentialSync, CREDENTIAL_TYPES };
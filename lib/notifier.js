@@ -0,0 +1,306 @@
+/**
+ * Alert notifications
+ *
+ * Tells a human when a location stops getting working tokens:
+ *
+ * - refresh.failed        - a refresh failed, the scheduler will retry
+ * - token.needs_reauth    - GHL rejected the refresh token (invalid_grant)
+ * - location.uninstalled  - a location or agency was uninstalled
+ * - token.expiring        - a token is about to expire and hasn't been refreshed
+ *
+ * Channels come from NOTIFY_CHANNELS (JSON) or NOTIFY_CHANNELS_FILE:
+ *   [{ "type": "slack", "url": "https://hooks.slack.com/services/..." },
+ *    { "type": "webhook", "url": "https://ops/alerts", "secret": "optional", "events": ["token.needs_reauth"] },
+ *    { "type": "email", "to": ["ops@example.com"] }]
+ * Email goes through the SMTP server in SMTP_URL.
+ *
+ * Each event and subject (app and location or company) alerts once per cool-down
+ * window; repeats inside the window are counted and reported with the next
+ * alert. State lives in the store and is claimed with a store lock, so
+ * replicas don't alert twice for the same failure. A successful refresh
+ * clears the state, so the next failure alerts straight away.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { NEEDS_REAUTH } = require('./refresh-scheduler');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Notify');
+
+const EVENTS = {
+  'refresh.failed': { severity: 'warning', title: 'Token refresh failed' },
+  'token.needs_reauth': { severity: 'critical', title: 'Re-authorization needed' },
+  'location.uninstalled': { severity: 'info', title: 'App uninstalled' },
+  'token.expiring': { severity: 'warning', title: 'Token expiring without refresh' },
+  test: { severity: 'info', title: 'Test notification' }
+};
+const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+const SEVERITY_ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+const SEND_TIMEOUT_MS = 10000;
+const CLAIM_TTL_MS = 30 * 1000;
+
+function parseChannels(raw) {
+  if (!raw) return [];
+
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list)) {
+    throw new Error('Notification channels must be a JSON array');
+  }
+
+  return list.map((channel, index) => {
+    const id = channel.id || `${channel.type}-${index + 1}`;
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`Notification channel ${id} has unknown type "${channel.type}" (expected one of: ${CHANNEL_TYPES.join(', ')})`);
+    }
+    if (channel.type === 'email' ? !channel.to : !channel.url) {
+      throw new Error(`Notification channel ${id} is missing ${channel.type === 'email' ? 'to' : 'url'}`);
+    }
+    const unknown = (channel.events || []).filter((event) => !EVENTS[event]);
+    if (unknown.length) {
+      throw new Error(`Notification channel ${id} has unknown events: ${unknown.join(', ')}`);
+    }
+    return {
+      id,
+      type: channel.type,
+      url: channel.url || null,
+      secret: channel.secret || null,
+      to: channel.to ? [].concat(channel.to) : null,
+      from: channel.from || null,
+      events: channel.events && channel.events.length ? channel.events : ['*']
+    };
+  });
+}
+
+function formatText(alert) {
+  const lines = [`${SEVERITY_ICONS[alert.severity]} ${alert.title}: ${alert.message}`];
+  if (alert.suppressed) {
+    lines.push(`(${alert.suppressed} more since ${alert.suppressedSince})`);
+  }
+  return lines.join('\n');
+}
+
+function createNotifier({ store, collection, channels = [], options = {} }) {
+  const cooldownMs = options.cooldownMs || 60 * 60 * 1000;
+  const appName = options.appName || 'GHL OAuth Service';
+  const emailChannels = channels.filter((channel) => channel.type === 'email');
+
+  let mailer = null;
+  if (emailChannels.length) {
+    if (!options.smtpUrl) {
+      throw new Error('Email notification channels need SMTP_URL');
+    }
+    const missingFrom = emailChannels.find((channel) => !channel.from && !options.emailFrom);
+    if (missingFrom) {
+      throw new Error(`Notification channel ${missingFrom.id} needs a from address or NOTIFY_EMAIL_FROM`);
+    }
+    // Bounded like the webhook and Slack sends, nodemailer's defaults wait minutes
+    mailer = nodemailer.createTransport({
+      url: options.smtpUrl,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      greetingTimeout: SEND_TIMEOUT_MS,
+      socketTimeout: SEND_TIMEOUT_MS
+    });
+  }
+
+  const senders = {
+    async webhook(channel, alert) {
+      const body = JSON.stringify(alert);
+      const headers = { 'Content-Type': 'application/json' };
+      if (channel.secret) {
+        headers['X-Notify-Signature'] = crypto.createHmac('sha256', channel.secret).update(body).digest('hex');
+      }
+      await axios.post(channel.url, body, { headers, timeout: SEND_TIMEOUT_MS });
+    },
+
+    // Slack incoming webhooks, also accepted by Mattermost, Rocket.Chat and Discord's /slack endpoint
+    async slack(channel, alert) {
+      await axios.post(channel.url, { text: `*${appName}*\n${formatText(alert)}` }, { timeout: SEND_TIMEOUT_MS });
+    },
+
+    async email(channel, alert) {
+      await mailer.sendMail({
+        from: channel.from || options.emailFrom,
+        to: channel.to.join(', '),
+        subject: `[${appName}] ${alert.title}${alert.locationId ? ` (${alert.locationId})` : ''}`,
+        text: `${formatText(alert)}\n\n${JSON.stringify(alert.details, null, 2)}\n\nSent at ${alert.at}`
+      });
+    }
+  };
+
+  async function send(alert) {
+    const targets = channels.filter((channel) => channel.events.includes('*') || channel.events.includes(alert.event) || alert.event === 'test');
+    const results = await Promise.allSettled(targets.map((channel) => senders[channel.type](channel, alert)));
+
+    return results.map((result, index) => {
+      const channel = targets[index];
+      if (result.status === 'rejected') {
+        const error = result.reason.response?.status ? `HTTP ${result.reason.response.status}` : result.reason.message;
+        log.error('Notification failed', { channel: channel.id, event: alert.event, error });
+        return { channel: channel.id, ok: false, error };
+      }
+      return { channel: channel.id, ok: true };
+    });
+  }
+
+  function subjectKey(event, subject) {
+    const app = subject.app ? `${subject.app}:` : '';
+    return `${event}:${app}${subject.companyId && !subject.locationId ? `company:${subject.companyId}` : subject.locationId}`;
+  }
+
+  /**
+   * Sends an alert unless the same event for the same subject already went
+   * out within the cool-down window. Never throws.
+   */
+  async function notify(event, { app = null, locationId = null, companyId = null, message, details = {} }) {
+    if (!channels.length) return { sent: false, reason: 'no_channels' };
+
+    const key = subjectKey(event, { app, locationId, companyId });
+    const lockName = `notify:${key}`;
+    try {
+      const lockToken = await store.acquireLock(lockName, CLAIM_TTL_MS);
+      if (!lockToken) {
+        // Another replica is sending this alert right now
+        return { sent: false, reason: 'duplicate' };
+      }
+
+      try {
+        const now = Date.now();
+        const state = await collection.get(key);
+        if (state && now - Date.parse(state.lastSentAt) < cooldownMs) {
+          await collection.set(key, {
+            ...state,
+            suppressed: (state.suppressed || 0) + 1,
+            suppressedSince: state.suppressedSince || new Date(now).toISOString()
+          });
+          log.debug('Alert suppressed by cool-down', { event, locationId, companyId });
+          return { sent: false, reason: 'cooldown' };
+        }
+
+        const alert = {
+          event,
+          severity: EVENTS[event].severity,
+          title: EVENTS[event].title,
+          message,
+          app,
+          locationId,
+          companyId,
+          details,
+          suppressed: state?.suppressed || 0,
+          suppressedSince: state?.suppressedSince || null,
+          at: new Date(now).toISOString()
+        };
+        await collection.set(key, { event, app, locationId, companyId, lastSentAt: alert.at, suppressed: 0, suppressedSince: null });
+
+        log.info('Sending alert', { event, locationId, companyId });
+        return { sent: true, results: await send(alert) };
+      } finally {
+        await store.releaseLock(lockName, lockToken);
+      }
+    } catch (err) {
+      log.error('Failed to process alert', { event, locationId, companyId, error: err.message });
+      return { sent: false, reason: 'error' };
+    }
+  }
+
+  /**
+   * Clears the cool-down for an event once the problem is fixed, e.g. after
+   * a successful refresh.
+   */
+  async function resolve(event, subject) {
+    if (!channels.length) return;
+    try {
+      await collection.delete(subjectKey(event, subject));
+    } catch (err) {
+      log.error('Failed to clear alert state', { event, error: err.message });
+    }
+  }
+
+  /**
+   * Sends a test alert to every channel, ignoring cool-downs and event filters.
+   */
+  async function test() {
+    return send({
+      event: 'test',
+      severity: EVENTS.test.severity,
+      title: EVENTS.test.title,
+      message: 'Notifications are set up correctly.',
+      locationId: null,
+      companyId: null,
+      details: { channels: channels.map((channel) => channel.id) },
+      suppressed: 0,
+      suppressedSince: null,
+      at: new Date().toISOString()
+    });
+  }
+
+  return {
+    channels: channels.map(({ secret, ...channel }) => channel),
+    notify,
+    resolve,
+    test
+  };
+}
+
+/**
+ * Alerts for tokens that are about to expire without having been refreshed,
+ * which means the refresh scheduler is stuck or failing silently. Locations
+ * already flagged needs_reauth have had their own alert. apps lists every
+ * registered GHL app as { id, tokenStore, companyStore }.
+ */
+function createExpiryWatch({ notifier, apps, options = {} }) {
+  const intervalMs = options.intervalMs || 5 * 60 * 1000;
+  const expiringMs = options.expiringMs || 15 * 60 * 1000;
+  let timer = null;
+
+  async function checkCollection(app, collection, kind) {
+    const now = Date.now();
+    for (const [id, record] of await collection.list()) {
+      if (record.status === NEEDS_REAUTH || !record.expiresAt) continue;
+      const remaining = new Date(record.expiresAt) - now;
+      if (remaining > expiringMs) continue;
+
+      const when = remaining > 0 ? `expires in ${Math.ceil(remaining / 60000)} minutes` : `expired at ${record.expiresAt}`;
+      await notifier.notify('token.expiring', {
+        app,
+        locationId: kind === 'location' ? id : null,
+        companyId: kind === 'company' ? id : record.companyId || null,
+        message: `The ${kind} token for ${id} ${when} and has not been refreshed`,
+        details: {
+          kind,
+          expiresAt: record.expiresAt,
+          lastRefreshed: record.lastRefreshed || null,
+          refreshFailures: record.refreshFailures || 0,
+          lastRefreshError: record.lastRefreshError || null
+        }
+      });
+    }
+  }
+
+  async function check() {
+    try {
+      for (const { id, tokenStore, companyStore } of apps) {
+        await checkCollection(id, tokenStore, 'location');
+        await checkCollection(id, companyStore, 'company');
+      }
+    } catch (err) {
+      log.error('Expiry check failed', { error: err.message });
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(check, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    check
+  };
+}
+
+module.exports = { createNotifier, createExpiryWatch, parseChannels, EVENTS };
@@ -0,0 +1,150 @@
+/**
+ * OAuth state parameter
+ *
+ * /authorize issues a state value that is HMAC-signed, expires after a few
+ * minutes and can be consumed exactly once by /oauth/callback. This blocks
+ * login-CSRF and injected authorization codes. The state also carries an
+ * optional return URL, a caller-supplied tag (e.g. the n8n workspace that
+ * started the install), the scope profile and the app being installed through
+ * the GHL consent screen.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('State');
+
+const MAX_TAG_LENGTH = 200;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+function stateError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function createStateManager({ secret, collection, options = {} }) {
+  const ttlMs = options.ttlMs || 10 * 60 * 1000;
+  const allowedReturnOrigins = options.allowedReturnOrigins || [];
+  // Without a baseUrl, relative paths are still checked against a placeholder
+  const baseUrl = options.baseUrl || 'https://service.invalid';
+  const baseOrigin = new URL(baseUrl).origin;
+  const allowedOrigins = options.baseUrl ? [baseOrigin, ...allowedReturnOrigins] : allowedReturnOrigins;
+
+  function sign(payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+  }
+
+  /**
+   * Relative paths must stay on the service's own origin (options.baseUrl)
+   * and absolute URLs must be on the allowlist, so the callback can't be
+   * turned into an open redirect.
+   */
+  function validateReturnUrl(returnUrl) {
+    if (!returnUrl) return null;
+
+    if (typeof returnUrl !== 'string') {
+      throw stateError('invalid_return_url', 'returnUrl must be a single URL');
+    }
+    // Browsers read "/\evil.com" as "//evil.com"
+    if (/[\\\p{Cc}]/u.test(returnUrl)) {
+      throw stateError('invalid_return_url', 'returnUrl must not contain backslashes or control characters');
+    }
+
+    const relative = returnUrl.startsWith('/');
+    let parsed;
+    try {
+      parsed = relative ? new URL(returnUrl, baseUrl) : new URL(returnUrl);
+    } catch (err) {
+      throw stateError('invalid_return_url', 'returnUrl must be a relative path or an absolute URL');
+    }
+
+    if (relative && parsed.origin === baseOrigin) {
+      return parsed.pathname + parsed.search + parsed.hash;
+    }
+    if (!allowedOrigins.includes(parsed.origin)) {
+      throw stateError('invalid_return_url', `returnUrl origin ${parsed.origin} is not allowed`);
+    }
+    return parsed.toString();
+  }
+
+  async function pruneExpired() {
+    const now = Date.now();
+    for (const [nonce, entry] of await collection.list()) {
+      if (entry.expiresAt < now) {
+        await collection.delete(nonce);
+      }
+    }
+  }
+
+  async function issue({ returnUrl, tag, profile, app } = {}) {
+    if (tag && String(tag).length > MAX_TAG_LENGTH) {
+      throw stateError('invalid_tag', `tag must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+
+    const now = Date.now();
+    const data = {
+      nonce: crypto.randomBytes(16).toString('hex'),
+      iat: now,
+      exp: now + ttlMs,
+      returnUrl: validateReturnUrl(returnUrl),
+      tag: tag ? String(tag) : null,
+      profile: profile || null,
+      app: app || null
+    };
+
+    await pruneExpired().catch((err) => {
+      log.error('Failed to prune expired states', { error: err.message });
+    });
+    await collection.set(data.nonce, { expiresAt: data.exp });
+
+    const payload = base64url(JSON.stringify(data));
+    return `${payload}.${sign(payload)}`;
+  }
+
+  /**
+   * Verifies the signature and expiry, then burns the nonce. Throws an error
+   * with a code of missing_state, invalid_state, expired_state or
+   * reused_state.
+   */
+  async function consume(state) {
+    if (!state) {
+      throw stateError('missing_state', 'The authorization response did not include a state parameter');
+    }
+
+    const [payload, signature] = String(state).split('.');
+    const expected = payload ? sign(payload) : '';
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw stateError('invalid_state', 'The state parameter signature is invalid');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      throw stateError('invalid_state', 'The state parameter could not be decoded');
+    }
+
+    if (data.exp < Date.now()) {
+      await collection.delete(data.nonce);
+      throw stateError('expired_state', 'The authorization request has expired, please start again');
+    }
+
+    if (!(await collection.delete(data.nonce))) {
+      throw stateError('reused_state', 'This authorization request has already been used');
+    }
+
+    return { returnUrl: data.returnUrl, tag: data.tag, profile: data.profile || null, app: data.app || null, issuedAt: new Date(data.iat).toISOString() };
+  }
+
+  return { issue, consume };
+}
+
+module.exports = { createStateManager };
@@ -0,0 +1,105 @@
+/**
+ * Rate limiting and bad-key lockout
+ *
+ * Fixed-window counters kept in process memory. With several replicas each
+ * one enforces the limit on its own, which is good enough to stop a runaway
+ * workflow or a key-guessing script without a round-trip to the store on
+ * every request.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function startSweeper(entries, isStale) {
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (isStale(entry, now)) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Allows `limit` hits per key per window.
+ */
+function createRateLimiter({ limit, windowMs = 60 * 1000 }) {
+  const windows = new Map();
+  startSweeper(windows, (entry, now) => entry.resetAt <= now);
+
+  function hit(key) {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+
+    return {
+      allowed: entry.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      resetAt: entry.resetAt
+    };
+  }
+
+  return { hit };
+}
+
+/**
+ * Locks a key (client IP) out after `threshold` failures within `windowMs`.
+ */
+function createLockout({ threshold, windowMs = 15 * 60 * 1000, lockoutMs = 15 * 60 * 1000 }) {
+  const failures = new Map();
+  startSweeper(failures, (entry, now) => entry.lockedUntil <= now && entry.windowStart + windowMs <= now);
+
+  /**
+   * Returns the time the lockout ends, or null if the key isn't locked.
+   */
+  function lockedUntil(key) {
+    const entry = failures.get(key);
+    return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil : null;
+  }
+
+  /**
+   * Counts a failure. Returns true when this failure triggered a lockout.
+   */
+  function recordFailure(key) {
+    const now = Date.now();
+    let entry = failures.get(key);
+    if (!entry || entry.windowStart + windowMs <= now) {
+      entry = { count: 0, windowStart: now, lockedUntil: 0 };
+      failures.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count >= threshold && entry.lockedUntil <= now) {
+      entry.lockedUntil = now + lockoutMs;
+      entry.count = 0;
+      entry.windowStart = now;
+      return true;
+    }
+    return false;
+  }
+
+  function reset(key) {
+    failures.delete(key);
+  }
+
+  return { lockedUntil, recordFailure, reset };
+}
+
+/**
+ * Sets the draft IETF RateLimit-* headers, and Retry-After when limited.
+ */
+function setRateLimitHeaders(res, result) {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.setHeader('RateLimit-Limit', result.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', resetSeconds);
+  if (!result.allowed) {
+    res.setHeader('Retry-After', resetSeconds);
+  }
+}
+
+module.exports = { createRateLimiter, createLockout, setRateLimitHeaders };
@@ -0,0 +1,139 @@
+/**
+ * Proactive token refresh scheduler
+ *
+ * Walks the token store on an interval and refreshes every location whose
+ * access token expires within the refresh window. Each location gets a stable
+ * jitter so installs done together don't all refresh on the same tick.
+ *
+ * Failed refreshes back off exponentially (with jitter) and the retry time is
+ * stored on the record, so a restart doesn't hammer GHL. Locations whose
+ * refresh token was rejected are marked needs_reauth by refreshToken() and
+ * skipped until they are reinstalled.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const NEEDS_REAUTH = 'needs_reauth';
+
+const log = createLogger('Scheduler');
+
+function createRefreshScheduler({ tokenStore, refresh, options = {} }) {
+  const intervalMs = options.intervalMs || 60 * 1000;
+  const refreshAheadMs = options.refreshAheadMs || 30 * 60 * 1000;
+  const jitterMs = options.jitterMs || 5 * 60 * 1000;
+  const backoffBaseMs = options.backoffBaseMs || 30 * 1000;
+  const backoffMaxMs = options.backoffMaxMs || 30 * 60 * 1000;
+
+  let timer = null;
+  let running = false;
+
+  // Stable per-location offset in [0, jitterMs)
+  function jitterFor(locationId) {
+    const hash = crypto.createHash('sha256').update(locationId).digest();
+    return hash.readUInt32BE(0) % jitterMs;
+  }
+
+  function backoffDelay(failures) {
+    const exponential = Math.min(backoffBaseMs * 2 ** (failures - 1), backoffMaxMs);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  function isDue(locationId, record, now) {
+    // Agency-minted location tokens have no refresh token, they are re-minted
+    if (record.status === NEEDS_REAUTH || !(record.refreshToken || record.source === 'agency')) {
+      return false;
+    }
+    if (record.nextRefreshAttempt && new Date(record.nextRefreshAttempt) > now) {
+      return false;
+    }
+    const remaining = new Date(record.expiresAt) - now;
+    return remaining < refreshAheadMs + jitterFor(locationId);
+  }
+
+  async function recordFailure(locationId, err) {
+    const current = await tokenStore.get(locationId);
+    if (!current || current.status === NEEDS_REAUTH) {
+      return;
+    }
+
+    const failures = (current.refreshFailures || 0) + 1;
+    const nextAttempt = new Date(Date.now() + backoffDelay(failures));
+
+    await tokenStore.set(locationId, {
+      ...current,
+      refreshFailures: failures,
+      lastRefreshError: err.response?.data?.error_description || err.response?.data?.error || err.message,
+      lastRefreshErrorAt: new Date().toISOString(),
+      nextRefreshAttempt: nextAttempt.toISOString()
+    });
+
+    log.warn('Refresh failed, backing off', { locationId, attempt: failures, retryAt: nextAttempt.toISOString() });
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+
+    const summary = { checked: 0, refreshed: 0, failed: 0, needsReauth: 0 };
+
+    try {
+      const now = new Date();
+
+      for (const [locationId, record] of await tokenStore.list()) {
+        summary.checked++;
+        if (record.status === NEEDS_REAUTH) {
+          summary.needsReauth++;
+          continue;
+        }
+        if (!isDue(locationId, record, now)) {
+          continue;
+        }
+
+        try {
+          await refresh(record, locationId);
+          summary.refreshed++;
+        } catch (err) {
+          summary.failed++;
+          if (err.needsReauth) {
+            summary.needsReauth++;
+          } else {
+            await recordFailure(locationId, err);
+          }
+        }
+      }
+
+      if (summary.refreshed || summary.failed) {
+        log.info('Refresh tick complete', summary);
+      }
+    } catch (err) {
+      log.error('Tick failed', { error: err.message });
+    } finally {
+      running = false;
+    }
+
+    return summary;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await tick();
+      if (timer) schedule();
+    }, intervalMs);
+    timer.unref();
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createRefreshScheduler, NEEDS_REAUTH };
@@ -0,0 +1,604 @@
+/**
+ * Sandbox GHL provider
+ *
+ * With SANDBOX_MODE=true server.js mounts this router at /sandbox and points
+ * the service at it instead of GHL, so the whole install → token → refresh →
+ * uninstall cycle runs locally with no network and no marketplace app:
+ *
+ * - GET/POST /oauth/chooselocation  - consent page listing sample locations
+ * - POST /oauth/token               - authorization_code and refresh_token grants
+ * - DELETE /marketplace/app/:appId/installations - uninstall a location
+ * - GET/POST /contacts/, GET /contacts/:id
+ * - GET /conversations/search, GET /conversations/:id/messages,
+ *   POST /conversations/messages
+ * - GET /calendars/, GET /calendars/:id/free-slots
+ * - POST /webhooks/:type            - send a signed sample webhook
+ *
+ * Every registered GHL app is a sandbox client: the consent page and token
+ * endpoint check the client ID, secret and redirect URI of the app named by
+ * client_id, and codes and refresh tokens only work for the client they were
+ * issued to.
+ *
+ * Like GHL, refresh tokens are single use and rotate on every refresh, access
+ * tokens expire after SANDBOX_TOKEN_TTL_SECONDS and API calls check the
+ * token's scopes and location. Webhooks are signed with a key pair generated
+ * at startup that the webhook verifier is configured to trust. Codes, grants,
+ * installs and created records live in sandbox* store collections.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const express = require('express');
+const { html } = require('./views/html');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Sandbox');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const SLOT_HOURS = [9, 10, 11, 13, 14, 15, 16];
+const MAX_SLOT_DAYS = 31;
+
+const LOCATIONS = [
+  { id: 'sbxLoc0000000000001', name: 'Sandbox Dental', companyId: 'sbxCompany000000001' },
+  { id: 'sbxLoc0000000000002', name: 'Sandbox Fitness', companyId: 'sbxCompany000000001' },
+  { id: 'sbxLoc0000000000003', name: 'Sandbox Realty', companyId: 'sbxCompany000000002' }
+];
+const SAMPLE_PEOPLE = [
+  { firstName: 'Ana', lastName: 'Silva', phone: '+15555550101' },
+  { firstName: 'Marc', lastName: 'Joseph', phone: '+15555550102' },
+  { firstName: 'Lucía', lastName: 'Gómez', phone: '+15555550103' }
+];
+const SAMPLE_EVENTS = ['INSTALL', 'UNINSTALL', 'ContactCreate', 'InboundMessage', 'OutboundMessage', 'AppointmentCreate'];
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function newId(prefix) {
+  return `${prefix}${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Fixed records every sample location starts with, ids derive from the location
+function seedRecords(location) {
+  const suffix = location.id.slice(-1);
+  const contacts = SAMPLE_PEOPLE.map((person, index) => ({
+    id: `sbxContact${suffix}0000000${index + 1}`,
+    locationId: location.id,
+    ...person,
+    contactName: `${person.firstName} ${person.lastName}`,
+    email: `${person.firstName.toLowerCase()}@example.com`,
+    tags: ['sandbox'],
+    dateAdded: '2024-01-01T00:00:00.000Z'
+  }));
+  const conversations = contacts.map((contact, index) => ({
+    id: `sbxConv${suffix}0000000000${index + 1}`,
+    locationId: location.id,
+    contactId: contact.id,
+    fullName: contact.contactName,
+    type: 'TYPE_PHONE',
+    lastMessageType: 'TYPE_SMS',
+    lastMessageBody: 'Hi, is this still available?',
+    unreadCount: 1
+  }));
+  const messages = conversations.map((conversation, index) => ({
+    id: `sbxMsg${suffix}00000000000${index + 1}`,
+    conversationId: conversation.id,
+    locationId: location.id,
+    contactId: conversation.contactId,
+    type: 2,
+    messageType: 'TYPE_SMS',
+    direction: 'inbound',
+    body: conversation.lastMessageBody,
+    dateAdded: '2024-01-01T09:00:00.000Z'
+  }));
+  const calendars = [{
+    id: `sbxCal${suffix}000000000001`,
+    locationId: location.id,
+    name: `${location.name} Appointments`,
+    slotDuration: 30,
+    isActive: true
+  }];
+  return { contacts, conversations, messages, calendars };
+}
+
+/**
+ * apps lists every registered GHL app as { id, config }, config carrying the
+ * app's clientId, clientSecret, redirectUri and uninstall.appId.
+ */
+function createSandbox({ config, store, apps = [{ id: 'default', config }] }) {
+  const codes = store.collection('sandboxCodes');
+  const grants = store.collection('sandboxGrants');
+  const installs = store.collection('sandboxInstalls');
+  const records = store.collection('sandboxRecords');
+  // Access tokens are signed per process, a restart makes them fail with 401
+  // and the service refreshes, the same as an expired GHL token
+  const signingKey = crypto.randomBytes(32);
+  const seeds = Object.fromEntries(LOCATIONS.map((location) => [location.id, seedRecords(location)]));
+  const clients = new Map(apps.map((app) => [app.config.clientId, {
+    clientId: app.config.clientId,
+    clientSecret: app.config.clientSecret,
+    redirectUri: app.config.redirectUri,
+    marketplaceAppId: app.config.uninstall.appId
+  }]));
+
+  const router = express.Router();
+
+  // ---------------------------------------------------------------------------
+  // Tokens
+  // ---------------------------------------------------------------------------
+
+  function signAccessToken(grant) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+      authClass: 'Location',
+      authClassId: grant.locationId,
+      source: 'INTEGRATION',
+      sourceId: grant.clientId,
+      channel: 'OAUTH',
+      primaryAuthClassId: grant.locationId,
+      oauthMeta: { scopes: grant.scope.split(' ').filter(Boolean), client: clients.get(grant.clientId).marketplaceAppId },
+      iat: now,
+      exp: now + Math.floor(config.sandbox.tokenTtlMs / 1000)
+    })}`;
+    return `${body}.${crypto.createHmac('sha256', signingKey).update(body).digest('base64url')}`;
+  }
+
+  function verifyAccessToken(token) {
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!signature) return null;
+    const expected = crypto.createHmac('sha256', signingKey).update(`${header}.${payload}`).digest('base64url');
+    const provided = Buffer.from(signature);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, Buffer.from(expected))) {
+      return null;
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  }
+
+  async function issueTokens(grant) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    await grants.set(hash(refreshToken), { ...grant, issuedAt: new Date().toISOString() });
+    return {
+      access_token: signAccessToken(grant),
+      token_type: 'Bearer',
+      expires_in: Math.floor(config.sandbox.tokenTtlMs / 1000),
+      refresh_token: refreshToken,
+      scope: grant.scope,
+      userType: 'Location',
+      locationId: grant.locationId,
+      companyId: grant.companyId,
+      userId: grant.userId
+    };
+  }
+
+  function oauthError(res, status, error, description) {
+    return res.status(status).json({ error, error_description: description });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Webhooks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Signs and posts an event to the service's /webhook/ghl the way GHL does.
+   * Resolves with the response status, never throws.
+   */
+  async function sendWebhook(event) {
+    const body = JSON.stringify({ ...event, webhookId: crypto.randomUUID(), timestamp: new Date().toISOString() });
+    const signature = crypto.sign('sha256', Buffer.from(body), config.sandbox.webhookPrivateKey).toString('base64');
+    try {
+      const response = await axios.post(config.sandbox.webhookUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'x-wh-signature': signature },
+        validateStatus: () => true,
+        timeout: 10000
+      });
+      log.info('Sent sample webhook', { type: event.type, locationId: event.locationId || null, status: response.status });
+      return { status: response.status, body: response.data };
+    } catch (err) {
+      log.error('Sample webhook failed', { type: event.type, error: err.message });
+      return { status: null, error: err.message };
+    }
+  }
+
+  async function uninstall(location) {
+    await installs.set(location.id, { ...(await installs.get(location.id)), uninstalledAt: new Date().toISOString() });
+    for (const [id, grant] of await grants.list()) {
+      if (grant.locationId === location.id) {
+        await grants.delete(id);
+      }
+    }
+    log.info('Sandbox install removed', { locationId: location.id });
+  }
+
+  function sampleEvent(type, location, body) {
+    const base = { type, locationId: location.id };
+    const seed = seeds[location.id];
+    const contact = seed.contacts[0];
+    const conversation = seed.conversations[0];
+
+    switch (type) {
+      case 'INSTALL':
+        return { ...base, appId: config.uninstall.appId, companyId: location.companyId, userId: 'sbxUser000000000001', installType: 'Location' };
+      case 'UNINSTALL':
+        return { ...base, appId: config.uninstall.appId, companyId: location.companyId };
+      case 'ContactCreate':
+        return { ...base, id: newId('sbxContact'), firstName: 'Sam', lastName: 'Sample', phone: '+15555550199', tags: ['sandbox'], dateAdded: new Date().toISOString() };
+      case 'InboundMessage':
+      case 'OutboundMessage':
+        return {
+          ...base,
+          contactId: contact.id,
+          conversationId: conversation.id,
+          messageId: newId('sbxMsg'),
+          messageType: 'SMS',
+          direction: type === 'InboundMessage' ? 'inbound' : 'outbound',
+          body: body.message || (type === 'InboundMessage' ? 'Can I book for tomorrow?' : 'Sure, what time works?'),
+          dateAdded: new Date().toISOString()
+        };
+      case 'AppointmentCreate': {
+        const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        return {
+          ...base,
+          appointment: {
+            id: newId('sbxAppt'),
+            calendarId: seed.calendars[0].id,
+            contactId: contact.id,
+            title: `Appointment with ${contact.contactName}`,
+            appointmentStatus: 'confirmed',
+            startTime: start.toISOString(),
+            endTime: new Date(start.getTime() + 30 * 60 * 1000).toISOString()
+          }
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // OAuth
+  // ---------------------------------------------------------------------------
+
+  function consentPage({ query, error }) {
+    const scopes = String(query.scope || '').split(' ').filter(Boolean);
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Sandbox - Choose a location</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f1f5f9; padding: 40px; }
+      .container { max-width: 520px; margin: 0 auto; background: white; border-radius: 12px; padding: 32px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); }
+      .banner { background: #fef3c7; border: 1px solid #fcd34d; border-radius: 8px; padding: 10px 14px; font-size: 13px; margin-bottom: 20px; }
+      label { display: block; padding: 12px; border: 1px solid #e2e8f0; border-radius: 8px; margin: 8px 0; cursor: pointer; }
+      small { color: #64748b; }
+      button { padding: 10px 20px; border-radius: 8px; border: none; margin-right: 8px; cursor: pointer; }
+      .allow { background: #2563eb; color: white; }
+      .error { color: #dc2626; }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="banner">Sandbox mode: this is a local stand-in for the GHL consent screen.</div>
+      ${error
+        ? html`<h2 class="error">Invalid authorization request</h2><p>${error}</p>`
+        : html`<h2>Choose a location</h2>
+      <p><small>The app is asking for ${scopes.length} scopes.</small></p>
+      <form method="post" action="/sandbox/oauth/chooselocation">
+        ${LOCATIONS.map((location, index) => html`
+        <label><input type="radio" name="locationId" value="${location.id}" ${index === 0 ? html`checked` : ''}>
+          ${location.name} <small>${location.id}</small></label>`)}
+        <input type="hidden" name="client_id" value="${query.client_id}">
+        <input type="hidden" name="redirect_uri" value="${query.redirect_uri}">
+        <input type="hidden" name="scope" value="${query.scope}">
+        <input type="hidden" name="state" value="${query.state || ''}">
+        <button class="allow" name="decision" value="allow">Allow</button>
+        <button name="decision" value="deny">Deny</button>
+      </form>`}
+    </div>
+  </body>
+</html>`);
+  }
+
+  // The registered app a client_id belongs to, or null
+  function findClient(clientId) {
+    return (typeof clientId === 'string' && clients.get(clientId)) || null;
+  }
+
+  function checkAuthorizationRequest(params) {
+    const client = findClient(params.client_id);
+    if (!client) return `Unknown client_id "${params.client_id || ''}"`;
+    if (params.redirect_uri !== client.redirectUri) return `redirect_uri must be ${client.redirectUri}`;
+    if (!params.scope) return 'scope is required';
+    return null;
+  }
+
+  router.get('/oauth/chooselocation', (req, res) => {
+    const error = checkAuthorizationRequest(req.query);
+    res.status(error ? 400 : 200).send(consentPage({ query: req.query, error }));
+  });
+
+  router.post('/oauth/chooselocation', asyncRoute(async (req, res) => {
+    const params = req.body || {};
+    const error = checkAuthorizationRequest(params);
+    const location = LOCATIONS.find((candidate) => candidate.id === params.locationId);
+    if (error || !location) {
+      return res.status(400).send(consentPage({ query: params, error: error || 'Choose one of the listed locations' }));
+    }
+
+    const callback = new URL(params.redirect_uri);
+    if (params.state) callback.searchParams.set('state', params.state);
+
+    if (params.decision !== 'allow') {
+      callback.searchParams.set('error', 'access_denied');
+      callback.searchParams.set('error_description', 'The user denied the authorization request');
+      return res.redirect(303, callback.toString());
+    }
+
+    const client = findClient(params.client_id);
+    const code = crypto.randomBytes(20).toString('hex');
+    await codes.set(hash(code), {
+      clientId: client.clientId,
+      locationId: location.id,
+      companyId: location.companyId,
+      userId: 'sbxUser000000000001',
+      scope: params.scope,
+      redirectUri: params.redirect_uri,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    await installs.set(location.id, { installedAt: new Date().toISOString(), uninstalledAt: null });
+
+    log.info('Sandbox consent granted', { locationId: location.id });
+    callback.searchParams.set('code', code);
+    res.redirect(303, callback.toString());
+
+    // GHL announces the install separately from the code exchange
+    setImmediate(() => sendWebhook({ ...sampleEvent('INSTALL', location, {}), appId: client.marketplaceAppId }));
+  }));
+
+  router.post('/oauth/token', asyncRoute(async (req, res) => {
+    const params = req.body || {};
+    const client = findClient(params.client_id);
+    if (!client || params.client_secret !== client.clientSecret) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (params.grant_type === 'authorization_code') {
+      const key = hash(params.code);
+      const code = await codes.get(key);
+      await codes.delete(key);
+      if (!code || code.expiresAt < Date.now() || code.clientId !== client.clientId) {
+        return oauthError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+      }
+      if (params.redirect_uri !== code.redirectUri) {
+        return oauthError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+      const { expiresAt, redirectUri, ...grant } = code;
+      return res.json(await issueTokens(grant));
+    }
+
+    if (params.grant_type === 'refresh_token') {
+      const key = hash(params.refresh_token);
+      const grant = await grants.get(key);
+      if (!grant || grant.clientId !== client.clientId) {
+        return oauthError(res, 400, 'invalid_grant', 'Invalid refresh token');
+      }
+      // Single use: the old refresh token stops working once it is exchanged
+      await grants.delete(key);
+      const { issuedAt, ...rest } = grant;
+      log.debug('Sandbox token refreshed', { locationId: grant.locationId });
+      return res.json(await issueTokens(rest));
+    }
+
+    return oauthError(res, 400, 'unsupported_grant_type', `grant_type "${params.grant_type || ''}" is not supported by the sandbox`);
+  }));
+
+  // ---------------------------------------------------------------------------
+  // API
+  // ---------------------------------------------------------------------------
+
+  function apiError(res, status, message) {
+    return res.status(status).json({ statusCode: status, message });
+  }
+
+  /**
+   * Checks the bearer token like GHL: valid and unexpired, install still
+   * active, and granted one of `scopes` (any token when none are given).
+   * Sets req.sandbox to the location and req.sandboxAppId to the marketplace
+   * app the token was issued for.
+   */
+  const requireToken = (...scopes) => asyncRoute(async (req, res, next) => {
+    const claims = verifyAccessToken((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    if (!claims) {
+      return apiError(res, 401, 'Invalid JWT');
+    }
+    const install = await installs.get(claims.authClassId);
+    if (!install || install.uninstalledAt || claims.iat * 1000 < Date.parse(install.installedAt) - 1000) {
+      return apiError(res, 401, 'The app is not installed for this location');
+    }
+    if (scopes.length && !scopes.some((scope) => claims.oauthMeta.scopes.includes(scope))) {
+      return apiError(res, 403, 'The token is not authorized for this scope.');
+    }
+
+    const requested = req.query.locationId || req.body?.locationId;
+    if (requested && requested !== claims.authClassId) {
+      return apiError(res, 403, 'The token does not have access to this location.');
+    }
+    req.sandbox = LOCATIONS.find((location) => location.id === claims.authClassId);
+    req.sandboxAppId = claims.oauthMeta.client;
+    next();
+  });
+
+  async function listRecords(kind, locationId) {
+    const created = (await records.list())
+      .map(([, record]) => record)
+      .filter((record) => record.kind === kind && record.locationId === locationId)
+      .map(({ kind: omitted, ...record }) => record);
+    return [...seeds[locationId][`${kind}s`], ...created];
+  }
+
+  router.get('/contacts/', requireToken('contacts.readonly', 'contacts.write'), asyncRoute(async (req, res) => {
+    const query = String(req.query.query || '').toLowerCase();
+    const contacts = (await listRecords('contact', req.sandbox.id))
+      .filter((contact) => !query || `${contact.contactName} ${contact.email} ${contact.phone}`.toLowerCase().includes(query));
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    res.json({ contacts: contacts.slice(0, limit), meta: { total: contacts.length } });
+  }));
+
+  router.get('/contacts/:contactId', requireToken('contacts.readonly', 'contacts.write'), asyncRoute(async (req, res) => {
+    const contact = (await listRecords('contact', req.sandbox.id)).find((candidate) => candidate.id === req.params.contactId);
+    if (!contact) {
+      return apiError(res, 400, 'Contact not found');
+    }
+    res.json({ contact });
+  }));
+
+  router.post('/contacts/', requireToken('contacts.write'), asyncRoute(async (req, res) => {
+    const { firstName = '', lastName = '', email = null, phone = null, tags = [] } = req.body || {};
+    if (!firstName && !email && !phone) {
+      return apiError(res, 422, 'One of firstName, email or phone is required');
+    }
+    const contact = {
+      id: newId('sbxContact'),
+      locationId: req.sandbox.id,
+      firstName,
+      lastName,
+      contactName: `${firstName} ${lastName}`.trim(),
+      email,
+      phone,
+      tags,
+      dateAdded: new Date().toISOString()
+    };
+    await records.set(contact.id, { kind: 'contact', ...contact });
+    res.status(201).json({ contact });
+    setImmediate(() => sendWebhook({ type: 'ContactCreate', ...contact }));
+  }));
+
+  router.get('/conversations/search', requireToken('conversations.readonly', 'conversations.write'), asyncRoute(async (req, res) => {
+    const conversations = (await listRecords('conversation', req.sandbox.id))
+      .filter((conversation) => !req.query.contactId || conversation.contactId === req.query.contactId);
+    res.json({ conversations, total: conversations.length });
+  }));
+
+  router.get('/conversations/:conversationId/messages', requireToken('conversations/message.readonly', 'conversations/message.write'), asyncRoute(async (req, res) => {
+    const messages = (await listRecords('message', req.sandbox.id))
+      .filter((message) => message.conversationId === req.params.conversationId);
+    res.json({ messages: { messages, nextPage: false, lastMessageId: messages.length ? messages[messages.length - 1].id : null } });
+  }));
+
+  router.post('/conversations/messages', requireToken('conversations/message.write'), asyncRoute(async (req, res) => {
+    const { type = 'SMS', contactId, message } = req.body || {};
+    const conversation = (await listRecords('conversation', req.sandbox.id)).find((candidate) => candidate.contactId === contactId);
+    if (!conversation || !message) {
+      return apiError(res, 422, conversation ? 'message is required' : 'Unknown contactId');
+    }
+    const sent = {
+      id: newId('sbxMsg'),
+      conversationId: conversation.id,
+      locationId: req.sandbox.id,
+      contactId,
+      type: 2,
+      messageType: `TYPE_${String(type).toUpperCase()}`,
+      direction: 'outbound',
+      body: message,
+      dateAdded: new Date().toISOString()
+    };
+    await records.set(sent.id, { kind: 'message', ...sent });
+    res.json({ conversationId: conversation.id, messageId: sent.id, msg: 'Message queued successfully.' });
+    setImmediate(() => sendWebhook({
+      type: 'OutboundMessage',
+      locationId: sent.locationId,
+      contactId,
+      conversationId: sent.conversationId,
+      messageId: sent.id,
+      messageType: String(type).toUpperCase(),
+      direction: 'outbound',
+      body: message,
+      dateAdded: sent.dateAdded
+    }));
+  }));
+
+  router.get('/calendars/', requireToken('calendars.readonly', 'calendars.write'), asyncRoute(async (req, res) => {
+    res.json({ calendars: await listRecords('calendar', req.sandbox.id) });
+  }));
+
+  // startDate and endDate are epoch milliseconds, as in the GHL API
+  router.get('/calendars/:calendarId/free-slots', requireToken('calendars.readonly', 'calendars.write'), asyncRoute(async (req, res) => {
+    const calendar = seeds[req.sandbox.id].calendars.find((candidate) => candidate.id === req.params.calendarId);
+    if (!calendar) {
+      return apiError(res, 400, 'Calendar not found');
+    }
+    const start = new Date(parseInt(req.query.startDate, 10) || Date.now());
+    const end = new Date(parseInt(req.query.endDate, 10) || start.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return apiError(res, 422, 'startDate and endDate must be epoch milliseconds with endDate after startDate');
+    }
+
+    const slots = {};
+    const day = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+    for (let i = 0; i < MAX_SLOT_DAYS && day <= end; i++, day.setUTCDate(day.getUTCDate() + 1)) {
+      if ([0, 6].includes(day.getUTCDay())) continue;
+      slots[day.toISOString().slice(0, 10)] = {
+        slots: SLOT_HOURS.map((hour) => new Date(day.getTime() + hour * 60 * 60 * 1000).toISOString())
+      };
+    }
+    res.json(slots);
+  }));
+
+  router.delete('/marketplace/app/:appId/installations', requireToken(), asyncRoute(async (req, res) => {
+    if (req.params.appId !== req.sandboxAppId) {
+      return apiError(res, 404, `Unknown app ${req.params.appId}`);
+    }
+    await uninstall(req.sandbox);
+    res.json({ success: true });
+    setImmediate(() => sendWebhook({ ...sampleEvent('UNINSTALL', req.sandbox, {}), appId: req.sandboxAppId }));
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Sample webhooks
+  // ---------------------------------------------------------------------------
+
+  // UNINSTALL also removes the sandbox install, like uninstalling from the
+  // GHL app marketplace
+  router.post('/webhooks/:type', asyncRoute(async (req, res) => {
+    const type = SAMPLE_EVENTS.find((candidate) => candidate.toLowerCase() === req.params.type.toLowerCase());
+    const location = LOCATIONS.find((candidate) => candidate.id === (req.body?.locationId || LOCATIONS[0].id));
+    if (!type || !location) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: type ? 'Unknown sandbox locationId' : `type must be one of: ${SAMPLE_EVENTS.join(', ')}`,
+        locations: LOCATIONS.map((candidate) => candidate.id)
+      });
+    }
+
+    if (type === 'UNINSTALL') {
+      await uninstall(location);
+    }
+    const event = sampleEvent(type, location, req.body || {});
+    const delivery = await sendWebhook(event);
+    res.status(delivery.status ? 200 : 502).json({ sent: !!delivery.status, event, delivery });
+  }));
+
+  router.get('/', (req, res) => {
+    res.json({
+      sandbox: true,
+      clientId: config.clientId,
+      locations: LOCATIONS,
+      webhookTypes: SAMPLE_EVENTS,
+      authorize: '/authorize'
+    });
+  });
+
+  return router;
+}
+
+// Same as server.js' asyncHandler, Express 4 drops rejected promises
+function asyncRoute(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
+
+module.exports = { createSandbox };
@@ -0,0 +1,80 @@
+/**
+ * Scope profiles
+ *
+ * Named subsets of the app's scopes, picked per install link with
+ * /authorize?profile=<name>. Built-in profiles can be overridden and new ones
+ * added through SCOPE_PROFILES (JSON) or SCOPE_PROFILES_FILE:
+ *   { "reporting": ["contacts.readonly", "opportunities.readonly", "conversations/reports.readonly"] }
+ *
+ * An entry ending in `*` matches every catalog scope starting with the text
+ * before it; `*` alone is the whole catalog. Every scope must be in the
+ * catalog (the scopes enabled on the GHL app), so a typo fails at startup
+ * instead of on the consent screen.
+ */
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const BUILT_IN_PROFILES = {
+  full: ['*'],
+  'chatbot-minimal': [
+    'contacts.readonly',
+    'contacts.write',
+    'conversations*',
+    'calendars.readonly',
+    'calendars.write',
+    'calendars/events.readonly',
+    'calendars/events.write',
+    'locations.readonly'
+  ],
+  payments: [
+    'payments/*',
+    'products*',
+    'invoices*',
+    'charges*',
+    'contacts.readonly',
+    'locations.readonly'
+  ]
+};
+
+function expandEntry(entry, catalog) {
+  if (entry === '*') return catalog;
+  if (entry.endsWith('*')) {
+    const prefix = entry.slice(0, -1);
+    return catalog.filter((scope) => scope.startsWith(prefix));
+  }
+  return catalog.includes(entry) ? [entry] : [];
+}
+
+/**
+ * Merges configured profiles over the built-in ones and expands them against
+ * the catalog. Throws when a profile is malformed or asks for a scope the
+ * app doesn't have.
+ */
+function parseScopeProfiles(raw, catalog) {
+  const configured = raw ? JSON.parse(raw) : {};
+  if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+    throw new Error('Scope profiles must be a JSON object of profile name to scope list');
+  }
+
+  const profiles = {};
+  for (const [name, entries] of Object.entries({ ...BUILT_IN_PROFILES, ...configured })) {
+    if (!PROFILE_NAME.test(name)) {
+      throw new Error(`Scope profile name "${name}" may only contain letters, digits, "-" and "_"`);
+    }
+    if (!Array.isArray(entries) || !entries.length) {
+      throw new Error(`Scope profile "${name}" must be a non-empty list of scopes`);
+    }
+
+    const unknown = entries.filter((entry) => !expandEntry(entry, catalog).length);
+    if (unknown.length) {
+      throw new Error(`Scope profile "${name}" uses scopes that are not enabled on the app: ${unknown.join(', ')}`);
+    }
+
+    const scopes = new Set(entries.flatMap((entry) => expandEntry(entry, catalog)));
+    // Keep catalog order so the consent screen groups scopes the same way
+    profiles[name] = catalog.filter((scope) => scopes.has(scope));
+  }
+  return profiles;
+}
+
+module.exports = { parseScopeProfiles, BUILT_IN_PROFILES };
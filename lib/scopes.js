@@ -0,0 +1,63 @@
+/**
+ * Granted scopes
+ *
+ * GHL returns the granted scopes as a space-separated `scope` field on token
+ * responses. Older responses and agency-minted location tokens sometimes
+ * leave it out, but the access token is a JWT that carries them in
+ * oauthMeta.scopes, so we fall back to decoding it. The signature is not
+ * verified, the token came straight from GHL and the claims are only used
+ * for reporting.
+ */
+
+/**
+ * Returns the JWT payload of an access token, or null if it isn't a JWT.
+ */
+function decodeTokenClaims(accessToken) {
+  const parts = String(accessToken || '').split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function scopesFromClaims(claims) {
+  const scopes = claims?.oauthMeta?.scopes;
+  return Array.isArray(scopes) ? scopes : null;
+}
+
+/**
+ * Scopes granted by a GHL token response, or null when neither the response
+ * nor the access token says.
+ */
+function grantedScopesFromResponse(tokens) {
+  if (tokens.scope) {
+    return String(tokens.scope).split(' ').filter(Boolean);
+  }
+  return scopesFromClaims(decodeTokenClaims(tokens.access_token));
+}
+
+/**
+ * Scopes granted to a stored token record, decoding the access token for
+ * records saved before scopes were tracked.
+ */
+function grantedScopesForRecord(record) {
+  if (Array.isArray(record.scopes) && record.scopes.length) {
+    return record.scopes;
+  }
+  return scopesFromClaims(decodeTokenClaims(record.accessToken)) || [];
+}
+
+function diffScopes(requested, granted) {
+  const grantedSet = new Set(granted);
+  const requestedSet = new Set(requested);
+  return {
+    missing: requested.filter((scope) => !grantedSet.has(scope)),
+    extra: granted.filter((scope) => !requestedSet.has(scope))
+  };
+}
+
+module.exports = { decodeTokenClaims, grantedScopesFromResponse, grantedScopesForRecord, diffScopes };
@@ -0,0 +1,131 @@
+/**
+ * Shared service wiring
+ *
+ * Builds the store, encrypted token collections, API key registry, audit
+ * log, delivery queue, notifier, n8n credential sync, token lifecycle helpers
+ * and backups from a config object. server.js and the admin CLI both start from here so they always
+ * agree on collection names and encryption.
+ *
+ * Every registered GHL app gets its own token collections, credential sync
+ * and token service under apps[appId]. The top-level tokenStore,
+ * companyStore, uninstalledLocations, credentialSync and tokens are the
+ * default app's.
+ */
+
+const { createStore } = require('./store');
+const { parseKeyring, createEncryptedCollection } = require('./encryption');
+const { createSingleFlight } = require('./single-flight');
+const { createKeyRegistry } = require('./api-keys');
+const { createAuditLog } = require('./audit');
+const { createDeliveryQueue } = require('./webhook-delivery');
+const { createMetrics } = require('./metrics');
+const { createTokenService } = require('./token-service');
+const { createBackupManager } = require('./backup');
+const { createNotifier } = require('./notifier');
+const { createCredentialSync } = require('./n8n-sync');
+const { appCollectionName, appAuthorizePath, DEFAULT_APP_ID } = require('./app-registry');
+
+function createServices(config, apps) {
+  const store = createStore(config.store);
+  const keyring = parseKeyring(config.encryption.keys, config.encryption.activeKeyId);
+
+  const collectionsByApp = {};
+  for (const { id: appId } of apps) {
+    collectionsByApp[appId] = {
+      tokenStore: createEncryptedCollection(
+        store.collection(appCollectionName('tokens', appId)),
+        keyring,
+        ['accessToken', 'refreshToken']
+      ),
+      companyStore: createEncryptedCollection(
+        store.collection(appCollectionName('companies', appId)),
+        keyring,
+        ['accessToken', 'refreshToken']
+      ),
+      // Tombstones for disconnected locations: { locationId, companyId, uninstalledAt, source }
+      uninstalledLocations: store.collection(appCollectionName('uninstalledLocations', appId))
+    };
+  }
+
+  const keyRegistry = createKeyRegistry({
+    collection: store.collection('apiKeys'),
+    rootKey: config.apiKey
+  });
+
+  const audit = createAuditLog({ log: store.log('audit') });
+
+  const deliveryQueue = createDeliveryQueue({
+    store,
+    subscriptions: config.deliveries.subscriptions,
+    options: config.deliveries
+  });
+
+  const metrics = createMetrics({
+    tokenStores: Object.fromEntries(Object.entries(collectionsByApp).map(([appId, { tokenStore }]) => [appId, tokenStore]))
+  });
+
+  const notifier = createNotifier({
+    store,
+    collection: store.collection('notifications'),
+    channels: config.notifications.channels,
+    options: { ...config.notifications, appName: config.branding.name }
+  });
+
+  const ghlApps = {};
+  for (const app of apps) {
+    const collections = collectionsByApp[app.id];
+    const refreshFlight = createSingleFlight({
+      store,
+      prefix: app.id === DEFAULT_APP_ID ? '' : `${app.id}:`,
+      options: config.refreshLock
+    });
+    const credentialSync = createCredentialSync({
+      collection: store.collection(appCollectionName('n8nCredentials', app.id)),
+      tokenStore: collections.tokenStore,
+      options: config.n8n
+    });
+
+    ghlApps[app.id] = {
+      id: app.id,
+      config: app.config,
+      SCOPE_PROFILES: app.SCOPE_PROFILES,
+      ...collections,
+      credentialSync,
+      refreshFlight,
+      tokens: createTokenService({
+        config: app.config,
+        appId: app.id,
+        authorizePath: appAuthorizePath(app.id),
+        ...collections,
+        refreshFlight,
+        audit,
+        metrics,
+        notifier,
+        credentialSync,
+        deliveryQueue
+      })
+    };
+  }
+
+  const { tokenStore, companyStore, uninstalledLocations, credentialSync, tokens } = ghlApps[DEFAULT_APP_ID];
+  const backup = createBackupManager({ apps: ghlApps });
+
+  return {
+    store,
+    keyring,
+    tokenStore,
+    companyStore,
+    uninstalledLocations,
+    keyRegistry,
+    audit,
+    deliveryQueue,
+    metrics,
+    notifier,
+    credentialSync,
+    tokens,
+    backup,
+    apps: ghlApps
+  };
+}
+
+module.exports = { createServices };
@@ -0,0 +1,68 @@
+/**
+ * Single-flight coordination
+ *
+ * GHL rotates the refresh token on every refresh, so two refreshes racing
+ * with the same old token can leave a location with a revoked token. run()
+ * collapses concurrent calls for the same key into one promise inside this
+ * process, and holds a store lock while the work runs so other replicas wait
+ * their turn instead of refreshing in parallel.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Lock');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// prefix keeps lock names apart when several flights share a store
+function createSingleFlight({ store, prefix = '', options = {} }) {
+  const lockTtlMs = options.lockTtlMs || 30 * 1000;
+  const lockWaitMs = options.lockWaitMs || 35 * 1000;
+  const pollMs = options.pollMs || 250;
+  const inflight = new Map();
+
+  async function acquire(name) {
+    const deadline = Date.now() + lockWaitMs;
+
+    while (Date.now() < deadline) {
+      const token = await store.acquireLock(name, lockTtlMs);
+      if (token) return token;
+      await sleep(pollMs);
+    }
+    throw new Error(`Timed out waiting for lock ${name}`);
+  }
+
+  /**
+   * Runs fn while holding the key's store lock. Unlike run() it never joins
+   * a call already in flight, so fn always runs, after any refresh in
+   * progress for the key.
+   */
+  async function exclusive(key, fn) {
+    const name = `refresh:${prefix}${key}`;
+    const lockToken = await acquire(name);
+    try {
+      return await fn();
+    } finally {
+      await store.releaseLock(name, lockToken).catch((err) => {
+        log.error('Failed to release lock', { lock: name, error: err.message });
+      });
+    }
+  }
+
+  function run(key, fn) {
+    if (inflight.has(key)) {
+      return inflight.get(key);
+    }
+
+    const promise = exclusive(key, fn).finally(() => {
+      inflight.delete(key);
+    });
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  return { run, exclusive };
+}
+
+module.exports = { createSingleFlight };
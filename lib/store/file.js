@@ -0,0 +1,243 @@
+/**
+ * File-backed store adapter
+ *
+ * Each collection is kept as one JSON file in the data directory
+ * (TOKEN_STORE_DIR, default ./data). Writes go to a temp file and are renamed
+ * into place so a crash mid-write never leaves a truncated file behind. Mount
+ * the directory on a Railway volume so it survives redeploys.
+ *
+ * Logs are newline-delimited JSON files (<name>.ndjson) opened in append mode.
+ *
+ * Locks are lock files created with O_EXCL in <dataDir>/locks, so replicas
+ * sharing the same volume coordinate with each other.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+function createFileStore(options = {}) {
+  const dataDir = path.resolve(options.dataDir || './data');
+  const collections = new Map();
+
+  function collection(name) {
+    if (collections.has(name)) {
+      return collections.get(name);
+    }
+
+    const filePath = path.join(dataDir, `${name}.json`);
+    let records = null;
+    let loadedMtime = null;
+    let pendingWrite = Promise.resolve();
+    let loading = null;
+
+    // Concurrent callers share one read so they all update the same map
+    function load() {
+      if (!loading) {
+        loading = reload().finally(() => {
+          loading = null;
+        });
+      }
+      return loading;
+    }
+
+    // Reloads when the file changed on disk, e.g. written by another replica
+    async function reload() {
+      await pendingWrite.catch(() => {});
+
+      let stat = null;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      if (records && (stat ? stat.mtimeMs : null) === loadedMtime) {
+        return records;
+      }
+
+      try {
+        const raw = await fs.promises.readFile(filePath, 'utf8');
+        records = new Map(Object.entries(JSON.parse(raw)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        records = new Map();
+      }
+      loadedMtime = stat ? stat.mtimeMs : null;
+      return records;
+    }
+
+    // Writes are chained so concurrent set/delete calls can't interleave
+    function persist() {
+      const snapshot = JSON.stringify(Object.fromEntries(records), null, 2);
+
+      pendingWrite = pendingWrite
+        .catch(() => {})
+        .then(async () => {
+          // Replicas sharing a volume can all be PID 1
+          const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+          await fs.promises.mkdir(dataDir, { recursive: true });
+          await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+          await fs.promises.rename(tmpPath, filePath);
+          loadedMtime = (await fs.promises.stat(filePath)).mtimeMs;
+        });
+
+      return pendingWrite;
+    }
+
+    const api = {
+      async get(id) {
+        const map = await load();
+        return map.has(id) ? map.get(id) : null;
+      },
+      async set(id, record) {
+        const map = await load();
+        map.set(id, record);
+        await persist();
+      },
+      async delete(id) {
+        const map = await load();
+        const existed = map.delete(id);
+        if (existed) await persist();
+        return existed;
+      },
+      async list() {
+        const map = await load();
+        return Array.from(map.entries());
+      }
+    };
+
+    collections.set(name, api);
+    return api;
+  }
+
+  function log(name) {
+    const filePath = path.join(dataDir, `${name}.ndjson`);
+
+    return {
+      async append(entry) {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+      },
+      async *read() {
+        let stream;
+        try {
+          await fs.promises.access(filePath);
+          stream = fs.createReadStream(filePath, 'utf8');
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+
+        for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+          if (line.trim()) {
+            yield JSON.parse(line);
+          }
+        }
+      }
+    };
+  }
+
+  const lockDir = path.join(dataDir, 'locks');
+
+  function lockPath(name) {
+    return path.join(lockDir, `${encodeURIComponent(name)}.lock`);
+  }
+
+  async function acquireLock(name, ttlMs) {
+    const file = lockPath(name);
+    const token = crypto.randomBytes(16).toString('hex');
+    await fs.promises.mkdir(lockDir, { recursive: true });
+
+    try {
+      await fs.promises.writeFile(file, JSON.stringify({ token, expiresAt: Date.now() + ttlMs }), { flag: 'wx' });
+      return token;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    if (await breakStaleLock(file, ttlMs)) {
+      return acquireLock(name, ttlMs);
+    }
+    return null;
+  }
+
+  // A lock file we can't parse is either being written right now or was left
+  // half-written by a crash, so it only counts as stale once it is old
+  function isStale(raw, stat, ttlMs) {
+    try {
+      return JSON.parse(raw).expiresAt < Date.now();
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      return stat.mtimeMs + ttlMs < Date.now();
+    }
+  }
+
+  /**
+   * Removes a lock whose holder died without releasing it. The file is
+   * renamed aside first so only one waiter gets to break it, and put back if
+   * it turns out another waiter already broke it and took the lock again.
+   * Returns true when the lock is free to take.
+   */
+  async function breakStaleLock(file, ttlMs) {
+    let raw;
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+      raw = await fs.promises.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return true;
+      throw err;
+    }
+    if (!isStale(raw, stat, ttlMs)) return false;
+
+    const aside = `${file}.${crypto.randomBytes(4).toString('hex')}.stale`;
+    try {
+      await fs.promises.rename(file, aside);
+    } catch (err) {
+      if (err.code === 'ENOENT') return true;
+      throw err;
+    }
+
+    if ((await fs.promises.readFile(aside, 'utf8')) !== raw) {
+      await fs.promises.link(aside, file).catch((err) => {
+        if (err.code !== 'EEXIST') throw err;
+      });
+      await fs.promises.unlink(aside);
+      return false;
+    }
+    await fs.promises.unlink(aside);
+    return true;
+  }
+
+  async function releaseLock(name, token) {
+    const file = lockPath(name);
+    try {
+      const held = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      if (held.token !== token) return false;
+      await fs.promises.unlink(file);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  return {
+    driver: 'file',
+    dataDir,
+    collection,
+    log,
+    acquireLock,
+    releaseLock,
+    async ping() {
+      await fs.promises.mkdir(dataDir, { recursive: true });
+      await fs.promises.access(dataDir, fs.constants.R_OK | fs.constants.W_OK);
+      return true;
+    },
+    async close() {}
+  };
+}
+
+module.exports = { createFileStore };
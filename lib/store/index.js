@@ -0,0 +1,41 @@
+/**
+ * Storage adapters
+ *
+ * Every adapter exposes named collections with the same async interface:
+ * - get(id)          - Returns the stored record or null
+ * - set(id, record)  - Creates or replaces a record
+ * - delete(id)       - Removes a record, resolves true if it existed
+ * - list()           - Returns all records as [id, record] pairs
+ *
+ * and append-only logs via log(name):
+ * - append(entry)    - Adds an entry at the end of the log
+ * - read()           - Async iterator over all entries, oldest first
+ *
+ * Adapters also implement ping() for connectivity checks, close() for
+ * shutdown, and acquireLock(name, ttlMs) / releaseLock(name, token) for
+ * coordinating work across replicas. The driver is picked with the
+ * TOKEN_STORE environment variable.
+ */
+
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+const DRIVERS = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  redis: createRedisStore
+};
+
+function createStore(options = {}) {
+  const driver = options.driver || 'file';
+  const factory = DRIVERS[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown token store driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return factory(options);
+}
+
+module.exports = { createStore, DRIVERS };
@@ -0,0 +1,34 @@
+/**
+ * In-process lock table
+ *
+ * Used by the memory driver. Locks expire after their TTL so a crashed holder
+ * can't block a location forever.
+ */
+
+const crypto = require('crypto');
+
+function createLocalLocks() {
+  const locks = new Map();
+
+  return {
+    async acquireLock(name, ttlMs) {
+      const existing = locks.get(name);
+      if (existing && existing.expiresAt > Date.now()) {
+        return null;
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      locks.set(name, { token, expiresAt: Date.now() + ttlMs });
+      return token;
+    },
+    async releaseLock(name, token) {
+      const existing = locks.get(name);
+      if (existing && existing.token === token) {
+        locks.delete(name);
+        return true;
+      }
+      return false;
+    }
+  };
+}
+
+module.exports = { createLocalLocks };
@@ -0,0 +1,66 @@
+/**
+ * In-memory store adapter
+ *
+ * Records are lost on restart. Useful for local development and tests only.
+ */
+
+const { createLocalLocks } = require('./local-locks');
+
+function createMemoryStore() {
+  const collections = new Map();
+  const locks = createLocalLocks();
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    const records = collections.get(name);
+
+    return {
+      async get(id) {
+        return records.has(id) ? records.get(id) : null;
+      },
+      async set(id, record) {
+        records.set(id, record);
+      },
+      async delete(id) {
+        return records.delete(id);
+      },
+      async list() {
+        return Array.from(records.entries());
+      }
+    };
+  }
+
+  const logs = new Map();
+
+  function log(name) {
+    if (!logs.has(name)) {
+      logs.set(name, []);
+    }
+    const entries = logs.get(name);
+
+    return {
+      async append(entry) {
+        entries.push(entry);
+      },
+      async *read() {
+        yield* entries.slice();
+      }
+    };
+  }
+
+  return {
+    driver: 'memory',
+    collection,
+    log,
+    acquireLock: locks.acquireLock,
+    releaseLock: locks.releaseLock,
+    async ping() {
+      return true;
+    },
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStore };
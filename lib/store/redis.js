@@ -0,0 +1,111 @@
+/**
+ * Redis store adapter
+ *
+ * Works with anything that speaks the Redis protocol (Redis, Valkey, KeyDB,
+ * Upstash, Railway's Redis plugin). Each collection is one hash keyed by
+ * `${prefix}${collection}` with JSON-encoded records as values.
+ *
+ * Logs are Redis streams under `${prefix}log:${name}`.
+ *
+ * Locks use SET NX PX under `${prefix}lock:${name}` and are released with a
+ * compare-and-delete script so a slow holder can't drop someone else's lock.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Store');
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+function createRedisStore(options = {}) {
+  if (!options.redisUrl) {
+    throw new Error('REDIS_URL must be set when TOKEN_STORE=redis');
+  }
+
+  // Required lazily so the other drivers don't need the package loaded
+  const Redis = require('ioredis');
+  const client = new Redis(options.redisUrl, { maxRetriesPerRequest: 3 });
+  const prefix = options.redisPrefix || 'ghl-oauth:';
+
+  client.on('error', (err) => {
+    log.error('Redis error', { error: err.message });
+  });
+
+  function collection(name) {
+    const key = `${prefix}${name}`;
+
+    return {
+      async get(id) {
+        const raw = await client.hget(key, id);
+        return raw ? JSON.parse(raw) : null;
+      },
+      async set(id, record) {
+        await client.hset(key, id, JSON.stringify(record));
+      },
+      async delete(id) {
+        const removed = await client.hdel(key, id);
+        return removed > 0;
+      },
+      async list() {
+        const all = await client.hgetall(key);
+        return Object.entries(all).map(([id, raw]) => [id, JSON.parse(raw)]);
+      }
+    };
+  }
+
+  function eventLog(name) {
+    const key = `${prefix}log:${name}`;
+
+    return {
+      async append(entry) {
+        await client.xadd(key, '*', 'entry', JSON.stringify(entry));
+      },
+      async *read() {
+        let start = '-';
+        for (;;) {
+          const batch = await client.xrange(key, start, '+', 'COUNT', 500);
+          for (const [, fields] of batch) {
+            yield JSON.parse(fields[1]);
+          }
+          if (batch.length < 500) return;
+          start = `(${batch[batch.length - 1][0]}`;
+        }
+      }
+    };
+  }
+
+  async function acquireLock(name, ttlMs) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const result = await client.set(`${prefix}lock:${name}`, token, 'PX', ttlMs, 'NX');
+    return result === 'OK' ? token : null;
+  }
+
+  async function releaseLock(name, token) {
+    const removed = await client.eval(RELEASE_SCRIPT, 1, `${prefix}lock:${name}`, token);
+    return removed === 1;
+  }
+
+  return {
+    driver: 'redis',
+    client,
+    prefix,
+    collection,
+    log: eventLog,
+    acquireLock,
+    releaseLock,
+    async ping() {
+      return (await client.ping()) === 'PONG';
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,417 @@
+/**
+ * Token lifecycle
+ *
+ * Refreshing, minting and uninstalling location tokens, shared by the HTTP
+ * routes, the background schedulers and the admin CLI so every path goes
+ * through the same store lock, audit entries and metrics.
+ */
+
+const axios = require('axios');
+const { NEEDS_REAUTH } = require('./refresh-scheduler');
+const { grantedScopesFromResponse } = require('./scopes');
+const { createLogger } = require('./logger');
+
+const log = {
+  refresh: createLogger('Refresh'),
+  agency: createLogger('Agency'),
+  uninstall: createLogger('Uninstall')
+};
+
+// err.uninstalled lets callers answer like for any other uninstalled location
+function uninstalledError(kind, id) {
+  const err = new Error(`${kind === 'location' ? 'Location' : 'Company'} ${id} was uninstalled`);
+  err.uninstalled = true;
+  return err;
+}
+
+function createTokenService({ config, appId = null, authorizePath = '/authorize', tokenStore, companyStore, uninstalledLocations, refreshFlight, audit, metrics, notifier, credentialSync, deliveryQueue }) {
+  /**
+   * Throws (with err.uninstalled) when the location or company was
+   * uninstalled, e.g. while the caller waited for its lock, so its tokens
+   * aren't written back next to the tombstone.
+   */
+  async function assertInstalled(collection, kind, id) {
+    const record = await collection.get(id);
+    const tombstone = kind === 'location' ? await uninstalledLocations.get(id) : null;
+    if (record && !tombstone) {
+      return record;
+    }
+    throw uninstalledError(kind, id);
+  }
+
+  /**
+   * Refreshes a location's token. Concurrent callers for the same location
+   * share one refresh, and replicas take turns through the store lock.
+   * Locations minted from an agency token are re-minted instead.
+   */
+  function refreshToken(refreshTokenValue, locationId, context = {}) {
+    return refreshFlight.run(locationId, async () => {
+      // Another caller or replica may have rotated the token while we waited
+      const current = await tokenStore.get(locationId);
+      if (current && current.refreshToken !== refreshTokenValue && current.status !== NEEDS_REAUTH) {
+        log.refresh.info('Token was already rotated, reusing it', { locationId });
+        return {
+          accessToken: current.accessToken,
+          expiresAt: current.expiresAt
+        };
+      }
+
+      if (current && current.source === 'agency' && (await companyStore.get(current.companyId))) {
+        const minted = await exchangeLocationToken(current.companyId, locationId, context);
+        return { accessToken: minted.accessToken, expiresAt: minted.expiresAt };
+      }
+
+      return performRefresh(tokenStore, 'location', locationId, current ? current.refreshToken : refreshTokenValue, context);
+    });
+  }
+
+  /**
+   * Same as refreshToken() for an agency (Company) token.
+   */
+  function refreshCompanyToken(refreshTokenValue, companyId, context = {}) {
+    return refreshFlight.run(`company:${companyId}`, async () => {
+      const current = await companyStore.get(companyId);
+      if (current && current.refreshToken !== refreshTokenValue && current.status !== NEEDS_REAUTH) {
+        log.refresh.info('Token was already rotated, reusing it', { companyId });
+        return {
+          accessToken: current.accessToken,
+          expiresAt: current.expiresAt
+        };
+      }
+
+      return performRefresh(companyStore, 'company', companyId, current ? current.refreshToken : refreshTokenValue, context);
+    });
+  }
+
+  async function performRefresh(collection, kind, id, refreshTokenValue, context = {}) {
+    await assertInstalled(collection, kind, id);
+
+    const refreshAudit = {
+      ...context,
+      locationId: kind === 'location' ? id : null,
+      companyId: kind === 'company' ? id : null
+    };
+
+    const trigger = context.actor?.type === 'scheduler' ? 'scheduler' : 'on_demand';
+    log.refresh.info('Refreshing token', { kind, id, trigger });
+
+    let response;
+    try {
+      response = await axios.post(
+        `${config.baseUrl}/oauth/token`,
+        new URLSearchParams({
+          grant_type: 'refresh_token',
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          refresh_token: refreshTokenValue
+        }).toString(),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+          },
+          timeout: 15000
+        }
+      );
+    } catch (err) {
+      log.refresh.error('Refresh failed', { kind, id, status: err.response?.status, error: err.response?.data || err.message });
+
+      // The refresh token was revoked or already rotated: retrying won't help
+      if (err.response?.data?.error === 'invalid_grant') {
+        const existingData = await collection.get(id);
+        if (existingData) {
+          await collection.set(id, {
+            ...existingData,
+            status: NEEDS_REAUTH,
+            needsReauthSince: new Date().toISOString(),
+            lastRefreshError: err.response.data.error_description || 'invalid_grant',
+            lastRefreshErrorAt: new Date().toISOString()
+          });
+        }
+        log.refresh.error(`Marked as ${NEEDS_REAUTH}`, { kind, id });
+        err.needsReauth = true;
+      }
+      metrics.recordRefresh(kind, err.needsReauth ? NEEDS_REAUTH : 'failure', trigger);
+      await notifyRefreshFailure(collection, kind, id, err);
+      await audit.record('token.refresh', {
+        ...refreshAudit,
+        outcome: 'failure',
+        details: { error: err.response?.data?.error || err.message, status: err.response?.status, needsReauth: !!err.needsReauth }
+      });
+      throw err;
+    }
+
+    const tokens = response.data;
+    const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
+
+    const existingData = await assertInstalled(collection, kind, id);
+    const {
+      status,
+      needsReauthSince,
+      refreshFailures,
+      lastRefreshError,
+      lastRefreshErrorAt,
+      nextRefreshAttempt,
+      ...rest
+    } = existingData;
+
+    await collection.set(id, {
+      ...rest,
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || existingData.refreshToken,
+      expiresAt: expiresAt.toISOString(),
+      expiresIn: tokens.expires_in,
+      scopes: grantedScopesFromResponse(tokens) || existingData.scopes || [],
+      lastRefreshed: new Date().toISOString()
+    });
+
+    log.refresh.info('Token refreshed', { kind, id, expiresAt: expiresAt.toISOString() });
+    metrics.recordRefresh(kind, 'success', trigger);
+    for (const event of ['refresh.failed', 'token.needs_reauth', 'token.expiring']) {
+      await notifier.resolve(event, { ...refreshAudit, app: appId });
+    }
+    await audit.record('token.refresh', { ...refreshAudit, details: { expiresAt: expiresAt.toISOString() } });
+    if (kind === 'location') {
+      credentialSync.queueSync(id);
+    }
+
+    return {
+      accessToken: tokens.access_token,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  // Alerts are sent in the background: a slow Slack, webhook or SMTP server
+  // must not hold the refresh lock, or the request waiting on it
+  function sendAlert(event, fields) {
+    notifier.notify(event, { app: appId, ...fields }).catch((err) => {
+      log.refresh.error('Alert failed', { event, error: err.message });
+    });
+  }
+
+  async function notifyRefreshFailure(collection, kind, id, err) {
+    const reason = err.response?.data?.error_description || err.response?.data?.error || err.message;
+    const subject = kind === 'location'
+      ? { locationId: id, companyId: (await collection.get(id))?.companyId || null }
+      : { companyId: id };
+    sendAlert(err.needsReauth ? 'token.needs_reauth' : 'refresh.failed', {
+      ...subject,
+      message: err.needsReauth
+        ? `GHL rejected the refresh token for ${kind} ${id} (${reason}). It must be reinstalled via ${authorizePath}.`
+        : `Refreshing the ${kind} token for ${id} failed (${reason}). The scheduler will retry.`,
+      details: { kind, status: err.response?.status || null, error: reason }
+    });
+  }
+
+  /**
+   * Mints a location token from an installed agency's Company token through
+   * GHL's location token exchange and caches it in the token store.
+   */
+  async function exchangeLocationToken(companyId, locationId, context = {}) {
+    let company = await companyStore.get(companyId);
+    if (!company) {
+      throw new Error(`No agency install found for company ${companyId}`);
+    }
+    if (company.status === NEEDS_REAUTH) {
+      const err = new Error(`Agency token for company ${companyId} needs reauthorization`);
+      err.needsReauth = true;
+      throw err;
+    }
+    if (new Date(company.expiresAt) - Date.now() < 5 * 60 * 1000) {
+      await refreshCompanyToken(company.refreshToken, companyId, context);
+      company = await companyStore.get(companyId);
+    }
+
+    log.agency.info('Exchanging company token for location token', { companyId, locationId });
+
+    let response;
+    try {
+      response = await axios.post(
+        `${config.baseUrl}/oauth/locationToken`,
+        new URLSearchParams({ companyId, locationId }).toString(),
+        {
+          headers: {
+            'Authorization': `Bearer ${company.accessToken}`,
+            'Version': config.apiVersion,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+          },
+          timeout: 15000
+        }
+      );
+    } catch (err) {
+      await audit.record('token.mint', {
+        ...context,
+        locationId,
+        companyId,
+        outcome: 'failure',
+        details: { error: err.response?.data?.message || err.message, status: err.response?.status }
+      });
+      throw err;
+    }
+
+    const tokens = response.data;
+    const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
+    if (await uninstalledLocations.get(locationId)) {
+      throw uninstalledError('location', locationId);
+    }
+    const existingData = (await tokenStore.get(locationId)) || {};
+
+    const record = {
+      accessToken: tokens.access_token,
+      refreshToken: tokens.refresh_token || null,
+      expiresAt: expiresAt.toISOString(),
+      expiresIn: tokens.expires_in,
+      tokenType: tokens.token_type,
+      locationId: locationId,
+      companyId: companyId,
+      userId: tokens.userId || company.userId,
+      userType: tokens.userType || 'Location',
+      scopes: grantedScopesFromResponse(tokens) || company.scopes || [],
+      scopeProfile: company.scopeProfile || null,
+      source: 'agency',
+      installTag: existingData.installTag || company.installTag || null,
+      installedAt: existingData.installedAt || new Date().toISOString(),
+      lastRefreshed: new Date().toISOString()
+    };
+    await tokenStore.set(locationId, record);
+    credentialSync.queueSync(locationId);
+
+    log.agency.info('Location token minted', { companyId, locationId, expiresAt: record.expiresAt });
+    await audit.record('token.mint', { ...context, locationId, companyId, details: { expiresAt: record.expiresAt } });
+    return record;
+  }
+
+  /**
+   * Loads a location's token record, minting one from an agency install when
+   * the location has no token of its own. companyId narrows which agency is
+   * tried; otherwise every installed agency is tried in turn.
+   */
+  async function loadLocationToken(locationId, companyId, context = {}) {
+    const existing = await tokenStore.get(locationId);
+    if (existing) {
+      return existing;
+    }
+    // Uninstalled locations stay uninstalled until they go through OAuth again
+    if (await uninstalledLocations.get(locationId)) {
+      return null;
+    }
+
+    const companies = companyId
+      ? [companyId]
+      : (await companyStore.list()).map(([id]) => id);
+
+    for (const candidate of companies) {
+      try {
+        return await refreshFlight.run(`mint:${locationId}`, async () => {
+          return (await tokenStore.get(locationId)) || exchangeLocationToken(candidate, locationId, context);
+        });
+      } catch (err) {
+        log.agency.warn('Company could not mint a location token', { companyId: candidate, locationId, error: err.response?.data || err.message });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Uninstalls a location: revokes the install with GHL (unless revoke is
+   * false), deletes its tokens, leaves a tombstone so /api/token can say when
+   * it was uninstalled, audits it and forwards an UNINSTALL event to webhook
+   * subscriptions (unless notify is false). A location that is already
+   * tombstoned and has no tokens is left as is.
+   *
+   * The tokens are removed under the location's refresh lock, so a refresh
+   * in flight finishes first and one still waiting finds the tombstone.
+   */
+  async function disconnectLocation(locationId, context = {}) {
+    const { source, revoke = config.uninstall.revokeWithGhl, notify = true, ...auditContext } = context;
+
+    const outcome = await refreshFlight.exclusive(locationId, async () => {
+      const existing = await tokenStore.get(locationId);
+      const previous = await uninstalledLocations.get(locationId);
+
+      if (!existing && previous) {
+        return { removed: false, tombstone: previous, revocation: { status: 'skipped' }, alreadyUninstalled: true };
+      }
+
+      const revocation = revoke && existing
+        ? await revokeInstallWithGhl(locationId, existing)
+        : { status: 'skipped' };
+
+      const tombstone = {
+        locationId,
+        companyId: existing?.companyId || null,
+        uninstalledAt: new Date().toISOString(),
+        source,
+        actor: auditContext.actor || null,
+        ghlRevocation: revocation.status
+      };
+      await uninstalledLocations.set(locationId, tombstone);
+      const removed = existing ? await tokenStore.delete(locationId) : false;
+      return { removed, tombstone, revocation };
+    });
+
+    const { removed, tombstone, revocation, alreadyUninstalled } = outcome;
+    if (alreadyUninstalled) {
+      return { removed, tombstone, revocation };
+    }
+
+    log.uninstall.info('Location uninstalled', { locationId, source, removed, ghlRevocation: revocation.status });
+    await audit.record('uninstall', {
+      ...auditContext,
+      locationId,
+      companyId: tombstone.companyId,
+      details: { source, removed, ghlRevocation: revocation.status, ...(revocation.error && { ghlError: revocation.error }) }
+    });
+    sendAlert('location.uninstalled', {
+      locationId,
+      companyId: tombstone.companyId,
+      message: `Location ${locationId} was uninstalled (source: ${source}). Its tokens were deleted.`,
+      details: { source, ghlRevocation: revocation.status }
+    });
+
+    if (notify) {
+      await deliveryQueue.enqueue('UNINSTALL', {
+        type: 'UNINSTALL',
+        locationId,
+        companyId: tombstone.companyId,
+        uninstalledAt: tombstone.uninstalledAt,
+        source
+      });
+    }
+
+    return { removed, tombstone, revocation };
+  }
+
+  /**
+   * Asks GHL to uninstall the app from the location. Failures are reported,
+   * not thrown: the local uninstall goes ahead either way.
+   */
+  async function revokeInstallWithGhl(locationId, tokenData) {
+    if (!config.uninstall.appId) {
+      return { status: 'skipped' };
+    }
+
+    try {
+      await axios.delete(`${config.baseUrl}/marketplace/app/${config.uninstall.appId}/installations`, {
+        headers: {
+          'Authorization': `Bearer ${tokenData.accessToken}`,
+          'Version': config.apiVersion,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        data: { locationId, ...(tokenData.companyId && { companyId: tokenData.companyId }) },
+        timeout: 15000
+      });
+      return { status: 'revoked' };
+    } catch (err) {
+      const error = err.response?.data?.message || err.message;
+      log.uninstall.warn('GHL did not revoke the install', { locationId, status: err.response?.status, error });
+      return { status: 'failed', error: String(error) };
+    }
+  }
+
+  return { refreshToken, refreshCompanyToken, exchangeLocationToken, loadLocationToken, disconnectLocation };
+}
+
+module.exports = { createTokenService };
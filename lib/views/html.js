@@ -0,0 +1,46 @@
+/**
+ * Auto-escaping HTML templates
+ *
+ *   html`<p>${userInput}</p>`
+ *
+ * Every interpolated value is HTML-escaped unless it is itself the result of
+ * html`` (or raw()), so templates compose without double escaping. Arrays
+ * are joined, and null, undefined and false render as nothing.
+ */
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + renderValue(values[i - 1]) + string));
+}
+
+// Marks trusted markup (e.g. a stylesheet built from validated config) as safe
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+module.exports = { html, raw, escapeHtml, SafeHtml };
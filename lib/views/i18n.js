@@ -0,0 +1,55 @@
+/**
+ * Page translations
+ *
+ * One module per locale in ./locales. Missing keys fall back to English, so
+ * a new string only has to be added to en.js to ship.
+ */
+
+const LOCALES = {
+  en: require('./locales/en'),
+  es: require('./locales/es'),
+  pt: require('./locales/pt'),
+  fr: require('./locales/fr'),
+  ht: require('./locales/ht')
+};
+
+/**
+ * Picks the best supported locale from an Accept-Language header, e.g.
+ * "pt-BR,pt;q=0.9,en;q=0.8" -> "pt".
+ */
+function pickLocale(acceptLanguage, fallback = 'en') {
+  const preferred = String(acceptLanguage || '')
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { language: tag.split('-')[0].toLowerCase(), q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter((entry) => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = preferred.find((entry) => LOCALES[entry.language]);
+  return match ? match.language : fallback;
+}
+
+/**
+ * Returns t(key, params) for a locale. `{name}` placeholders are replaced
+ * from params; escaping is left to the html template.
+ */
+function createTranslator(locale) {
+  const messages = LOCALES[locale] || LOCALES.en;
+
+  function lookup(path) {
+    const find = (source) => path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), source);
+    const value = find(messages);
+    return value === undefined ? find(LOCALES.en) : value;
+  }
+
+  return function t(key, params = {}) {
+    const template = lookup(key);
+    if (typeof template !== 'string') return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
+
+module.exports = { pickLocale, createTranslator, LOCALES };
@@ -0,0 +1,33 @@
+module.exports = {
+  successTitle: 'Successfully Connected!',
+  successSubtitle: '{app} is now connected to your GoHighLevel account',
+  installDetails: 'Installation Details',
+  locationId: 'Location ID',
+  agencyInstall: 'All locations (agency install)',
+  companyId: 'Company ID',
+  userType: 'User Type',
+  scopeProfile: 'Permissions',
+  tokenExpires: 'Token Expires',
+  notAvailable: 'N/A',
+  nextStepsTitle: 'Next Steps for n8n',
+  nextStepKey: 'Ask your administrator for an API key for n8n.',
+  nextStepToken: 'Call {endpoint} with the key in the X-Api-Key header to get a fresh access token.',
+  nextStepProxy: 'Or call GHL through {endpoint} and let this service add the token for you.',
+  closeWindow: 'You can close this window.',
+  authFailedTitle: 'Authorization Failed',
+  authRejectedTitle: 'Authorization Rejected',
+  exchangeFailedTitle: 'Token Exchange Failed',
+  error: 'Error',
+  description: 'Description',
+  noDescription: 'No description provided',
+  unknownError: 'Unknown error',
+  tryAgain: 'Try Again',
+  startAgain: 'Start Again',
+  needHelp: 'Need help? Contact {support}',
+  stateErrors: {
+    missing_state: 'The authorization response did not include a state parameter.',
+    invalid_state: 'This authorization link is not valid.',
+    expired_state: 'The authorization request has expired, please start again.',
+    reused_state: 'This authorization request has already been used.'
+  }
+};
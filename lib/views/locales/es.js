@@ -0,0 +1,33 @@
+module.exports = {
+  successTitle: '¡Conexión exitosa!',
+  successSubtitle: '{app} ya está conectado a tu cuenta de GoHighLevel',
+  installDetails: 'Detalles de la instalación',
+  locationId: 'ID de la ubicación',
+  agencyInstall: 'Todas las ubicaciones (instalación de agencia)',
+  companyId: 'ID de la empresa',
+  userType: 'Tipo de usuario',
+  scopeProfile: 'Permisos',
+  tokenExpires: 'El token vence',
+  notAvailable: 'N/D',
+  nextStepsTitle: 'Próximos pasos para n8n',
+  nextStepKey: 'Pide a tu administrador una clave de API para n8n.',
+  nextStepToken: 'Llama a {endpoint} con la clave en el encabezado X-Api-Key para obtener un token de acceso nuevo.',
+  nextStepProxy: 'O llama a GHL a través de {endpoint} y este servicio añadirá el token por ti.',
+  closeWindow: 'Ya puedes cerrar esta ventana.',
+  authFailedTitle: 'La autorización falló',
+  authRejectedTitle: 'Autorización rechazada',
+  exchangeFailedTitle: 'Falló el intercambio del token',
+  error: 'Error',
+  description: 'Descripción',
+  noDescription: 'No se proporcionó una descripción',
+  unknownError: 'Error desconocido',
+  tryAgain: 'Intentar de nuevo',
+  startAgain: 'Empezar de nuevo',
+  needHelp: '¿Necesitas ayuda? Escribe a {support}',
+  stateErrors: {
+    missing_state: 'La respuesta de autorización no incluyó el parámetro state.',
+    invalid_state: 'Este enlace de autorización no es válido.',
+    expired_state: 'La solicitud de autorización expiró, vuelve a empezar.',
+    reused_state: 'Esta solicitud de autorización ya se utilizó.'
+  }
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  successTitle: 'Connexion réussie !',
+  successSubtitle: '{app} est maintenant connecté à votre compte GoHighLevel',
+  installDetails: "Détails de l'installation",
+  locationId: "ID de l'emplacement",
+  agencyInstall: "Tous les emplacements (installation d'agence)",
+  companyId: "ID de l'entreprise",
+  userType: "Type d'utilisateur",
+  scopeProfile: 'Autorisations',
+  tokenExpires: 'Expiration du jeton',
+  notAvailable: 'N/D',
+  nextStepsTitle: 'Prochaines étapes dans n8n',
+  nextStepKey: 'Demandez une clé API pour n8n à votre administrateur.',
+  nextStepToken: "Appelez {endpoint} avec la clé dans l'en-tête X-Api-Key pour obtenir un nouveau jeton d'accès.",
+  nextStepProxy: 'Ou appelez GHL via {endpoint} et ce service ajoutera le jeton pour vous.',
+  closeWindow: 'Vous pouvez fermer cette fenêtre.',
+  authFailedTitle: "Échec de l'autorisation",
+  authRejectedTitle: 'Autorisation refusée',
+  exchangeFailedTitle: "Échec de l'échange du jeton",
+  error: 'Erreur',
+  description: 'Description',
+  noDescription: 'Aucune description fournie',
+  unknownError: 'Erreur inconnue',
+  tryAgain: 'Réessayer',
+  startAgain: 'Recommencer',
+  needHelp: "Besoin d'aide ? Contactez {support}",
+  stateErrors: {
+    missing_state: "La réponse d'autorisation ne contenait pas de paramètre state.",
+    invalid_state: "Ce lien d'autorisation n'est pas valide.",
+    expired_state: "La demande d'autorisation a expiré, veuillez recommencer.",
+    reused_state: "Cette demande d'autorisation a déjà été utilisée."
+  }
+};
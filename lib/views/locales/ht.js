@@ -0,0 +1,33 @@
+module.exports = {
+  successTitle: 'Koneksyon an reyisi!',
+  successSubtitle: '{app} konekte ak kont GoHighLevel ou kounye a',
+  installDetails: 'Detay enstalasyon an',
+  locationId: 'ID lokal la',
+  agencyInstall: 'Tout lokal yo (enstalasyon ajans)',
+  companyId: 'ID konpayi a',
+  userType: 'Kalite itilizatè',
+  scopeProfile: 'Pèmisyon',
+  tokenExpires: 'Token an ap ekspire',
+  notAvailable: 'P/D',
+  nextStepsTitle: 'Pwochen etap pou n8n',
+  nextStepKey: 'Mande administratè w la yon kle API pou n8n.',
+  nextStepToken: 'Rele {endpoint} ak kle a nan antèt X-Api-Key la pou w jwenn yon nouvo token aksè.',
+  nextStepProxy: 'Oswa rele GHL pa mwayen {endpoint} epi sèvis sa a ap mete token an pou ou.',
+  closeWindow: 'Ou ka fèmen fenèt sa a.',
+  authFailedTitle: 'Otorizasyon an echwe',
+  authRejectedTitle: 'Otorizasyon an refize',
+  exchangeFailedTitle: 'Echanj token an echwe',
+  error: 'Erè',
+  description: 'Deskripsyon',
+  noDescription: 'Pa gen deskripsyon',
+  unknownError: 'Erè enkoni',
+  tryAgain: 'Eseye ankò',
+  startAgain: 'Rekòmanse',
+  needHelp: 'Ou bezwen èd? Kontakte {support}',
+  stateErrors: {
+    missing_state: 'Repons otorizasyon an pa t gen paramèt state la.',
+    invalid_state: 'Lyen otorizasyon sa a pa valab.',
+    expired_state: 'Demann otorizasyon an ekspire, tanpri rekòmanse.',
+    reused_state: 'Yo deja itilize demann otorizasyon sa a.'
+  }
+};
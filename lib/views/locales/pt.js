@@ -0,0 +1,33 @@
+module.exports = {
+  successTitle: 'Conectado com sucesso!',
+  successSubtitle: '{app} agora está conectado à sua conta do GoHighLevel',
+  installDetails: 'Detalhes da instalação',
+  locationId: 'ID do local',
+  agencyInstall: 'Todos os locais (instalação de agência)',
+  companyId: 'ID da empresa',
+  userType: 'Tipo de usuário',
+  scopeProfile: 'Permissões',
+  tokenExpires: 'O token expira',
+  notAvailable: 'N/D',
+  nextStepsTitle: 'Próximos passos no n8n',
+  nextStepKey: 'Peça ao seu administrador uma chave de API para o n8n.',
+  nextStepToken: 'Chame {endpoint} com a chave no cabeçalho X-Api-Key para obter um token de acesso novo.',
+  nextStepProxy: 'Ou chame o GHL por meio de {endpoint} e este serviço adiciona o token para você.',
+  closeWindow: 'Você já pode fechar esta janela.',
+  authFailedTitle: 'Falha na autorização',
+  authRejectedTitle: 'Autorização recusada',
+  exchangeFailedTitle: 'Falha na troca do token',
+  error: 'Erro',
+  description: 'Descrição',
+  noDescription: 'Nenhuma descrição fornecida',
+  unknownError: 'Erro desconhecido',
+  tryAgain: 'Tentar novamente',
+  startAgain: 'Começar de novo',
+  needHelp: 'Precisa de ajuda? Fale com {support}',
+  stateErrors: {
+    missing_state: 'A resposta de autorização não incluiu o parâmetro state.',
+    invalid_state: 'Este link de autorização não é válido.',
+    expired_state: 'A solicitação de autorização expirou, comece de novo.',
+    reused_state: 'Esta solicitação de autorização já foi usada.'
+  }
+};
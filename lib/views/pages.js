@@ -0,0 +1,148 @@
+/**
+ * OAuth result pages
+ *
+ * The pages a browser lands on after the GHL consent screen. Everything goes
+ * through the auto-escaping html`` tag, and query-string or GHL-supplied
+ * values are only ever interpolated as text. The pages never show tokens or
+ * API keys: the success page only lists install details that are safe to
+ * screenshot into a support ticket.
+ */
+
+const { html, raw } = require('./html');
+const { createTranslator } = require('./i18n');
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+/**
+ * Validates branding at startup, colors end up inside a <style> block.
+ */
+function parseBranding(branding) {
+  for (const field of ['primaryColor', 'darkColor']) {
+    if (!HEX_COLOR.test(branding[field])) {
+      throw new Error(`Branding ${field} must be a hex color like #3b82f6, got "${branding[field]}"`);
+    }
+  }
+  if (branding.logoUrl && !/^https:\/\//.test(branding.logoUrl)) {
+    throw new Error('BRAND_LOGO_URL must be an https:// URL');
+  }
+  return branding;
+}
+
+// authorizePath is where "Try again" starts a new install, the app's /authorize
+function createPageRenderer({ branding, authorizePath = '/authorize' }) {
+  const brand = parseBranding(branding);
+
+  const style = raw(`
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: linear-gradient(135deg, ${brand.darkColor} 0%, ${brand.primaryColor} 100%); min-height: 100vh; }
+    .container { max-width: 700px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
+    .logo { max-height: 48px; margin-bottom: 20px; }
+    h1 { margin-bottom: 8px; font-size: 28px; }
+    h1.success { color: #059669; }
+    h1.failure { color: #dc2626; margin-bottom: 20px; }
+    .subtitle { color: #6b7280; margin-bottom: 30px; }
+    .info-card { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 12px; padding: 20px; margin: 20px 0; }
+    .info-card h3 { color: ${brand.darkColor}; margin-bottom: 12px; font-size: 14px; text-transform: uppercase; }
+    .info-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e2e8f0; }
+    .info-row:last-child { border-bottom: none; }
+    .info-label { color: #64748b; font-size: 14px; }
+    .info-value { font-family: monospace; background: #e2e8f0; padding: 2px 8px; border-radius: 4px; font-size: 13px; }
+    .error-box { background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 16px; margin: 20px 0; }
+    .steps { background: #f0fdf4; border: 1px solid #86efac; border-radius: 12px; padding: 20px; margin: 20px 0; }
+    .steps h3 { color: #166534; margin-bottom: 12px; }
+    .steps ol { padding-left: 20px; color: #15803d; }
+    .steps li { margin: 8px 0; }
+    .steps code { background: #dcfce7; padding: 2px 6px; border-radius: 4px; font-size: 13px; }
+    .btn { display: inline-block; background: ${brand.primaryColor}; color: white; padding: 12px 24px; border-radius: 8px; margin-top: 20px; text-decoration: none; font-weight: 500; }
+    .footer { color: #94a3b8; font-size: 13px; margin-top: 30px; }
+  `);
+
+  function layout(locale, t, title, body) {
+    return String(html`<!DOCTYPE html>
+<html lang="${locale}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - ${brand.name}</title>
+    <style>${style}</style>
+  </head>
+  <body>
+    <div class="container">
+      ${brand.logoUrl && html`<img class="logo" src="${brand.logoUrl}" alt="${brand.name}">`}
+      ${body}
+      ${brand.supportEmail && html`<p class="footer">${t('needHelp', { support: brand.supportEmail })}</p>`}
+    </div>
+  </body>
+</html>`);
+  }
+
+  function infoRow(label, value) {
+    return html`
+      <div class="info-row">
+        <span class="info-label">${label}</span>
+        <span class="info-value">${value}</span>
+      </div>`;
+  }
+
+  function errorPage(locale, title, { error, description, retryLabel }) {
+    const t = createTranslator(locale);
+    return layout(locale, t, t(title), html`
+      <h1 class="failure">❌ ${t(title)}</h1>
+      <div class="error-box">
+        <p><strong>${t('error')}:</strong> ${error}</p>
+        <p><strong>${t('description')}:</strong> ${description || t('noDescription')}</p>
+      </div>
+      <a href="${authorizePath}" class="btn">${t(retryLabel || 'tryAgain')}</a>
+    `);
+  }
+
+  return {
+    success(locale, { locationId, companyId, userType, scopeProfile, expiresAt }) {
+      const t = createTranslator(locale);
+      return layout(locale, t, t('successTitle'), html`
+        <h1 class="success">✅ ${t('successTitle')}</h1>
+        <p class="subtitle">${t('successSubtitle', { app: brand.name })}</p>
+
+        <div class="info-card">
+          <h3>${t('installDetails')}</h3>
+          ${infoRow(t('locationId'), locationId || t('agencyInstall'))}
+          ${infoRow(t('companyId'), companyId || t('notAvailable'))}
+          ${infoRow(t('userType'), userType || t('notAvailable'))}
+          ${scopeProfile && infoRow(t('scopeProfile'), scopeProfile)}
+          ${infoRow(t('tokenExpires'), new Date(expiresAt).toLocaleString(locale, { timeZoneName: 'short' }))}
+        </div>
+
+        <div class="steps">
+          <h3>🔧 ${t('nextStepsTitle')}</h3>
+          <ol>
+            <li>${t('nextStepKey')}</li>
+            <li>${t('nextStepToken', { endpoint: `GET /api/token?locationId=${locationId || '…'}` })}</li>
+            <li>${t('nextStepProxy', { endpoint: '/api/ghl/…' })}</li>
+          </ol>
+        </div>
+        <p class="subtitle">${t('closeWindow')}</p>
+      `);
+    },
+
+    authorizationError(locale, { error, description }) {
+      return errorPage(locale, 'authFailedTitle', { error, description });
+    },
+
+    stateError(locale, err) {
+      const t = createTranslator(locale);
+      const message = t(`stateErrors.${err.code}`);
+      return errorPage(locale, 'authRejectedTitle', {
+        error: err.code,
+        description: message === `stateErrors.${err.code}` ? err.message : message,
+        retryLabel: 'startAgain'
+      });
+    },
+
+    exchangeError(locale, { error, description }) {
+      const t = createTranslator(locale);
+      return errorPage(locale, 'exchangeFailedTitle', { error: error || t('unknownError'), description });
+    }
+  };
+}
+
+module.exports = { createPageRenderer };
@@ -0,0 +1,230 @@
+/**
+ * Webhook fan-out to n8n
+ *
+ * Events matching a subscription are written to the delivery queue before
+ * anything is sent, so a crash or redeploy doesn't lose them. A worker posts
+ * due deliveries, retries failures with exponential backoff and moves a
+ * delivery to the dead-letter list once it runs out of attempts. Dead
+ * letters can be inspected and replayed through the admin API.
+ *
+ * Subscriptions come from WEBHOOK_SUBSCRIPTIONS (JSON) or
+ * WEBHOOK_SUBSCRIPTIONS_FILE:
+ *   [{ "id": "chatbot", "url": "https://n8n/webhook/x", "events": ["InboundMessage"],
+ *      "locations": ["abc"], "secret": "optional-hmac-secret" }]
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Delivery');
+
+function parseSubscriptions(raw) {
+  if (!raw) return [];
+
+  const list = JSON.parse(raw);
+  if (!Array.isArray(list)) {
+    throw new Error('Webhook subscriptions must be a JSON array');
+  }
+
+  return list.map((sub, index) => {
+    if (!sub.url) {
+      throw new Error(`Webhook subscription #${index + 1} is missing a url`);
+    }
+    return {
+      id: sub.id || `sub-${index + 1}`,
+      url: sub.url,
+      events: sub.events && sub.events.length ? sub.events : ['*'],
+      locations: sub.locations || null,
+      secret: sub.secret || null
+    };
+  });
+}
+
+function matches(subscription, type, locationId) {
+  const eventMatch = subscription.events.includes('*') || subscription.events.includes(type);
+  const locationMatch = !subscription.locations || subscription.locations.includes(locationId);
+  return eventMatch && locationMatch;
+}
+
+function createDeliveryQueue({ store, subscriptions, options = {} }) {
+  const queue = store.collection('webhookDeliveries');
+  const deadLetters = store.collection('webhookDeadLetters');
+  const intervalMs = options.intervalMs || 5 * 1000;
+  const maxAttempts = options.maxAttempts || 8;
+  const backoffBaseMs = options.backoffBaseMs || 10 * 1000;
+  const backoffMaxMs = options.backoffMaxMs || 60 * 60 * 1000;
+  const timeoutMs = options.timeoutMs || 10 * 1000;
+
+  let timer = null;
+  let running = false;
+
+  function backoffDelay(attempts) {
+    const exponential = Math.min(backoffBaseMs * 2 ** (attempts - 1), backoffMaxMs);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  async function send(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-GHL-Event': delivery.type,
+      'X-Delivery-Id': delivery.id,
+      'X-Delivery-Attempt': String(delivery.attempts + 1)
+    };
+
+    const subscription = subscriptions.find((sub) => sub.id === delivery.subscriptionId);
+    if (subscription && subscription.secret) {
+      headers['X-Webhook-Signature'] = crypto.createHmac('sha256', subscription.secret).update(body).digest('hex');
+    }
+
+    await axios.post(delivery.url, body, { headers, timeout: timeoutMs });
+  }
+
+  async function attempt(due) {
+    // Another replica may be working the same queue
+    const lockToken = await store.acquireLock(`delivery:${due.id}`, timeoutMs * 2);
+    if (!lockToken) return;
+
+    try {
+      // It may have been delivered, dead-lettered or retried since we listed it
+      const delivery = await queue.get(due.id);
+      if (!delivery || new Date(delivery.nextAttemptAt) > new Date()) return;
+
+      try {
+        await send(delivery);
+        await queue.delete(delivery.id);
+        log.info('Delivered', { deliveryId: delivery.id, type: delivery.type, subscriptionId: delivery.subscriptionId, attempt: delivery.attempts + 1 });
+      } catch (err) {
+        await recordFailure(delivery, err);
+      }
+    } finally {
+      await store.releaseLock(`delivery:${due.id}`, lockToken).catch(() => {});
+    }
+  }
+
+  async function recordFailure(delivery, err) {
+    const attempts = delivery.attempts + 1;
+    const failed = {
+      ...delivery,
+      attempts,
+      lastError: err.response ? `HTTP ${err.response.status}` : err.message,
+      lastAttemptAt: new Date().toISOString()
+    };
+
+    if (attempts >= maxAttempts) {
+      await deadLetters.set(delivery.id, { ...failed, status: 'dead', deadAt: new Date().toISOString() });
+      await queue.delete(delivery.id);
+      log.error('Dead-lettered', { deliveryId: delivery.id, type: delivery.type, subscriptionId: delivery.subscriptionId, attempts, error: failed.lastError });
+    } else {
+      failed.nextAttemptAt = new Date(Date.now() + backoffDelay(attempts)).toISOString();
+      await queue.set(delivery.id, failed);
+      log.warn('Delivery failed, retrying', { deliveryId: delivery.id, type: delivery.type, subscriptionId: delivery.subscriptionId, attempt: attempts, error: failed.lastError, retryAt: failed.nextAttemptAt });
+    }
+  }
+
+  async function processDue() {
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date();
+      for (const [, delivery] of await queue.list()) {
+        if (new Date(delivery.nextAttemptAt) <= now) {
+          await attempt(delivery);
+        }
+      }
+    } catch (err) {
+      log.error('Worker failed', { error: err.message });
+    } finally {
+      running = false;
+    }
+  }
+
+  /**
+   * Queues the event for every matching subscription and kicks the worker.
+   * Returns the ids of the queued deliveries.
+   */
+  async function enqueue(type, payload) {
+    const ids = [];
+
+    for (const subscription of subscriptions) {
+      if (!matches(subscription, type, payload.locationId)) continue;
+
+      const delivery = {
+        id: crypto.randomUUID(),
+        type,
+        locationId: payload.locationId || null,
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: new Date().toISOString()
+      };
+      await queue.set(delivery.id, delivery);
+      ids.push(delivery.id);
+    }
+
+    if (ids.length) {
+      setImmediate(processDue);
+    }
+    return ids;
+  }
+
+  async function listPending() {
+    return (await queue.list()).map(([, delivery]) => delivery);
+  }
+
+  async function listDead() {
+    return (await deadLetters.list()).map(([, delivery]) => delivery);
+  }
+
+  /**
+   * Moves a dead letter back onto the queue with a fresh attempt budget.
+   */
+  async function replay(id) {
+    const delivery = await deadLetters.get(id);
+    if (!delivery) return null;
+
+    const { deadAt, ...rest } = delivery;
+    const requeued = {
+      ...rest,
+      status: 'pending',
+      attempts: 0,
+      replayedAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString()
+    };
+    await queue.set(id, requeued);
+    await deadLetters.delete(id);
+    setImmediate(processDue);
+    return requeued;
+  }
+
+  function schedule() {
+    timer = setTimeout(async () => {
+      await processDue();
+      if (timer) schedule();
+    }, intervalMs);
+    timer.unref();
+  }
+
+  return {
+    enqueue,
+    listPending,
+    listDead,
+    replay,
+    processDue,
+    start() {
+      if (timer) return;
+      schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createDeliveryQueue, parseSubscriptions };
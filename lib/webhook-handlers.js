@@ -0,0 +1,139 @@
+/**
+ * GHL webhook event handlers
+ *
+ * One handler per event type we act on. Handlers receive the parsed event
+ * body and return a short result object that is echoed in the webhook
+ * response. Unknown types fall through to the default handler, they are
+ * still forwarded to matching subscriptions.
+ *
+ * Location uninstalls go through the same disconnectLocation() as
+ * DELETE /api/locations/:id, so the location is tombstoned and audited the
+ * same way whichever side started it.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Webhook');
+
+const EVENT_TYPES = [
+  'INSTALL',
+  'UNINSTALL',
+  'LocationUpdate',
+  'InboundMessage',
+  'OutboundMessage',
+  'ContactCreate',
+  'ContactUpdate',
+  'AppointmentCreate'
+];
+
+// GHL isn't consistent about casing for app lifecycle events
+function normalizeEventType(type) {
+  if (!type) return null;
+  const upper = String(type).toUpperCase();
+  if (upper === 'INSTALL' || upper === 'UNINSTALL') return upper;
+  return EVENT_TYPES.find((known) => known.toLowerCase() === String(type).toLowerCase()) || String(type);
+}
+
+function createWebhookHandlers({ tokenStore, companyStore, uninstalledLocations, disconnectLocation }) {
+  const handlers = {
+    async INSTALL(event) {
+      // A reinstall lifts the tombstone so agency installs can mint again
+      if (event.locationId) {
+        await uninstalledLocations.delete(event.locationId);
+      }
+      const existing = event.locationId ? await tokenStore.get(event.locationId) : null;
+      if (existing) {
+        await tokenStore.set(event.locationId, {
+          ...existing,
+          companyId: existing.companyId || event.companyId,
+          marketplaceInstalledAt: new Date().toISOString()
+        });
+      }
+      log.info('App installed', { locationId: event.locationId || null, companyId: event.companyId || null });
+      return { tokensOnFile: !!existing };
+    },
+
+    async UNINSTALL(event, context) {
+      // Agency-level uninstalls only carry a companyId
+      if (!event.locationId && event.companyId) {
+        const removed = await companyStore.delete(event.companyId);
+        if (removed) {
+          log.info('Removed agency tokens', { companyId: event.companyId });
+        }
+        return { removed };
+      }
+
+      if (!event.locationId) {
+        return { removed: false };
+      }
+      // GHL already revoked the install and the raw event is forwarded to
+      // subscriptions by the webhook route
+      const { removed } = await disconnectLocation(event.locationId, {
+        ...context,
+        source: 'webhook',
+        revoke: false,
+        notify: false
+      });
+      return { removed };
+    },
+
+    async LocationUpdate(event) {
+      const locationId = event.locationId || event.id;
+      const existing = locationId ? await tokenStore.get(locationId) : null;
+      if (existing) {
+        await tokenStore.set(locationId, {
+          ...existing,
+          locationName: event.name || existing.locationName,
+          locationUpdatedAt: new Date().toISOString()
+        });
+      }
+      log.info('Location updated', { locationId });
+      return { updated: !!existing };
+    },
+
+    async InboundMessage(event) {
+      log.info('Inbound message', { locationId: event.locationId, messageType: event.messageType || null, conversationId: event.conversationId });
+      return {};
+    },
+
+    async OutboundMessage(event) {
+      log.info('Outbound message', { locationId: event.locationId, messageType: event.messageType || null, conversationId: event.conversationId });
+      return {};
+    },
+
+    async ContactCreate(event) {
+      log.info('Contact created', { contactId: event.id, locationId: event.locationId });
+      return {};
+    },
+
+    async ContactUpdate(event) {
+      log.info('Contact updated', { contactId: event.id, locationId: event.locationId });
+      return {};
+    },
+
+    async AppointmentCreate(event) {
+      const appointment = event.appointment || event;
+      log.info('Appointment created', { appointmentId: appointment.id, locationId: event.locationId });
+      return {};
+    }
+  };
+
+  /**
+   * context carries the audit actor and IP of the webhook request.
+   */
+  async function handle(event, context = {}) {
+    const type = normalizeEventType(event.type);
+    // The type comes from the request body, so "constructor" mustn't resolve
+    const handler = Object.hasOwn(handlers, type) ? handlers[type] : null;
+
+    if (!handler) {
+      log.debug('No handler for event type', { type });
+      return { type, handled: false };
+    }
+    return { type, handled: true, ...(await handler(event, context)) };
+  }
+
+  return { handle };
+}
+
+module.exports = { createWebhookHandlers, normalizeEventType, EVENT_TYPES };
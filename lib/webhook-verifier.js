@@ -0,0 +1,107 @@
+/**
+ * GHL webhook verification
+ *
+ * Marketplace webhooks are signed by GHL: the x-wh-signature header holds a
+ * base64 RSA-SHA256 signature of the raw request body, checked against GHL's
+ * public key (GHL_WEBHOOK_PUBLIC_KEY). Signed deliveries must also carry a
+ * recent timestamp and a webhookId that hasn't been seen before. The webhookId
+ * is claimed with a store lock (SET NX on Redis, an O_EXCL file on disk), so
+ * two replicas can't both accept the same delivery.
+ *
+ * Unsigned requests are refused unless WEBHOOK_DEV_MODE is on.
+ */
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Webhook');
+
+const SIGNATURE_HEADER = 'x-wh-signature';
+
+function createWebhookVerifier({ publicKey, store, collection, options = {} }) {
+  const toleranceMs = options.toleranceMs || 5 * 60 * 1000;
+  const devMode = !!options.devMode;
+  const pruneIntervalMs = 60 * 1000;
+  let lastPrune = 0;
+
+  const key = publicKey ? crypto.createPublicKey(publicKey) : null;
+
+  function reject(res, message) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: message
+    });
+  }
+
+  function claimName(webhookId) {
+    return `webhook:${webhookId}`;
+  }
+
+  // Claims outlive the timestamp window, so expired ones can be let go
+  async function pruneSeen(now) {
+    if (now - lastPrune < pruneIntervalMs) return;
+    lastPrune = now;
+
+    for (const [webhookId, entry] of await collection.list()) {
+      if (entry.expiresAt < now) {
+        if (entry.claim) {
+          await store.releaseLock(claimName(webhookId), entry.claim);
+        }
+        await collection.delete(webhookId);
+      }
+    }
+  }
+
+  function verifySignature(rawBody, signature) {
+    try {
+      return crypto.verify('sha256', rawBody, key, Buffer.from(signature, 'base64'));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  return async function requireWebhookSignature(req, res, next) {
+    try {
+      const signature = req.get(SIGNATURE_HEADER);
+      const now = Date.now();
+
+      if (!signature) {
+        if (devMode) {
+          log.warn('Accepting unsigned webhook (WEBHOOK_DEV_MODE)');
+          return next();
+        }
+        return reject(res, `Missing ${SIGNATURE_HEADER} header`);
+      }
+
+      if (!key) {
+        return reject(res, 'Webhook signature verification is not configured (GHL_WEBHOOK_PUBLIC_KEY)');
+      }
+
+      if (!req.rawBody || !verifySignature(req.rawBody, signature)) {
+        return reject(res, 'Invalid webhook signature');
+      }
+
+      const { webhookId, timestamp } = req.body || {};
+      const sentAt = Date.parse(timestamp);
+
+      if (!webhookId || Number.isNaN(sentAt)) {
+        return reject(res, 'Signed webhook is missing webhookId or timestamp');
+      }
+      if (Math.abs(now - sentAt) > toleranceMs) {
+        return reject(res, 'Webhook timestamp is outside the allowed window');
+      }
+      const claim = await store.acquireLock(claimName(webhookId), toleranceMs * 2);
+      if (!claim) {
+        return reject(res, `Webhook ${webhookId} has already been processed`);
+      }
+
+      await collection.set(webhookId, { receivedAt: now, expiresAt: now + toleranceMs * 2, claim });
+      await pruneSeen(now);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { createWebhookVerifier, SIGNATURE_HEADER };
@@ -5,284 +5,394 @@
  * 
  * Endpoints:
  * - GET  /                    - Health check & status
+ * - GET  /healthz             - Liveness (process is up)
+ * - GET  /readyz              - Readiness: store, credentials and token health
  * - GET  /authorize           - Start OAuth flow (redirects to GHL)
  * - GET  /oauth/callback      - Handle GHL callback, exchange code for tokens
+ * - GET  /apps/:appId/authorize      - Start OAuth for another registered app (see lib/app-registry.js)
+ * - GET  /apps/:appId/oauth/callback - OAuth callback for that app
  * - GET  /api/token           - Get current access token (for n8n)
  * - POST /api/refresh         - Force token refresh
+ * - ALL  /api/ghl/*           - Proxy to the GHL API with the location's token
  * - GET  /api/locations       - List installed locations
+ * - DELETE /api/locations/:id - Uninstall a location (revoke, delete, tombstone)
+ * - GET  /api/locations/:id/scopes - Requested vs granted scopes and token claims
+ * - GET  /api/companies       - List agency (Company) installs
+ * - POST /api/admin/reencrypt - Re-wrap stored tokens with the active key
+ * - POST /api/admin/export    - Export all installs as a passphrase-encrypted bundle
+ * - POST /api/admin/import    - Import a bundle (skip, overwrite or newest-wins)
+ * - GET/POST /api/admin/keys  - List or issue scoped API keys
+ * - DELETE /api/admin/keys/:id - Revoke an API key
+ * - GET  /api/audit           - Query the audit trail
+ * - GET  /api/audit/export    - Export the audit trail as NDJSON
  * - POST /webhook/ghl         - Handle GHL webhook events
+ * - GET  /api/webhooks/subscriptions          - List n8n forwarding targets
+ * - GET  /api/webhooks/deliveries             - Inspect dead/pending deliveries
+ * - POST /api/webhooks/deliveries/:id/replay  - Replay a dead-lettered delivery
+ * - GET  /api/admin/notifications             - List alert channels
+ * - POST /api/admin/notifications/test        - Send a test alert to every channel
+ * - GET/POST /api/admin/n8n/credentials       - List or add n8n credential mappings
+ * - DELETE /api/admin/n8n/credentials/:id     - Remove a credential mapping
+ * - POST /api/admin/n8n/credentials/sync      - Push current tokens to mapped credentials
+ * - GET  /admin               - Admin dashboard (sign in with an admin key)
+ * - GET  /metrics             - Prometheus metrics
+ * - ALL  /sandbox/*           - Local fake of GHL (SANDBOX_MODE only, see lib/sandbox.js)
  */
 
 const express = require('express');
 const axios = require('axios');
 const crypto = require('crypto');
+const { loadConfig } = require('./lib/config');
+const { createServices } = require('./lib/services');
+const { summarizeImport } = require('./lib/backup');
+const { createRefreshScheduler, NEEDS_REAUTH } = require('./lib/refresh-scheduler');
+const { createStateManager } = require('./lib/oauth-state');
+const { createWebhookVerifier } = require('./lib/webhook-verifier');
+const { createWebhookHandlers } = require('./lib/webhook-handlers');
+const { createHealthCheck } = require('./lib/health');
+const { createExpiryWatch } = require('./lib/notifier');
+const { CREDENTIAL_TYPES } = require('./lib/n8n-sync');
+const { hasPermission, canAccessLocation, PERMISSIONS } = require('./lib/api-keys');
+const { actorFromRequest, parseAuditFilters } = require('./lib/audit');
+const { createLogger, runWithRequestId } = require('./lib/logger');
+const { createSessionManager } = require('./lib/admin-sessions');
+const { decodeTokenClaims, grantedScopesFromResponse, grantedScopesForRecord, diffScopes } = require('./lib/scopes');
+const { createRateLimiter, createLockout, setRateLimitHeaders } = require('./lib/rate-limit');
+const { createCorsMiddleware, createSecurityHeaders } = require('./lib/http-security');
+const { escapeHtml } = require('./lib/views/html');
+const { pickLocale } = require('./lib/views/i18n');
+const { createPageRenderer } = require('./lib/views/pages');
+const { createSandbox } = require('./lib/sandbox');
+const { appAuthorizePath, DEFAULT_APP_ID } = require('./lib/app-registry');
 
 const app = express();
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.disable('x-powered-by');
+// Railway terminates TLS in front of us, req.ip should be the client address.
+// TRUST_PROXY_HOPS=0 is for running without a proxy: X-Forwarded-For is ignored.
+const trustProxyHops = Number(process.env.TRUST_PROXY_HOPS || 1);
+app.set('trust proxy', Number.isInteger(trustProxyHops) && trustProxyHops >= 0 ? trustProxyHops : 1);
+// Keep the raw body around, webhook signatures are computed over the exact bytes.
+// Backup imports are parsed by their own route, after the API key check and
+// with a larger size limit.
+app.use(express.json({
+  type: (req) => req.path !== '/api/admin/import' && Boolean(req.is('application/json')),
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({
+  extended: true,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const config = {
-  clientId: process.env.GHL_CLIENT_ID,
-  clientSecret: process.env.GHL_CLIENT_SECRET,
-  redirectUri: process.env.REDIRECT_URI || `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/oauth/callback`,
-  baseUrl: 'https://services.leadconnectorhq.com',
-  marketplaceUrl: 'https://marketplace.gohighlevel.com',
-  apiKey: process.env.API_KEY || crypto.randomBytes(32).toString('hex'),
-  port: process.env.PORT || 3000,
-  appName: 'Reece AI Chatbot'
-};
+const { config, SCOPE_PROFILES, apps: appConfigs } = loadConfig();
 
 // =============================================================================
-// SCOPES - Matching exactly what's enabled in the GHL App
+// TOKEN STORAGE
+// Driver selected by TOKEN_STORE: file (default), redis or memory
+// Token fields are encrypted at rest when TOKEN_ENCRYPTION_KEYS is set
 // =============================================================================
 
-const SCOPES = [
-  // Contacts
-  'contacts.readonly',
-  'contacts.write',
-  
-  // Conversations
-  'conversations.readonly',
-  'conversations.write',
-  'conversations/message.write',
-  'conversations/message.readonly',
-  'conversations/reports.readonly',
-  'conversations/livechat.write',
-  
-  // Calendars
-  'calendars.readonly',
-  'calendars.write',
-  'calendars/events.readonly',
-  'calendars/events.write',
-  'calendars/groups.readonly',
-  'calendars/groups.write',
-  'calendars/resources.readonly',
-  'calendars/resources.write',
-  
-  // Locations (NO locations.write - Sub-Account level)
-  'locations.readonly',
-  'locations/customFields.readonly',
-  'locations/customFields.write',
-  'locations/customValues.readonly',
-  'locations/customValues.write',
-  'locations/tags.readonly',
-  'locations/tags.write',
-  'locations/templates.readonly',
-  'locations/tasks.readonly',
-  'locations/tasks.write',
-  
-  // Users
-  'users.readonly',
-  'users.write',
-  
-  // Opportunities
-  'opportunities.readonly',
-  'opportunities.write',
-  
-  // OAuth
-  'oauth.readonly',
-  'oauth.write',
-  
-  // Funnels
-  'funnels/funnel.readonly',
-  'funnels/page.readonly',
-  'funnels/redirect.readonly',
-  'funnels/redirect.write',
-  'funnels/pagecount.readonly',
-  
-  // Media
-  'medias.readonly',
-  'medias.write',
-  
-  // Recurring Tasks
-  'recurring-tasks.readonly',
-  'recurring-tasks.write',
-  
-  // Links
-  'links.readonly',
-  'links.write',
-  
-  // Email
-  'lc-email.readonly',
-  
-  // Invoices
-  'invoices.readonly',
-  'invoices.write',
-  'invoices/estimate.readonly',
-  'invoices/estimate.write',
-  'invoices/template.readonly',
-  'invoices/template.write',
-  'invoices/schedule.readonly',
-  'invoices/schedule.write',
-  
-  // Forms
-  'forms.readonly',
-  'forms.write',
-  
-  // Courses
-  'courses.readonly',
-  'courses.write',
-  
-  // Associations
-  'associations.readonly',
-  'associations.write',
-  'associations/relation.readonly',
-  'associations/relation.write',
-  
-  // Objects
-  'objects/record.readonly',
-  'objects/record.write',
-  'objects/schema.readonly',
-  'objects/schema.write',
-  
-  // Businesses
-  'businesses.readonly',
-  'businesses.write',
-  
-  // Campaigns
-  'campaigns.readonly',
-  
-  // Payments
-  'payments/orders.readonly',
-  'payments/orders.write',
-  'payments/orders.collectPayment',
-  'payments/integration.readonly',
-  'payments/integration.write',
-  'payments/transactions.readonly',
-  'payments/subscriptions.readonly',
-  'payments/coupons.readonly',
-  'payments/coupons.write',
-  'payments/custom-provider.readonly',
-  'payments/custom-provider.write',
-  
-  // Products
-  'products.readonly',
-  'products.write',
-  'products/prices.readonly',
-  'products/prices.write',
-  'products/collection.readonly',
-  'products/collection.write',
-  
-  // Social Planner
-  'socialplanner/oauth.readonly',
-  'socialplanner/oauth.write',
-  'socialplanner/post.readonly',
-  'socialplanner/post.write',
-  'socialplanner/account.readonly',
-  'socialplanner/account.write',
-  'socialplanner/csv.readonly',
-  'socialplanner/csv.write',
-  'socialplanner/category.readonly',
-  'socialplanner/category.write',
-  'socialplanner/tag.readonly',
-  'socialplanner/tag.write',
-  'socialplanner/statistics.readonly',
-  
-  // Store
-  'store/shipping.readonly',
-  'store/shipping.write',
-  'store/setting.readonly',
-  'store/setting.write',
-  
-  // Surveys
-  'surveys.readonly',
-  
-  // Workflows
-  'workflows.readonly',
-  
-  // Emails
-  'emails/builder.readonly',
-  'emails/builder.write',
-  'emails/schedule.readonly',
-  
-  // WordPress
-  'wordpress.site.readonly',
-  
-  // Blogs
-  'blogs/post.write',
-  'blogs/check-slug.readonly',
-  'blogs/post-update.write',
-  'blogs/category.readonly',
-  'blogs/author.readonly',
-  'blogs/posts.readonly',
-  'blogs/list.readonly',
-  
-  // Charges
-  'charges.readonly',
-  'charges.write',
-  
-  // Marketplace
-  'marketplace-installer-details.readonly',
-  
-  // Phone/Twilio
-  'twilioaccount.read',
-  'phonenumbers.read',
-  'numberpools.read',
-  
-  // Documents/Contracts
-  'documents_contracts/list.readonly',
-  'documents_contracts/sendLink.write',
-  'documents_contracts_template/sendLink.write',
-  'documents_contracts_template/list.readonly',
-  
-  // Voice AI
-  'voice-ai-dashboard.readonly',
-  'voice-ai-agents.readonly',
-  'voice-ai-agents.write',
-  'voice-ai-agent-goals.readonly',
-  'voice-ai-agent-goals.write',
-  
-  // Knowledge Bases
-  'knowledge-bases.readonly',
-  'knowledge-bases.write',
-  
-  // Conversation AI
-  'conversation-ai.readonly',
-  'conversation-ai.write',
-  
-  // Agent Studio
-  'agent-studio.readonly',
-  'agent-studio.write'
-].join(' ');
+const {
+  store,
+  keyring,
+  tokenStore,
+  companyStore,
+  keyRegistry,
+  audit,
+  deliveryQueue,
+  metrics,
+  notifier,
+  backup,
+  apps: ghlApps
+} = createServices(config, appConfigs);
+const defaultApp = ghlApps[DEFAULT_APP_ID];
 
-// =============================================================================
-// IN-MEMORY TOKEN STORAGE
-// For production, replace with database (PostgreSQL, Redis, etc.)
-// =============================================================================
+// Falls back to a key derived from the client secret so every replica agrees
+const oauthState = createStateManager({
+  secret: config.oauthState.secret
+    || (config.clientSecret && crypto.createHmac('sha256', config.clientSecret).update('oauth-state').digest('hex'))
+    || crypto.randomBytes(32).toString('hex'),
+  collection: store.collection('oauthStates'),
+  options: { ...config.oauthState, baseUrl: config.redirectUri }
+});
+
+const requireWebhookSignature = createWebhookVerifier({
+  publicKey: config.webhooks.publicKey,
+  store,
+  collection: store.collection('webhookReplay'),
+  options: config.webhooks
+});
+
+// Install pages carry the app's branding, webhooks act on the app's tokens
+for (const ghlApp of Object.values(ghlApps)) {
+  ghlApp.pages = createPageRenderer({ branding: ghlApp.config.branding, authorizePath: appAuthorizePath(ghlApp.id) });
+  ghlApp.webhookHandlers = createWebhookHandlers({
+    tokenStore: ghlApp.tokenStore,
+    companyStore: ghlApp.companyStore,
+    uninstalledLocations: ghlApp.uninstalledLocations,
+    disconnectLocation: ghlApp.tokens.disconnectLocation
+  });
+}
 
-const tokenStore = new Map();
+// Requests per minute, counted per replica
+const ipLimiter = createRateLimiter({ limit: config.security.ipRateLimit });
+const keyLimiter = createRateLimiter({ limit: config.security.keyRateLimit });
+const authLockout = createLockout({
+  threshold: config.security.lockoutThreshold,
+  windowMs: config.security.lockoutWindowMs,
+  lockoutMs: config.security.lockoutMs
+});
+
+const health = createHealthCheck({
+  store,
+  apps: Object.values(ghlApps).map((ghlApp) => ({
+    id: ghlApp.id,
+    tokenStore: ghlApp.tokenStore,
+    companyStore: ghlApp.companyStore,
+    credentials: { clientId: ghlApp.config.clientId, clientSecret: ghlApp.config.clientSecret }
+  })),
+  options: config.health
+});
+
+const adminSessions = createSessionManager({
+  collection: store.collection('adminSessions'),
+  options: config.admin
+});
+
+const log = {
+  http: createLogger('HTTP'),
+  oauth: createLogger('OAuth'),
+  token: createLogger('Token'),
+  proxy: createLogger('Proxy'),
+  keys: createLogger('Keys'),
+  admin: createLogger('Admin'),
+  encryption: createLogger('Encryption'),
+  backup: createLogger('Backup'),
+  webhook: createLogger('Webhook'),
+  delivery: createLogger('Delivery'),
+  n8n: createLogger('n8n'),
+  error: createLogger('Error')
+};
 
 // =============================================================================
 // MIDDLEWARE
 // =============================================================================
 
-const requireApiKey = (req, res, next) => {
-  const providedKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  if (!providedKey || providedKey !== config.apiKey) {
+// Express 4 doesn't catch rejected promises, so async routes are wrapped to
+// forward store/network errors to the error handler instead of crashing
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+/**
+ * Authenticates the caller's API key and checks it grants `permission`.
+ * The key record is left on req.apiKey for location scoping.
+ */
+const requireApiKey = (permission) => asyncHandler(async (req, res, next) => {
+  if (sendLockedOut(req, res)) return;
+
+  const headerKey = req.headers['x-api-key'];
+  if (!headerKey && req.query.apiKey && !config.security.allowQueryApiKey) {
+    await audit.record('key.denied', {
+      outcome: 'denied',
+      actor: { type: 'anonymous' },
+      ip: req.ip,
+      details: { reason: 'query_key_disabled', method: req.method, path: req.path }
+    });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'API keys in the query string are disabled, send the key in the X-Api-Key header'
+    });
+  }
+
+  const providedKey = headerKey || req.query.apiKey;
+  const key = await keyRegistry.authenticate(providedKey);
+
+  if (!key) {
+    await audit.record('key.denied', {
+      outcome: 'denied',
+      actor: { type: 'anonymous' },
+      ip: req.ip,
+      details: { reason: providedKey ? 'invalid_key' : 'missing_key', method: req.method, path: req.path }
+    });
+    if (providedKey) {
+      await recordAuthFailure(req);
+    }
     return res.status(401).json({ 
       error: 'Unauthorized', 
       message: 'Valid API key required' 
     });
   }
+  if (!hasPermission(key, permission)) {
+    await audit.record('key.denied', {
+      outcome: 'denied',
+      actor: { type: 'api_key', id: key.id, name: key.name },
+      ip: req.ip,
+      details: { reason: 'missing_permission', permission, method: req.method, path: req.path }
+    });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key "${key.name}" lacks the ${permission} permission`
+    });
+  }
+
+  const limit = keyLimiter.hit(key.id);
+  setRateLimitHeaders(res, limit);
+  if (!limit.allowed) {
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: `API key "${key.name}" exceeded ${limit.limit} requests per minute`
+    });
+  }
+
+  req.apiKey = key;
   next();
-};
+});
 
-app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+// Sends 429 and returns true while the client IP is locked out for bad keys
+function sendLockedOut(req, res) {
+  const lockedUntil = authLockout.lockedUntil(req.ip);
+  if (!lockedUntil) {
+    return false;
+  }
+  res.setHeader('Retry-After', Math.ceil((lockedUntil - Date.now()) / 1000));
+  res.status(429).json({
+    error: 'Too many failed attempts',
+    message: `Too many invalid API keys from this address, try again after ${new Date(lockedUntil).toISOString()}`
+  });
+  return true;
+}
+
+async function recordAuthFailure(req) {
+  if (!authLockout.recordFailure(req.ip)) {
+    return;
+  }
+  log.http.warn('Locked out client after repeated invalid API keys', { ip: req.ip, minutes: config.security.lockoutMs / 60000 });
+  await audit.record('key.denied', {
+    outcome: 'denied',
+    actor: { type: 'anonymous' },
+    ip: req.ip,
+    details: { reason: 'locked_out', until: new Date(Date.now() + config.security.lockoutMs).toISOString() }
+  });
+}
+
+// Sends 403 and returns false when the caller's key is scoped away from the location
+async function ensureLocationAccess(req, res, locationId) {
+  if (canAccessLocation(req.apiKey, locationId)) {
+    return true;
+  }
+  await audit.record('key.denied', {
+    ...actorFromRequest(req),
+    outcome: 'denied',
+    locationId,
+    details: { reason: 'location_not_allowed', method: req.method, path: req.path }
+  });
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `API key "${req.apiKey.name}" is not allowed to access location ${locationId}`
+  });
+  return false;
+}
+
+/**
+ * Requires a dashboard session opened with a key that still has the admin
+ * permission. Browsers without one are sent to the login page.
+ */
+const requireAdminSession = asyncHandler(async (req, res, next) => {
+  const session = await adminSessions.fromRequest(req);
+  const key = session && await keyRegistry.findActive(session.keyId);
+
+  if (!key || !hasPermission(key, 'admin')) {
+    res.setHeader('Set-Cookie', adminSessions.clearCookie());
+    return res.redirect(303, '/admin/login');
+  }
+
+  req.apiKey = key;
+  req.adminSession = session;
+  next();
+});
+
+// Dashboard forms carry the session's CSRF token in a hidden _csrf field
+function requireCsrf(req, res, next) {
+  if (!adminSessions.verifyCsrf(req.adminSession, req.body?._csrf)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid or missing CSRF token, reload the dashboard and try again'
+    });
+  }
+  next();
+}
+
+/**
+ * Picks the GHL app from the /apps/:appId route, the X-App-Id header or
+ * ?app=, falling back to the default app. The app's config, stores and
+ * token service are left on req.ghlApp.
+ */
+function resolveApp(req, res, next) {
+  const appId = req.params.appId || req.get('x-app-id') || req.query.app || DEFAULT_APP_ID;
+  if (!Object.hasOwn(ghlApps, appId)) {
+    return res.status(404).json({
+      error: 'Unknown app',
+      message: `No GHL app "${appId}" is registered`,
+      apps: Object.keys(ghlApps)
+    });
+  }
+  req.ghlApp = ghlApps[appId];
   next();
+}
+
+const PROBE_PATHS = ['/healthz', '/readyz'];
+
+// Every log line written while handling a request carries its request ID.
+// An incoming X-Request-Id (e.g. from Railway's edge or n8n) is kept.
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  // Mounted routers (the sandbox) rewrite req.path while they handle the request
+  const { path } = req;
+  res.on('finish', () => {
+    // Probes hit these every few seconds, only log them when they fail
+    const level = PROBE_PATHS.includes(path) && res.statusCode < 400 ? 'debug' : 'info';
+    log.http[level]('Request completed', {
+      requestId: req.id,
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10
+    });
+  });
+
+  runWithRequestId(req.id, next);
 });
 
+
+app.use(metrics.httpMiddleware);
+app.use(createSecurityHeaders({ formActions: [config.marketplaceUrl] }));
+app.use(createCorsMiddleware({ origins: config.security.corsOrigins }));
+
+// GHL webhooks are signed and arrive in bursts from shared IPs, so they are
+// exempt from the per-IP limit
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-Api-Key');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  if (req.method === 'OPTIONS') {
-    return res.sendStatus(200);
+  if (req.path === '/webhook/ghl') {
+    return next();
+  }
+  const limit = ipLimiter.hit(req.ip);
+  setRateLimitHeaders(res, limit);
+  if (!limit.allowed) {
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: `More than ${limit.limit} requests per minute from this address`
+    });
   }
   next();
 });
@@ -291,10 +401,18 @@ app.use((req, res, next) => {
 // ROUTES
 // =============================================================================
 
-app.get('/', (req, res) => {
+if (config.sandbox.enabled) {
+  app.use('/sandbox', createSandbox({
+    config,
+    store,
+    apps: Object.values(ghlApps).map((ghlApp) => ({ id: ghlApp.id, config: ghlApp.config }))
+  }));
+}
+
+app.get('/', asyncHandler(async (req, res) => {
   const configured = !!(config.clientId && config.clientSecret);
-  const installedLocations = Array.from(tokenStore.keys());
-  const scopeCount = SCOPES.split(' ').length;
+  const installedLocations = await tokenStore.list();
+  const scopeCount = SCOPE_PROFILES[config.scopeProfiles.defaultProfile].length;
   
   res.json({
     status: 'running',
@@ -303,19 +421,68 @@ app.get('/', (req, res) => {
     configured: configured,
     redirectUri: config.redirectUri,
     scopeCount: scopeCount,
+    scopeProfiles: Object.keys(SCOPE_PROFILES),
+    defaultScopeProfile: config.scopeProfiles.defaultProfile,
     installedLocations: installedLocations.length,
+    installedCompanies: (await companyStore.list()).length,
+    sandbox: config.sandbox.enabled,
+    apps: Object.values(ghlApps).map((ghlApp) => ({
+      id: ghlApp.id,
+      name: ghlApp.config.appName,
+      configured: !!(ghlApp.config.clientId && ghlApp.config.clientSecret),
+      authorize: appAuthorizePath(ghlApp.id),
+      redirectUri: ghlApp.config.redirectUri
+    })),
     endpoints: {
       authorize: '/authorize',
       callback: '/oauth/callback',
+      appAuthorize: '/apps/:appId/authorize',
       getToken: '/api/token?locationId=XXX&apiKey=YOUR_API_KEY',
       refresh: '/api/refresh',
       locations: '/api/locations?apiKey=YOUR_API_KEY',
-      webhook: '/webhook/ghl'
+      webhook: '/webhook/ghl',
+      health: '/healthz',
+      ready: '/readyz'
     }
   });
+}));
+
+// Liveness: the process is up and serving requests. Doesn't touch the store,
+// so a slow Redis doesn't get the container restarted.
+app.get('/healthz', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(health.liveness());
 });
 
-app.get('/authorize', (req, res) => {
+// Readiness with a breakdown per check, 503 when a check fails or a token
+// threshold is crossed. ?verbose=true adds the individual tokens and needs an
+// API key with token:read (agency tokens only for admin keys).
+app.get('/readyz', (req, res, next) => {
+  if (req.query.verbose === 'true') {
+    return requireApiKey('token:read')(req, res, next);
+  }
+  next();
+}, asyncHandler(async (req, res) => {
+  const report = await health.readiness();
+  const { tokens } = report.checks;
+
+  for (const kind of ['locations', 'companies']) {
+    if (!tokens[kind]) continue;
+    const { entries, ...summary } = tokens[kind];
+    tokens[kind] = summary;
+    if (req.apiKey && kind === 'locations') {
+      summary.entries = entries.filter((entry) => canAccessLocation(req.apiKey, entry.id));
+    } else if (req.apiKey && hasPermission(req.apiKey, 'admin')) {
+      summary.entries = entries;
+    }
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(report.status === 'ready' ? 200 : 503).json(report);
+}));
+
+app.get(['/authorize', '/apps/:appId/authorize'], resolveApp, asyncHandler(async (req, res) => {
+  const { config, SCOPE_PROFILES } = req.ghlApp;
   if (!config.clientId) {
     return res.status(500).json({ 
       error: 'Not configured', 
@@ -323,57 +490,74 @@ app.get('/authorize', (req, res) => {
     });
   }
 
+  const profile = req.query.profile || config.scopeProfiles.defaultProfile;
+  if (!Object.hasOwn(SCOPE_PROFILES, profile)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Unknown scope profile "${profile}"`,
+      profiles: Object.keys(SCOPE_PROFILES)
+    });
+  }
+
+  let state;
+  try {
+    state = await oauthState.issue({ returnUrl: req.query.returnUrl, tag: req.query.tag, profile, app: req.ghlApp.id });
+  } catch (err) {
+    if (!err.code) throw err;
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: err.message
+    });
+  }
+
   const authUrl = new URL(`${config.marketplaceUrl}/oauth/chooselocation`);
   authUrl.searchParams.set('response_type', 'code');
   authUrl.searchParams.set('client_id', config.clientId);
   authUrl.searchParams.set('redirect_uri', config.redirectUri);
-  authUrl.searchParams.set('scope', SCOPES);
+  authUrl.searchParams.set('scope', SCOPE_PROFILES[profile].join(' '));
+  authUrl.searchParams.set('state', state);
 
-  console.log(`[OAuth] Redirecting to GHL authorization`);
-  console.log(`[OAuth] Scopes requested: ${SCOPES.split(' ').length} scopes`);
+  log.oauth.info('Redirecting to GHL authorization', { app: req.ghlApp.id, profile, scopes: SCOPE_PROFILES[profile].length });
   res.redirect(authUrl.toString());
-});
+}));
 
-app.get('/oauth/callback', async (req, res) => {
-  const { code, error, error_description } = req.query;
+app.get(['/oauth/callback', '/apps/:appId/oauth/callback'], resolveApp, asyncHandler(async (req, res) => {
+  const { config, pages, tokenStore, companyStore, uninstalledLocations, credentialSync } = req.ghlApp;
+  const { code, state, error, error_description } = req.query;
 
   if (error) {
-    console.error(`[OAuth] Authorization error: ${error} - ${error_description}`);
-    return res.status(400).send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Authorization Failed - ${config.appName}</title>
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%); min-height: 100vh; }
-            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
-            h1 { color: #dc2626; margin-bottom: 20px; }
-            .error-box { background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 16px; margin: 20px 0; }
-            a { color: #3b82f6; }
-            .btn { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 8px; margin-top: 20px; text-decoration: none; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>❌ Authorization Failed</h1>
-            <div class="error-box">
-              <p><strong>Error:</strong> ${error}</p>
-              <p><strong>Description:</strong> ${error_description || 'No description provided'}</p>
-            </div>
-            <a href="/authorize" class="btn">Try Again</a>
-          </div>
-        </body>
-      </html>
-    `);
+    log.oauth.warn('Authorization error', { error, errorDescription: error_description });
+    return res.status(400).send(pages.authorizationError(pageLocale(req), {
+      error: error,
+      description: error_description
+    }));
   }
 
   if (!code) {
     return res.status(400).send('Missing authorization code');
   }
 
+  // Marketplace-initiated installs arrive without a state we issued
+  let installContext = { returnUrl: null, tag: null, profile: null, app: null };
+  if (state || !config.oauthState.allowStateless) {
+    try {
+      installContext = await oauthState.consume(state);
+      // The code was issued to the app that started the install
+      if (installContext.app && installContext.app !== req.ghlApp.id) {
+        const err = new Error(`This authorization was started for app "${installContext.app}"`);
+        err.code = 'invalid_state';
+        throw err;
+      }
+    } catch (err) {
+      if (!err.code) throw err;
+      log.oauth.warn('Rejected callback', { reason: err.code });
+      await audit.record('install', { outcome: 'failure', ip: req.ip, details: { reason: err.code } });
+      return res.status(400).send(pages.stateError(pageLocale(req), err));
+    }
+  }
+
   try {
-    console.log(`[OAuth] Exchanging authorization code for tokens...`);
+    log.oauth.info('Exchanging authorization code for tokens', { app: req.ghlApp.id });
 
     const tokenResponse = await axios.post(
       `${config.baseUrl}/oauth/token`,
@@ -393,12 +577,17 @@ app.get('/oauth/callback', async (req, res) => {
     );
 
     const tokens = tokenResponse.data;
-    console.log(`[OAuth] ✅ Token exchange successful!`);
-    console.log(`[OAuth] Location ID: ${tokens.locationId}`);
+    // Agency installs return a Company token without a locationId
+    const isAgencyInstall = !tokens.locationId && !!tokens.companyId;
+    log.oauth.info('Token exchange successful', {
+      install: isAgencyInstall ? 'agency' : 'location',
+      locationId: tokens.locationId || null,
+      companyId: tokens.companyId || null
+    });
 
     const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
 
-    tokenStore.set(tokens.locationId, {
+    const record = {
       accessToken: tokens.access_token,
       refreshToken: tokens.refresh_token,
       expiresAt: expiresAt.toISOString(),
@@ -408,165 +597,106 @@ app.get('/oauth/callback', async (req, res) => {
       companyId: tokens.companyId,
       userId: tokens.userId,
       userType: tokens.userType,
+      scopes: grantedScopesFromResponse(tokens) || [],
+      scopeProfile: installContext.profile,
+      installTag: installContext.tag,
       installedAt: new Date().toISOString()
-    });
+    };
 
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Connected! - ${config.appName}</title>
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%); min-height: 100vh; }
-            .container { max-width: 700px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
-            h1 { color: #059669; margin-bottom: 8px; font-size: 28px; }
-            .subtitle { color: #6b7280; margin-bottom: 30px; }
-            .info-card { background: #f8fafc; border: 1px solid #e2e8f0; border-radius: 12px; padding: 20px; margin: 20px 0; }
-            .info-card h3 { color: #1e3a8a; margin-bottom: 12px; font-size: 14px; text-transform: uppercase; }
-            .info-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e2e8f0; }
-            .info-row:last-child { border-bottom: none; }
-            .info-label { color: #64748b; font-size: 14px; }
-            .info-value { font-family: monospace; background: #e2e8f0; padding: 2px 8px; border-radius: 4px; font-size: 13px; }
-            .warning { background: #fef3c7; border: 1px solid #f59e0b; border-radius: 12px; padding: 16px 20px; margin: 20px 0; }
-            .warning-title { font-weight: 600; color: #92400e; margin-bottom: 4px; }
-            .token-box { background: #1e293b; border-radius: 8px; padding: 12px 16px; margin-top: 8px; overflow-x: auto; }
-            .token-box code { color: #4ade80; font-family: monospace; font-size: 11px; word-break: break-all; }
-            .steps { background: #f0fdf4; border: 1px solid #86efac; border-radius: 12px; padding: 20px; margin: 20px 0; }
-            .steps h3 { color: #166534; margin-bottom: 12px; }
-            .steps ol { padding-left: 20px; color: #15803d; }
-            .steps li { margin: 8px 0; }
-            .steps code { background: #dcfce7; padding: 2px 6px; border-radius: 4px; font-size: 13px; }
-            .btn { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: 500; margin-top: 8px; }
-            .btn:hover { background: #2563eb; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>✅ Successfully Connected!</h1>
-            <p class="subtitle">${config.appName} is now connected to your GoHighLevel account</p>
-            
-            <div class="info-card">
-              <h3>Installation Details</h3>
-              <div class="info-row">
-                <span class="info-label">Location ID</span>
-                <span class="info-value">${tokens.locationId}</span>
-              </div>
-              <div class="info-row">
-                <span class="info-label">Company ID</span>
-                <span class="info-value">${tokens.companyId || 'N/A'}</span>
-              </div>
-              <div class="info-row">
-                <span class="info-label">User Type</span>
-                <span class="info-value">${tokens.userType}</span>
-              </div>
-              <div class="info-row">
-                <span class="info-label">Token Expires</span>
-                <span class="info-value">${expiresAt.toLocaleString()}</span>
-              </div>
-            </div>
+    if (isAgencyInstall) {
+      await companyStore.set(tokens.companyId, record);
+    } else {
+      // Lift the tombstone first so refreshes never see it next to live tokens
+      await uninstalledLocations.delete(tokens.locationId);
+      await tokenStore.set(tokens.locationId, record);
+      credentialSync.queueSync(tokens.locationId);
+    }
 
-            <div class="warning">
-              <div class="warning-title">⚠️ Save Your API Key</div>
-              <div class="token-box">
-                <code>${config.apiKey}</code>
-              </div>
-            </div>
+    await audit.record('install', {
+      locationId: tokens.locationId,
+      companyId: tokens.companyId,
+      actor: { type: 'oauth', id: tokens.userId || null },
+      ip: req.ip,
+      details: { app: req.ghlApp.id, userType: tokens.userType, installTag: installContext.tag, scopeProfile: installContext.profile }
+    });
 
-            <div class="steps">
-              <h3>🔧 Next Steps for n8n</h3>
-              <ol>
-                <li>Go to <strong>n8n → Credentials</strong></li>
-                <li>Create/update <strong>HTTP Header Auth</strong> credential</li>
-                <li>Header name: <code>Authorization</code></li>
-                <li>Header value: <code>Bearer ${tokens.access_token.substring(0, 30)}...</code></li>
-              </ol>
-            </div>
+    if (installContext.returnUrl) {
+      const returnUrl = new URL(installContext.returnUrl, config.redirectUri);
+      returnUrl.searchParams.set('status', 'connected');
+      if (isAgencyInstall) {
+        returnUrl.searchParams.set('companyId', tokens.companyId);
+      } else {
+        returnUrl.searchParams.set('locationId', tokens.locationId);
+      }
+      if (installContext.tag) {
+        returnUrl.searchParams.set('tag', installContext.tag);
+      }
+      return res.redirect(returnUrl.toString());
+    }
 
-            <a href="/api/token?locationId=${tokens.locationId}&apiKey=${config.apiKey}" class="btn" target="_blank">
-              View Token Details →
-            </a>
-          </div>
-        </body>
-      </html>
-    `);
+    res.send(pages.success(pageLocale(req), {
+      locationId: tokens.locationId,
+      companyId: tokens.companyId,
+      userType: tokens.userType,
+      scopeProfile: installContext.profile,
+      expiresAt: expiresAt
+    }));
 
   } catch (err) {
-    console.error('[OAuth] Token exchange failed:', err.response?.data || err.message);
+    log.oauth.error('Token exchange failed', { status: err.response?.status, error: err.response?.data || err.message });
     const errorData = err.response?.data || {};
+    await audit.record('install', {
+      outcome: 'failure',
+      ip: req.ip,
+      details: { app: req.ghlApp.id, reason: 'token_exchange_failed', error: errorData.error || err.message }
+    });
     
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Token Exchange Failed - ${config.appName}</title>
-          <style>
-            * { margin: 0; padding: 0; box-sizing: border-box; }
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%); min-height: 100vh; }
-            .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
-            h1 { color: #dc2626; margin-bottom: 20px; }
-            .error-box { background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; padding: 16px; margin: 20px 0; }
-            pre { background: #1e293b; color: #f1f5f9; padding: 16px; border-radius: 8px; overflow: auto; font-size: 12px; }
-            .btn { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; border-radius: 8px; margin-top: 20px; text-decoration: none; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>❌ Token Exchange Failed</h1>
-            <div class="error-box">
-              <p><strong>Error:</strong> ${errorData.error || err.message}</p>
-              <p><strong>Description:</strong> ${errorData.error_description || 'Unknown error'}</p>
-            </div>
-            <pre>${JSON.stringify(errorData, null, 2)}</pre>
-            <a href="/authorize" class="btn">Try Again</a>
-          </div>
-        </body>
-      </html>
-    `);
+    res.status(500).send(pages.exchangeError(pageLocale(req), {
+      error: errorData.error || err.message,
+      description: errorData.error_description
+    }));
   }
-});
+}));
 
-app.get('/api/token', requireApiKey, async (req, res) => {
-  let { locationId } = req.query;
+app.get('/api/token', requireApiKey('token:read'), resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore, uninstalledLocations, tokens: { refreshToken, loadLocationToken } } = req.ghlApp;
+  const locationId = await resolveLocationId(req, res);
+  if (!locationId) return;
 
-  if (!locationId) {
-    const locations = Array.from(tokenStore.keys());
-    if (locations.length === 0) {
-      return res.status(404).json({
-        error: 'No tokens',
-        message: 'No locations have been authorized yet. Visit /authorize to connect.'
-      });
-    }
-    if (locations.length === 1) {
-      locationId = locations[0];
-    } else {
-      return res.status(400).json({
-        error: 'Multiple locations',
-        message: 'Multiple locations connected. Please specify locationId.',
-        availableLocations: locations
-      });
-    }
-  }
-
-  const tokenData = tokenStore.get(locationId);
+  const tokenData = await loadLocationToken(locationId, req.query.companyId, actorFromRequest(req));
+  const readAudit = { ...actorFromRequest(req), locationId, companyId: tokenData?.companyId };
   
   if (!tokenData) {
+    const tombstone = await uninstalledLocations.get(locationId);
+    await audit.record('token.read', { ...readAudit, outcome: 'failure', details: { reason: tombstone ? 'uninstalled' : 'not_found' } });
+    if (tombstone) {
+      return sendUninstalled(req, res, locationId, tombstone);
+    }
     return res.status(404).json({
       error: 'Not found',
       message: `No tokens found for location ${locationId}`,
-      availableLocations: Array.from(tokenStore.keys())
+      availableLocations: (await tokenStore.list())
+        .map(([id]) => id)
+        .filter((id) => canAccessLocation(req.apiKey, id))
     });
   }
 
+  if (tokenData.status === NEEDS_REAUTH) {
+    await audit.record('token.read', { ...readAudit, outcome: 'failure', details: { reason: NEEDS_REAUTH } });
+    return sendReauthRequired(req, res, locationId, tokenData);
+  }
+
   const expiresAt = new Date(tokenData.expiresAt);
   const now = new Date();
   const fiveMinutes = 5 * 60 * 1000;
+  let refreshError = null;
 
   if (expiresAt - now < fiveMinutes) {
-    console.log(`[Token] Token expiring soon, refreshing...`);
+    log.token.info('Token expiring soon, refreshing', { locationId });
     
     try {
-      const newTokens = await refreshToken(tokenData.refreshToken, locationId);
+      const newTokens = await refreshToken(tokenData.refreshToken, locationId, actorFromRequest(req));
+      await audit.record('token.read', { ...readAudit, details: { refreshed: true } });
       return res.json({
         accessToken: newTokens.accessToken,
         expiresAt: newTokens.expiresAt,
@@ -574,20 +704,41 @@ app.get('/api/token', requireApiKey, async (req, res) => {
         refreshed: true
       });
     } catch (err) {
-      console.error('[Token] Refresh failed:', err.message);
+      log.token.error('Refresh failed', { locationId, error: err.message });
+      if (err.uninstalled) {
+        await audit.record('token.read', { ...readAudit, outcome: 'failure', details: { reason: 'uninstalled' } });
+        return sendUninstalledOrMissing(req, res, locationId);
+      }
+      if (err.needsReauth) {
+        await audit.record('token.read', { ...readAudit, outcome: 'failure', details: { reason: NEEDS_REAUTH } });
+        return sendReauthRequired(req, res, locationId, await tokenStore.get(locationId));
+      }
+      refreshError = err.message;
     }
   }
 
+  if (refreshError && expiresAt <= now) {
+    await audit.record('token.read', { ...readAudit, outcome: 'failure', details: { reason: 'expired', refreshError } });
+    return res.status(502).json({
+      error: 'Token expired',
+      message: `Access token expired at ${tokenData.expiresAt} and refresh failed: ${refreshError}`,
+      locationId: locationId
+    });
+  }
+
+  await audit.record('token.read', { ...readAudit, details: { refreshed: false } });
   res.json({
     accessToken: tokenData.accessToken,
     expiresAt: tokenData.expiresAt,
     locationId: locationId,
     refreshed: false,
+    ...(refreshError && { refreshError }),
     installedAt: tokenData.installedAt
   });
-});
+}));
 
-app.post('/api/refresh', requireApiKey, async (req, res) => {
+app.post('/api/refresh', requireApiKey('token:refresh'), resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore, uninstalledLocations, tokens: { refreshToken, loadLocationToken } } = req.ghlApp;
   const { locationId } = req.body || req.query;
 
   if (!locationId) {
@@ -596,10 +747,15 @@ app.post('/api/refresh', requireApiKey, async (req, res) => {
       message: 'Please provide locationId'
     });
   }
+  if (!(await ensureLocationAccess(req, res, locationId))) return;
 
-  const tokenData = tokenStore.get(locationId);
+  const tokenData = await loadLocationToken(locationId, req.body?.companyId || req.query.companyId, actorFromRequest(req));
   
   if (!tokenData) {
+    const tombstone = await uninstalledLocations.get(locationId);
+    if (tombstone) {
+      return sendUninstalled(req, res, locationId, tombstone);
+    }
     return res.status(404).json({
       error: 'Not found',
       message: `No tokens found for location ${locationId}`
@@ -607,7 +763,7 @@ app.post('/api/refresh', requireApiKey, async (req, res) => {
   }
 
   try {
-    const newTokens = await refreshToken(tokenData.refreshToken, locationId);
+    const newTokens = await refreshToken(tokenData.refreshToken, locationId, actorFromRequest(req));
     res.json({
       success: true,
       accessToken: newTokens.accessToken,
@@ -615,95 +771,1042 @@ app.post('/api/refresh', requireApiKey, async (req, res) => {
       locationId: locationId
     });
   } catch (err) {
+    if (err.uninstalled) {
+      return sendUninstalledOrMissing(req, res, locationId);
+    }
+    if (err.needsReauth) {
+      return sendReauthRequired(req, res, locationId, await tokenStore.get(locationId));
+    }
     res.status(500).json({
       error: 'Refresh failed',
       message: err.message
     });
   }
-});
+}));
+
+app.get('/api/companies', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore, companyStore } = req.ghlApp;
+  const locations = await tokenStore.list();
+  const companies = (await companyStore.list()).map(([companyId, data]) => ({
+    companyId: companyId,
+    userType: data.userType,
+    installTag: data.installTag || null,
+    installedAt: data.installedAt,
+    expiresAt: data.expiresAt,
+    isExpired: new Date(data.expiresAt) < new Date(),
+    status: data.status || 'active',
+    lastRefreshed: data.lastRefreshed || null,
+    mintedLocations: locations
+      .filter(([, location]) => location.source === 'agency' && location.companyId === companyId)
+      .map(([locationId]) => locationId)
+  }));
+
+  res.json({ count: companies.length, companies: companies });
+}));
+
+// Forwards /api/ghl/<path> to services.leadconnectorhq.com/<path> with the
+// location's bearer token. Bodies are buffered so a 401 can be retried once.
+app.all('/api/ghl/*', requireApiKey('proxy'), resolveApp, express.raw({ type: () => true, limit: '25mb' }), asyncHandler(async (req, res) => {
+  const { config, tokenStore, uninstalledLocations, tokens: { refreshToken, loadLocationToken } } = req.ghlApp;
+  const locationId = await resolveLocationId(req, res);
+  if (!locationId) return;
+
+  const tokenData = await loadLocationToken(locationId, req.get('x-company-id') || req.query.companyId, actorFromRequest(req));
+  if (!tokenData) {
+    const tombstone = await uninstalledLocations.get(locationId);
+    if (tombstone) {
+      return sendUninstalled(req, res, locationId, tombstone);
+    }
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No tokens found for location ${locationId}`
+    });
+  }
+  if (tokenData.status === NEEDS_REAUTH) {
+    return sendReauthRequired(req, res, locationId, tokenData);
+  }
+
+  let accessToken = tokenData.accessToken;
+  if (new Date(tokenData.expiresAt) - Date.now() < 5 * 60 * 1000) {
+    try {
+      accessToken = (await refreshToken(tokenData.refreshToken, locationId, actorFromRequest(req))).accessToken;
+    } catch (err) {
+      if (err.uninstalled) {
+        return sendUninstalledOrMissing(req, res, locationId);
+      }
+      if (err.needsReauth) {
+        return sendReauthRequired(req, res, locationId, await tokenStore.get(locationId));
+      }
+      log.proxy.warn('Pre-request refresh failed', { locationId, error: err.message });
+    }
+  }
+
+  // Never let the path turn into a different host (or climb out of the base
+  // path), the request carries a token
+  const targetUrl = new URL(`${config.baseUrl}/${req.params[0]}`);
+  if (!targetUrl.href.startsWith(`${config.baseUrl}/`)) {
+    return res.status(400).json({
+      error: 'Invalid path',
+      message: 'Proxy path must stay on the GHL API host'
+    });
+  }
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === 'apiKey' || key === 'app') continue;
+    [].concat(value).forEach((v) => targetUrl.searchParams.append(key, v));
+  }
+
+  const body = req.rawBody || (Buffer.isBuffer(req.body) && req.body.length ? req.body : undefined);
+
+  const send = (token) => axios({
+    method: req.method,
+    url: targetUrl.toString(),
+    data: body,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Version': req.get('version') || config.apiVersion,
+      'Accept': req.get('accept') || 'application/json',
+      ...(req.get('content-type') && { 'Content-Type': req.get('content-type') })
+    },
+    responseType: 'stream',
+    validateStatus: () => true,
+    maxRedirects: 0,
+    timeout: 60000
+  });
+
+  let upstream = await send(accessToken);
+
+  if (upstream.status === 401) {
+    upstream.data.resume();
+    log.proxy.info('401 from GHL, refreshing and retrying once', { locationId });
+    try {
+      const current = await tokenStore.get(locationId);
+      accessToken = (await refreshToken(current?.refreshToken, locationId, actorFromRequest(req))).accessToken;
+      upstream = await send(accessToken);
+    } catch (err) {
+      if (err.uninstalled) {
+        return sendUninstalledOrMissing(req, res, locationId);
+      }
+      if (err.needsReauth) {
+        return sendReauthRequired(req, res, locationId, await tokenStore.get(locationId));
+      }
+      return res.status(502).json({
+        error: 'Refresh failed',
+        message: `GHL rejected the token and refresh failed: ${err.message}`,
+        locationId: locationId
+      });
+    }
+  }
 
-app.get('/api/locations', requireApiKey, (req, res) => {
+  await audit.record('proxy.request', {
+    ...actorFromRequest(req),
+    locationId,
+    outcome: upstream.status < 400 ? 'success' : 'failure',
+    details: { method: req.method, path: `/${req.params[0]}`, status: upstream.status }
+  });
+
+  res.status(upstream.status);
+  for (const [key, value] of Object.entries(upstream.headers)) {
+    if (!HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+      res.setHeader(key, value);
+    }
+  }
+  // A reset mid-body can't become an error response anymore, end the client's too
+  upstream.data.on('error', (err) => {
+    log.proxy.error('Upstream stream failed', { locationId, error: err.message });
+    res.destroy(err);
+  });
+  upstream.data.pipe(res);
+}));
+
+app.get('/api/locations', requireApiKey('token:read'), resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore } = req.ghlApp;
   const locations = [];
   
-  for (const [locationId, data] of tokenStore.entries()) {
+  for (const [locationId, data] of await tokenStore.list()) {
+    if (!canAccessLocation(req.apiKey, locationId)) continue;
     locations.push({
       locationId: locationId,
       companyId: data.companyId,
       userType: data.userType,
+      source: data.source || 'install',
+      installTag: data.installTag || null,
       installedAt: data.installedAt,
       expiresAt: data.expiresAt,
-      isExpired: new Date(data.expiresAt) < new Date()
+      isExpired: new Date(data.expiresAt) < new Date(),
+      status: data.status || 'active',
+      lastRefreshed: data.lastRefreshed || null,
+      scopeProfile: data.scopeProfile || null,
+      scopes: grantedScopesForRecord(data),
+      missingScopes: scopeReport(data, req.ghlApp).missing,
+      refreshFailures: data.refreshFailures || 0,
+      lastRefreshError: data.lastRefreshError || null,
+      nextRefreshAttempt: data.nextRefreshAttempt || null
+    });
+  }
+
+  res.json({ app: req.ghlApp.id, count: locations.length, locations: locations });
+}));
+
+// Uninstalls a location: revokes with GHL, deletes its tokens and tombstones it
+app.delete('/api/locations/:locationId', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { config, tokenStore, uninstalledLocations, tokens: { disconnectLocation } } = req.ghlApp;
+  const { locationId } = req.params;
+
+  if (!(await tokenStore.get(locationId)) && !(await uninstalledLocations.get(locationId))) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No tokens found for location ${locationId}`
+    });
+  }
+
+  const { removed, tombstone, revocation } = await disconnectLocation(locationId, {
+    ...actorFromRequest(req),
+    source: 'api',
+    revoke: req.query.revoke === 'false' ? false : config.uninstall.revokeWithGhl
+  });
+
+  res.json({
+    success: true,
+    locationId: locationId,
+    alreadyUninstalled: !removed,
+    uninstalledAt: tombstone.uninstalledAt,
+    ghlRevocation: revocation
+  });
+}));
+
+// Requested vs granted scopes for a location, with the access token's claims.
+// Use it when a workflow gets a 403 from GHL to see whether a scope is missing.
+app.get('/api/locations/:locationId/scopes', requireApiKey('token:read'), resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore } = req.ghlApp;
+  const { locationId } = req.params;
+  if (!(await ensureLocationAccess(req, res, locationId))) return;
+
+  const tokenData = await tokenStore.get(locationId);
+  if (!tokenData) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No tokens found for location ${locationId}`
+    });
+  }
+
+  const report = scopeReport(tokenData, req.ghlApp);
+  const claims = decodeTokenClaims(tokenData.accessToken);
+
+  res.json({
+    locationId: locationId,
+    companyId: tokenData.companyId || null,
+    scopeProfile: report.profile,
+    authClass: claims?.authClass || null,
+    authClassId: claims?.authClassId || null,
+    requested: report.requested,
+    granted: report.granted,
+    missing: report.missing,
+    extra: report.extra,
+    scopesKnown: report.known,
+    complete: report.known ? report.missing.length === 0 : null,
+    claims: claims,
+    reauthorizeUrl: report.missing.length ? report.reauthorizeUrl : null
+  });
+}));
+
+app.post('/api/admin/keys', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  const { name, permissions, locations } = req.body || {};
+
+  let issued;
+  try {
+    issued = await keyRegistry.issue({ name, permissions, locations, createdBy: req.apiKey.id });
+  } catch (err) {
+    return res.status(400).json({
+      error: 'Invalid key request',
+      message: err.message,
+      permissions: PERMISSIONS
+    });
+  }
+
+  log.keys.info('Issued key', { keyId: issued.record.id, keyName: issued.record.name, permissions: issued.record.permissions });
+  await audit.record('key.issued', {
+    ...actorFromRequest(req),
+    details: { keyId: issued.record.id, name: issued.record.name, permissions: issued.record.permissions, locations: issued.record.locations }
+  });
+  res.status(201).json({
+    ...issued.record,
+    key: issued.key,
+    message: 'Store this key now, it cannot be shown again'
+  });
+}));
+
+app.get('/api/admin/keys', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  const keys = await keyRegistry.list();
+  res.json({ count: keys.length, keys: keys });
+}));
+
+app.delete('/api/admin/keys/:id', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  const key = await keyRegistry.revoke(req.params.id);
+
+  if (!key) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No API key ${req.params.id}`
+    });
+  }
+
+  log.keys.info('Revoked key', { keyId: key.id, keyName: key.name });
+  await audit.record('key.revoked', { ...actorFromRequest(req), details: { keyId: key.id, name: key.name } });
+  res.json({ success: true, key: key });
+}));
+
+app.post('/api/admin/reencrypt', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  if (!keyring) {
+    return res.status(400).json({
+      error: 'Encryption disabled',
+      message: 'Set TOKEN_ENCRYPTION_KEYS to enable token encryption'
+    });
+  }
+
+  const result = { total: 0, rewrapped: 0, encrypted: 0, failed: [] };
+  for (const ghlApp of Object.values(ghlApps)) {
+    // Under the refresh lock, company refreshes lock "company:<id>"
+    const rewraps = [
+      await ghlApp.tokenStore.rewrap({ lock: (id, fn) => ghlApp.refreshFlight.exclusive(id, fn) }),
+      await ghlApp.companyStore.rewrap({ lock: (id, fn) => ghlApp.refreshFlight.exclusive(`company:${id}`, fn) })
+    ];
+    for (const rewrapped of rewraps) {
+      result.total += rewrapped.total;
+      result.rewrapped += rewrapped.rewrapped;
+      result.encrypted += rewrapped.encrypted;
+      result.failed.push(...rewrapped.failed);
+    }
+  }
+  log.encryption.info('Re-encrypted stored tokens', { keyId: keyring.activeId, total: result.total, rewrapped: result.rewrapped, encrypted: result.encrypted, failed: result.failed.length });
+
+  res.json({
+    success: result.failed.length === 0,
+    activeKeyId: keyring.activeId,
+    ...result
+  });
+}));
+
+// Bundles carry live refresh tokens. GHL refresh tokens are single use, so
+// stop the source deployment's scheduler once the export is taken.
+app.post('/api/admin/export', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  let bundle;
+  try {
+    bundle = await backup.exportBundle(req.body?.passphrase);
+  } catch (err) {
+    if (err.code !== 'invalid_passphrase') throw err;
+    return res.status(400).json({ error: 'Invalid passphrase', message: err.message });
+  }
+
+  log.backup.info('Exported token store', bundle.counts);
+  await audit.record('store.export', { ...actorFromRequest(req), details: bundle.counts });
+  res.setHeader('Content-Disposition', `attachment; filename="ghl-oauth-backup-${bundle.createdAt.slice(0, 10)}.json"`);
+  res.json(bundle);
+}));
+
+app.post('/api/admin/import', requireApiKey('admin'), express.json({ limit: config.backup.maxImportBytes }), asyncHandler(async (req, res) => {
+  const { bundle, passphrase, strategy, dryRun } = req.body || {};
+
+  let report;
+  try {
+    report = await backup.importBundle(bundle, passphrase, { strategy, dryRun: dryRun === true || dryRun === 'true' });
+  } catch (err) {
+    if (!['invalid_bundle', 'invalid_passphrase', 'wrong_passphrase', 'invalid_strategy'].includes(err.code)) throw err;
+    return res.status(400).json({ error: 'Import failed', code: err.code, message: err.message });
+  }
+
+  const summary = summarizeImport(report);
+  log.backup.info(report.dryRun ? 'Dry-run import' : 'Imported token store', summary);
+  if (report.unknownApps.length) {
+    log.backup.warn('Bundle holds apps that are not registered here, they were not imported', { apps: report.unknownApps });
+  }
+  if (!report.dryRun) {
+    await audit.record('store.import', { ...actorFromRequest(req), details: summary });
+  }
+  res.json(report);
+}));
+
+app.get('/api/audit', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid filter', message: err.message });
+  }
+
+  // Newest first, capped so a long history doesn't blow up the response
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const entries = [];
+  for await (const entry of audit.query(filters)) {
+    entries.push(entry);
+    if (entries.length > limit) entries.shift();
+  }
+
+  res.json({ count: entries.length, limit: limit, entries: entries.reverse() });
+}));
+
+app.get('/api/audit/export', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  let filters;
+  try {
+    filters = parseAuditFilters(req.query);
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid filter', message: err.message });
+  }
+
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+  for await (const entry of audit.query(filters)) {
+    if (!res.write(JSON.stringify(entry) + '\n')) {
+      await new Promise((resolve) => res.once('drain', resolve));
+    }
+  }
+  res.end();
+}));
+
+app.post('/webhook/ghl', requireWebhookSignature, asyncHandler(async (req, res) => {
+  const event = req.body || {};
+  log.webhook.info('Received', { type: event.type, locationId: event.locationId || null, webhookId: event.webhookId || null });
+  log.webhook.debug('Payload', { payload: event });
+
+  // Every app's webhooks arrive here, app lifecycle events name the app
+  const ghlApp = Object.values(ghlApps).find((candidate) => event.appId && candidate.config.uninstall.appId === event.appId) || defaultApp;
+  const webhookContext = { actor: { type: 'ghl_webhook', id: event.webhookId || null }, ip: req.ip };
+  const result = await ghlApp.webhookHandlers.handle(event, webhookContext);
+  metrics.recordWebhook(result.type);
+
+  // Location uninstalls are audited by disconnectLocation()
+  if (result.type === 'INSTALL' || (result.type === 'UNINSTALL' && !event.locationId)) {
+    await audit.record(result.type.toLowerCase(), {
+      ...webhookContext,
+      locationId: event.locationId,
+      companyId: event.companyId,
+      details: { source: 'webhook', app: ghlApp.id, ...result }
     });
   }
+  if (result.type === 'UNINSTALL' && !event.locationId && result.removed) {
+    // Not awaited, GHL shouldn't wait on Slack or SMTP for its webhook answer
+    notifier.notify('location.uninstalled', {
+      app: ghlApp.id,
+      companyId: event.companyId,
+      message: `Agency ${event.companyId} uninstalled ${ghlApp.config.appName}. Locations minted from its token will stop working.`,
+      details: { source: 'webhook', app: ghlApp.id }
+    }).catch((err) => log.webhook.error('Alert failed', { error: err.message }));
+  }
+  const deliveries = await deliveryQueue.enqueue(result.type, event);
 
-  res.json({ count: locations.length, locations: locations });
+  res.json({ received: true, ...result, forwarded: deliveries.length });
+}));
+
+app.get('/api/webhooks/subscriptions', requireApiKey('admin'), (req, res) => {
+  const subscriptions = config.deliveries.subscriptions.map(({ secret, ...sub }) => ({
+    ...sub,
+    signed: !!secret
+  }));
+  res.json({ count: subscriptions.length, subscriptions: subscriptions });
 });
 
-app.post('/webhook/ghl', (req, res) => {
-  console.log('[Webhook] Received:', JSON.stringify(req.body, null, 2));
-  
-  const { type, locationId } = req.body;
-  
-  if (type === 'UNINSTALL' || type === 'uninstall') {
-    if (locationId && tokenStore.has(locationId)) {
-      tokenStore.delete(locationId);
-      console.log(`[Webhook] Removed tokens for: ${locationId}`);
+app.get('/api/webhooks/deliveries', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  const status = req.query.status || 'dead';
+
+  if (status !== 'dead' && status !== 'pending') {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: 'status must be "dead" or "pending"'
+    });
+  }
+
+  const deliveries = status === 'dead'
+    ? await deliveryQueue.listDead()
+    : await deliveryQueue.listPending();
+
+  res.json({ status: status, count: deliveries.length, deliveries: deliveries });
+}));
+
+app.post('/api/webhooks/deliveries/:id/replay', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  const delivery = await deliveryQueue.replay(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No dead-lettered delivery ${req.params.id}`
+    });
+  }
+
+  log.delivery.info('Replaying dead letter', { deliveryId: delivery.id, type: delivery.type, subscriptionId: delivery.subscriptionId });
+  res.json({ success: true, delivery: delivery });
+}));
+
+app.get('/api/admin/notifications', requireApiKey('admin'), (req, res) => {
+  res.json({ count: notifier.channels.length, channels: notifier.channels });
+});
+
+app.post('/api/admin/notifications/test', requireApiKey('admin'), asyncHandler(async (req, res) => {
+  if (!notifier.channels.length) {
+    return res.status(400).json({
+      error: 'No channels',
+      message: 'Set NOTIFY_CHANNELS to configure alert channels'
+    });
+  }
+
+  const results = await notifier.test();
+  res.status(results.every((result) => result.ok) ? 200 : 502).json({ results: results });
+}));
+
+// Maps a location to n8n credentials that get its access token pushed after
+// every install and refresh
+app.get('/api/admin/n8n/credentials', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { credentialSync } = req.ghlApp;
+  const mappings = await credentialSync.list({ locationId: req.query.locationId });
+  res.json({ enabled: credentialSync.enabled, count: mappings.length, mappings: mappings });
+}));
+
+app.post('/api/admin/n8n/credentials', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { credentialSync } = req.ghlApp;
+  if (!credentialSync.enabled) {
+    return res.status(400).json({
+      error: 'Not configured',
+      message: 'Set N8N_BASE_URL and N8N_API_KEY to sync n8n credentials'
+    });
+  }
+
+  const { locationId, credentialId, credentialType } = req.body || {};
+  let mapping;
+  try {
+    mapping = await credentialSync.add({ locationId, credentialId, credentialType, createdBy: req.apiKey.id });
+  } catch (err) {
+    if (err.code !== 'invalid_mapping') throw err;
+    return res.status(400).json({
+      error: 'Invalid mapping',
+      message: err.message,
+      credentialTypes: Object.keys(CREDENTIAL_TYPES)
+    });
+  }
+
+  log.n8n.info('Mapped credential', { mappingId: mapping.id, locationId, credentialId: mapping.credentialId });
+  await audit.record('n8n.mapped', {
+    ...actorFromRequest(req),
+    locationId,
+    details: { app: req.ghlApp.id, mappingId: mapping.id, credentialId: mapping.credentialId, credentialType: mapping.credentialType }
+  });
+
+  // Installed locations get their current token straight away
+  const [synced] = await credentialSync.resync({ mappingId: mapping.id });
+  res.status(201).json({ mapping: synced });
+}));
+
+app.delete('/api/admin/n8n/credentials/:id', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { credentialSync } = req.ghlApp;
+  const mapping = await credentialSync.remove(req.params.id);
+
+  if (!mapping) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: `No credential mapping ${req.params.id}`
+    });
+  }
+
+  log.n8n.info('Removed credential mapping', { mappingId: mapping.id, locationId: mapping.locationId });
+  await audit.record('n8n.unmapped', {
+    ...actorFromRequest(req),
+    locationId: mapping.locationId,
+    details: { app: req.ghlApp.id, mappingId: mapping.id, credentialId: mapping.credentialId }
+  });
+  res.json({ success: true, mapping: mapping });
+}));
+
+// Resyncs one mapping ({ mappingId }), a location ({ locationId }) or everything
+app.post('/api/admin/n8n/credentials/sync', requireApiKey('admin'), resolveApp, asyncHandler(async (req, res) => {
+  const { credentialSync } = req.ghlApp;
+  const { mappingId, locationId } = req.body || {};
+
+  let results;
+  try {
+    results = await credentialSync.resync({ mappingId, locationId });
+  } catch (err) {
+    if (err.code === 'not_configured') {
+      return res.status(400).json({ error: 'Not configured', message: err.message });
     }
+    if (err.code === 'not_found') {
+      return res.status(404).json({ error: 'Not found', message: err.message });
+    }
+    throw err;
   }
 
-  res.json({ received: true });
+  const failed = results.filter((mapping) => mapping.status === 'failed').length;
+  res.status(failed ? 502 : 200).json({
+    success: failed === 0,
+    synced: results.filter((mapping) => mapping.status === 'synced').length,
+    failed: failed,
+    mappings: results
+  });
+}));
+
+// Admin dashboard. Sign in with an API key that has the admin permission.
+app.get('/admin/login', (req, res) => {
+  res.send(renderAdminLoginPage());
+});
+
+app.post('/admin/login', asyncHandler(async (req, res) => {
+  if (sendLockedOut(req, res)) return;
+
+  const providedKey = req.body?.apiKey;
+  const key = await keyRegistry.authenticate(providedKey);
+
+  if (!key || !hasPermission(key, 'admin')) {
+    if (providedKey && !key) {
+      await recordAuthFailure(req);
+    }
+    await audit.record('key.denied', {
+      outcome: 'denied',
+      actor: key ? { type: 'api_key', id: key.id, name: key.name } : { type: 'anonymous' },
+      ip: req.ip,
+      details: { reason: key ? 'missing_permission' : (providedKey ? 'invalid_key' : 'missing_key'), method: req.method, path: req.path }
+    });
+    return res.status(401).send(renderAdminLoginPage('Sign-in requires a valid API key with the admin permission.'));
+  }
+
+  const { sessionId } = await adminSessions.create(key, { ip: req.ip });
+  res.setHeader('Set-Cookie', adminSessions.cookie(sessionId, { secure: req.secure }));
+
+  log.admin.info('Dashboard sign-in', { keyId: key.id });
+  await audit.record('admin.login', { actor: { type: 'api_key', id: key.id, name: key.name }, ip: req.ip });
+  res.redirect(303, '/admin');
+}));
+
+app.post('/admin/logout', requireAdminSession, requireCsrf, asyncHandler(async (req, res) => {
+  await adminSessions.destroy(req);
+  await audit.record('admin.logout', actorFromRequest(req));
+  res.setHeader('Set-Cookie', adminSessions.clearCookie());
+  res.redirect(303, '/admin/login');
+}));
+
+// ?app= picks the GHL app whose locations are shown and acted on
+app.get('/admin', requireAdminSession, resolveApp, asyncHandler(async (req, res) => {
+  const locations = (await req.ghlApp.tokenStore.list())
+    .sort(([, a], [, b]) => String(b.installedAt).localeCompare(String(a.installedAt)));
+
+  res.send(renderDashboardPage({
+    ghlApp: req.ghlApp,
+    locations,
+    session: req.adminSession,
+    proxyBaseUrl: `${req.protocol}://${req.get('host')}/api/ghl/`,
+    cspNonce: res.locals.cspNonce,
+    notice: req.query.notice,
+    noticeLocationId: req.query.locationId
+  }));
+}));
+
+app.post('/admin/locations/:locationId/refresh', requireAdminSession, requireCsrf, resolveApp, asyncHandler(async (req, res) => {
+  const { tokenStore, tokens: { refreshToken } } = req.ghlApp;
+  const { locationId } = req.params;
+  const tokenData = await tokenStore.get(locationId);
+  const back = (notice) => res.redirect(303, adminUrl(req.ghlApp, { notice, locationId }));
+
+  if (!tokenData) return back('not_found');
+
+  try {
+    await refreshToken(tokenData.refreshToken, locationId, actorFromRequest(req));
+    back('refreshed');
+  } catch (err) {
+    back(err.uninstalled ? 'not_found' : (err.needsReauth ? 'needs_reauth' : 'refresh_failed'));
+  }
+}));
+
+app.post('/admin/locations/:locationId/disconnect', requireAdminSession, requireCsrf, resolveApp, asyncHandler(async (req, res) => {
+  const { locationId } = req.params;
+  const { removed } = await req.ghlApp.tokens.disconnectLocation(locationId, { ...actorFromRequest(req), source: 'admin' });
+  res.redirect(303, adminUrl(req.ghlApp, { notice: removed ? 'disconnected' : 'not_found', locationId }));
+}));
+
+// Prometheus scrape endpoint. Protected by METRICS_TOKEN (Bearer) when set,
+// scrapers usually can't send X-Api-Key
+app.get('/metrics', asyncHandler(async (req, res) => {
+  if (config.metrics.token) {
+    const provided = Buffer.from(String(req.get('authorization') || ''));
+    const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Valid metrics bearer token required'
+      });
+    }
+  }
+
+  res.set('Content-Type', metrics.contentType);
+  res.send(await metrics.render());
+}));
+
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Request body exceeds ${err.limit} bytes`
+    });
+  }
+  log.error.error('Unhandled error', { method: req.method, path: req.path, error: err.message, stack: err.stack });
+  if (res.headersSent) {
+    return next(err);
+  }
+  res.status(500).json({
+    error: 'Internal error',
+    message: err.message
+  });
 });
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
-async function refreshToken(refreshTokenValue, locationId) {
-  console.log(`[Refresh] Refreshing token for location: ${locationId}`);
-
-  const response = await axios.post(
-    `${config.baseUrl}/oauth/token`,
-    new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: config.clientId,
-      client_secret: config.clientSecret,
-      refresh_token: refreshTokenValue
-    }).toString(),
-    {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      }
-    }
-  );
-
-  const tokens = response.data;
-  const expiresAt = new Date(Date.now() + (tokens.expires_in * 1000));
-
-  const existingData = tokenStore.get(locationId) || {};
-  tokenStore.set(locationId, {
-    ...existingData,
-    accessToken: tokens.access_token,
-    refreshToken: tokens.refresh_token || existingData.refreshToken,
-    expiresAt: expiresAt.toISOString(),
-    expiresIn: tokens.expires_in,
-    lastRefreshed: new Date().toISOString()
+/**
+ * Without API_KEY and with an empty registry nobody could call the API, so
+ * issue one admin key and print it to the server log (never to a web page).
+ */
+async function bootstrapAdminKey() {
+  if (config.apiKey || (await keyRegistry.hasKeys())) {
+    return;
+  }
+
+  const { key, record } = await keyRegistry.issue({
+    name: 'bootstrap-admin',
+    permissions: ['admin'],
+    locations: ['*'],
+    createdBy: 'bootstrap'
   });
 
-  console.log(`[Refresh] ✅ Token refreshed, expires: ${expiresAt.toISOString()}`);
+  console.log('🔑 No API keys exist yet, issued a bootstrap admin key (shown once):');
+  console.log(`   ${key}`);
+  console.log(`   Use it to issue scoped keys via POST /api/admin/keys, then revoke ${record.id}.`);
+  console.log('');
+}
+
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'content-length'
+];
+
+/**
+ * Picks the location from the X-Location-Id header or ?locationId=, falling
+ * back to the only location installed in req.ghlApp. Sends the error response
+ * and returns null when it can't decide.
+ */
+async function resolveLocationId(req, res) {
+  const requested = req.get('x-location-id') || req.query.locationId;
+  if (requested) {
+    return (await ensureLocationAccess(req, res, requested)) ? requested : null;
+  }
 
-  return {
-    accessToken: tokens.access_token,
-    expiresAt: expiresAt.toISOString()
-  };
+  const locations = (await req.ghlApp.tokenStore.list())
+    .map(([id]) => id)
+    .filter((id) => canAccessLocation(req.apiKey, id));
+  if (locations.length === 0) {
+    res.status(404).json({
+      error: 'No tokens',
+      message: `No locations have been authorized yet. Visit ${appAuthorizePath(req.ghlApp.id)} to connect.`
+    });
+    return null;
+  }
+  if (locations.length > 1) {
+    res.status(400).json({
+      error: 'Multiple locations',
+      message: 'Multiple locations connected. Please specify locationId.',
+      availableLocations: locations
+    });
+    return null;
+  }
+  return locations[0];
+}
+
+function sendUninstalled(req, res, locationId, tombstone) {
+  const authorizeUrl = appAuthorizePath(req.ghlApp.id);
+  return res.status(410).json({
+    error: 'Uninstalled',
+    message: `Location ${locationId} was uninstalled at ${tombstone.uninstalledAt}. Reinstall the app via ${authorizeUrl}.`,
+    locationId: locationId,
+    uninstalledAt: tombstone.uninstalledAt,
+    source: tombstone.source || null,
+    authorizeUrl: authorizeUrl
+  });
+}
+
+// For refreshes that found the location uninstalled while they waited
+async function sendUninstalledOrMissing(req, res, locationId) {
+  const tombstone = await req.ghlApp.uninstalledLocations.get(locationId);
+  if (tombstone) {
+    return sendUninstalled(req, res, locationId, tombstone);
+  }
+  return res.status(404).json({
+    error: 'Not found',
+    message: `No tokens found for location ${locationId}`
+  });
+}
+
+// Locale for the OAuth pages, from the browser's Accept-Language
+function pageLocale(req) {
+  return pickLocale(req.get('accept-language'), config.branding.defaultLocale);
+}
+
+function formatTime(iso) {
+  if (!iso) return '—';
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '—' : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+const ADMIN_PAGE_STYLE = `
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%); min-height: 100vh; }
+  .container { margin: 0 auto; background: white; border-radius: 16px; padding: 40px; box-shadow: 0 20px 60px rgba(0,0,0,0.3); }
+  h1 { color: #1e3a8a; margin-bottom: 8px; font-size: 28px; }
+  .subtitle { color: #6b7280; margin-bottom: 24px; }
+  .btn { display: inline-block; background: #3b82f6; color: white; padding: 8px 16px; border: none; border-radius: 8px; text-decoration: none; font-size: 14px; cursor: pointer; }
+  .btn-secondary { background: #e2e8f0; color: #1e293b; }
+  .btn-danger { background: #dc2626; }
+  .notice { border-radius: 8px; padding: 12px 16px; margin-bottom: 20px; }
+  .notice-good { background: #ecfdf5; border: 1px solid #a7f3d0; color: #065f46; }
+  .notice-bad { background: #fef2f2; border: 1px solid #fecaca; color: #991b1b; }
+  input[type=password] { width: 100%; padding: 10px 12px; border: 1px solid #cbd5e1; border-radius: 8px; font-family: monospace; margin: 12px 0 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { text-align: left; color: #64748b; font-size: 12px; text-transform: uppercase; padding: 8px; border-bottom: 2px solid #e2e8f0; }
+  td { padding: 10px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  code { font-family: monospace; background: #e2e8f0; padding: 2px 6px; border-radius: 4px; font-size: 12px; }
+  .muted { color: #94a3b8; font-size: 12px; }
+  .badge { display: inline-block; padding: 2px 8px; border-radius: 999px; font-size: 12px; font-weight: 600; }
+  .badge-good { background: #d1fae5; color: #065f46; }
+  .badge-warn { background: #fef3c7; color: #92400e; }
+  .badge-bad { background: #fee2e2; color: #991b1b; }
+  .actions { display: flex; gap: 6px; flex-wrap: wrap; }
+  .actions form { display: inline; }
+  details summary { cursor: pointer; }
+  details ul { margin: 6px 0 0 16px; font-size: 12px; font-family: monospace; }
+`;
+
+function renderAdminLoginPage(error) {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Admin Sign-in - ${escapeHtml(config.appName)}</title>
+        <style>${ADMIN_PAGE_STYLE} .container { max-width: 480px; }</style>
+      </head>
+      <body>
+        <div class="container">
+          <h1>🔐 Admin Sign-in</h1>
+          <p class="subtitle">${escapeHtml(config.appName)}</p>
+          ${error ? `<div class="notice notice-bad">${escapeHtml(error)}</div>` : ''}
+          <form method="post" action="/admin/login">
+            <label for="apiKey">Admin API key</label>
+            <input type="password" id="apiKey" name="apiKey" autocomplete="off" autofocus required>
+            <button type="submit" class="btn">Sign in</button>
+          </form>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+const ADMIN_NOTICES = {
+  refreshed: { tone: 'good', text: 'Token refreshed for location' },
+  refresh_failed: { tone: 'bad', text: 'Refresh failed for location' },
+  needs_reauth: { tone: 'bad', text: 'GHL rejected the refresh token, reinstall the app for location' },
+  disconnected: { tone: 'good', text: 'Disconnected location' },
+  installed: { tone: 'good', text: 'Connected location' },
+  not_found: { tone: 'bad', text: 'No tokens on file for location' }
+};
+
+function refreshHealth(data) {
+  if (data.status === NEEDS_REAUTH) {
+    return { tone: 'bad', label: 'Needs reauth', detail: data.lastRefreshError };
+  }
+  if (data.refreshFailures) {
+    return {
+      tone: 'warn',
+      label: `Retrying (${data.refreshFailures} failed)`,
+      detail: `${data.lastRefreshError || 'Unknown error'}, next attempt ${formatTime(data.nextRefreshAttempt)}`
+    };
+  }
+  if (new Date(data.expiresAt) < new Date()) {
+    return { tone: 'bad', label: 'Expired', detail: null };
+  }
+  return { tone: 'good', label: 'Healthy', detail: null };
+}
+
+// Dashboard URL for an app, the default app's has no ?app=
+function adminUrl(ghlApp, params = {}, path = '/admin') {
+  const query = new URLSearchParams(ghlApp.id === DEFAULT_APP_ID ? params : { app: ghlApp.id, ...params }).toString();
+  return query ? `${path}?${query}` : path;
+}
+
+function renderDashboardPage({ ghlApp, locations, session, proxyBaseUrl, cspNonce, notice, noticeLocationId }) {
+  const { config, SCOPE_PROFILES } = ghlApp;
+  const csrf = `<input type="hidden" name="_csrf" value="${escapeHtml(session.csrfToken)}">`;
+  const noticeInfo = ADMIN_NOTICES[notice];
+  const installedUrl = adminUrl(ghlApp, { notice: 'installed' });
+
+  const rows = locations.map(([locationId, data]) => {
+    const health = refreshHealth(data);
+    const scopes = scopeReport(data, ghlApp);
+    const id = escapeHtml(locationId);
+    const action = (verb) => adminUrl(ghlApp, {}, `/admin/locations/${encodeURIComponent(locationId)}/${verb}`);
+
+    return `
+      <tr>
+        <td><code>${id}</code>${data.locationName ? `<div class="muted">${escapeHtml(data.locationName)}</div>` : ''}</td>
+        <td>${data.companyId ? `<code>${escapeHtml(data.companyId)}</code>` : '—'}<div class="muted">${escapeHtml(data.source || 'install')}</div></td>
+        <td>${escapeHtml(data.userType || '—')}</td>
+        <td>${formatTime(data.expiresAt)}</td>
+        <td>${formatTime(data.lastRefreshed)}</td>
+        <td><span class="badge badge-${health.tone}">${escapeHtml(health.label)}</span>${health.detail ? `<div class="muted">${escapeHtml(health.detail)}</div>` : ''}</td>
+        <td><div class="muted">${escapeHtml(scopes.profile)}</div>${scopes.known
+          ? `<details><summary>${scopes.granted.length} scopes</summary><ul>${scopes.granted.map((scope) => `<li>${escapeHtml(scope)}</li>`).join('')}</ul></details>`
+          : '<span class="muted">Unknown</span>'}
+          ${scopes.missing.length ? `
+            <details><summary><span class="badge badge-warn">${scopes.missing.length} missing</span></summary><ul>${scopes.missing.map((scope) => `<li>${escapeHtml(scope)}</li>`).join('')}</ul></details>
+            <a href="${escapeHtml(`${scopes.reauthorizeUrl}&returnUrl=${encodeURIComponent(installedUrl)}`)}">Re-consent</a>
+          ` : ''}</td>
+        <td class="actions">
+          <form method="post" action="${escapeHtml(action('refresh'))}">${csrf}<button type="submit" class="btn btn-secondary">Refresh</button></form>
+          <button type="button" class="btn btn-secondary" data-copy="${escapeHtml(adminUrl(ghlApp, { locationId }, proxyBaseUrl))}">Copy proxy URL</button>
+          <form method="post" action="${escapeHtml(action('disconnect'))}" data-confirm="Disconnect ${id}? The location will need to reinstall the app.">${csrf}<button type="submit" class="btn btn-danger">Disconnect</button></form>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Admin - ${escapeHtml(config.appName)}</title>
+        <style>${ADMIN_PAGE_STYLE} .container { max-width: 1280px; }</style>
+      </head>
+      <body>
+        <div class="container">
+          <div style="display: flex; justify-content: space-between; align-items: start;">
+            <div>
+              <h1>🤖 Connected Locations</h1>
+              <p class="subtitle">${locations.length} location${locations.length === 1 ? '' : 's'} · signed in as ${escapeHtml(session.keyName)}</p>
+            </div>
+            <div class="actions">
+              ${Object.keys(ghlApps).length > 1 ? `
+                <form method="get" action="/admin">
+                  <select name="app" class="btn btn-secondary" data-autosubmit>
+                    ${Object.values(ghlApps).map((candidate) => `<option value="${escapeHtml(candidate.id)}"${candidate.id === ghlApp.id ? ' selected' : ''}>${escapeHtml(candidate.config.appName)}</option>`).join('')}
+                  </select>
+                  <noscript><button type="submit" class="btn btn-secondary">Switch app</button></noscript>
+                </form>
+              ` : ''}
+              <form method="get" action="${escapeHtml(appAuthorizePath(ghlApp.id))}">
+                <input type="hidden" name="returnUrl" value="${escapeHtml(installedUrl)}">
+                <select name="profile" class="btn btn-secondary">
+                  ${Object.keys(SCOPE_PROFILES).map((name) => `<option value="${escapeHtml(name)}"${name === config.scopeProfiles.defaultProfile ? ' selected' : ''}>${escapeHtml(name)} (${SCOPE_PROFILES[name].length} scopes)</option>`).join('')}
+                </select>
+                <button type="submit" class="btn">+ Connect a location</button>
+              </form>
+              <form method="post" action="/admin/logout">${csrf}<button type="submit" class="btn btn-secondary">Sign out</button></form>
+            </div>
+          </div>
+
+          ${noticeInfo ? `<div class="notice notice-${noticeInfo.tone}">${escapeHtml(noticeInfo.text)} <code>${escapeHtml(noticeLocationId)}</code></div>` : ''}
+
+          ${locations.length ? `
+            <table>
+              <thead>
+                <tr>
+                  <th>Location</th><th>Company</th><th>User type</th><th>Expires</th>
+                  <th>Last refresh</th><th>Refresh health</th><th>Granted scopes</th><th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          ` : '<p class="muted">No locations connected yet.</p>'}
+        </div>
+        <script nonce="${escapeHtml(cspNonce)}">
+          document.querySelectorAll('[data-copy]').forEach(function (button) {
+            button.addEventListener('click', function () {
+              navigator.clipboard.writeText(button.dataset.copy).then(function () {
+                button.textContent = 'Copied!';
+                setTimeout(function () { button.textContent = 'Copy proxy URL'; }, 1500);
+              });
+            });
+          });
+          document.querySelectorAll('select[data-autosubmit]').forEach(function (select) {
+            select.addEventListener('change', function () { select.form.submit(); });
+          });
+          document.querySelectorAll('form[data-confirm]').forEach(function (form) {
+            form.addEventListener('submit', function (event) {
+              if (!confirm(form.dataset.confirm)) event.preventDefault();
+            });
+          });
+        </script>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Compares the scopes the location's profile currently requests with what
+ * its token was granted. Locations missing scopes need to re-consent.
+ * Marketplace installs and profiles since removed from config are compared
+ * with the default profile.
+ */
+function scopeReport(tokenData, ghlApp = defaultApp) {
+  const { config, SCOPE_PROFILES } = ghlApp;
+  const profile = Object.hasOwn(SCOPE_PROFILES, tokenData.scopeProfile || '')
+    ? tokenData.scopeProfile
+    : config.scopeProfiles.defaultProfile;
+  const requested = SCOPE_PROFILES[profile];
+  const granted = grantedScopesForRecord(tokenData);
+  const reauthorizeUrl = `${appAuthorizePath(ghlApp.id)}?profile=${encodeURIComponent(profile)}`;
+
+  if (!granted.length) {
+    // Neither the token response nor the access token told us
+    return { profile, requested, granted, missing: [], extra: [], known: false, reauthorizeUrl };
+  }
+  return { profile, requested, granted, ...diffScopes(requested, granted), known: true, reauthorizeUrl };
+}
+
+function sendReauthRequired(req, res, locationId, tokenData) {
+  const authorizeUrl = appAuthorizePath(req.ghlApp.id);
+  return res.status(409).json({
+    error: 'Reauthorization required',
+    message: `The refresh token for location ${locationId} was rejected by GHL. Reinstall the app via ${authorizeUrl}.`,
+    locationId: locationId,
+    status: NEEDS_REAUTH,
+    needsReauthSince: tokenData?.needsReauthSince || null,
+    lastRefreshError: tokenData?.lastRefreshError || null,
+    authorizeUrl: authorizeUrl
+  });
 }
 
+// =============================================================================
+// BACKGROUND REFRESH
+// =============================================================================
+
+// One location and one company scheduler per app
+const schedulers = Object.values(ghlApps).flatMap(({ tokenStore, companyStore, tokens }) => [
+  createRefreshScheduler({
+    tokenStore,
+    refresh: (record, locationId) => tokens.refreshToken(record.refreshToken, locationId, { actor: { type: 'scheduler' } }),
+    options: config.scheduler
+  }),
+  createRefreshScheduler({
+    tokenStore: companyStore,
+    refresh: (record, companyId) => tokens.refreshCompanyToken(record.refreshToken, companyId, { actor: { type: 'scheduler' } }),
+    options: config.scheduler
+  })
+]);
+
+// Alerts when the schedulers fall behind, so only useful while they run
+const expiryWatch = createExpiryWatch({
+  notifier,
+  apps: Object.values(ghlApps),
+  options: config.notifications
+});
+
 // =============================================================================
 // START SERVER
 // =============================================================================
 
 app.listen(config.port, () => {
-  const scopeCount = SCOPES.split(' ').length;
+  const scopeCount = SCOPE_PROFILES[config.scopeProfiles.defaultProfile].length;
   
   console.log('');
   console.log('╔════════════════════════════════════════════════════════════════╗');
@@ -716,7 +1819,11 @@ app.listen(config.port, () => {
   console.log(`║  Redirect URI:  ${(config.redirectUri || 'Not set').substring(0, 45).padEnd(45)}║`);
   console.log(`║  Client ID:     ${config.clientId ? '✅ Configured'.padEnd(45) : '❌ NOT SET'.padEnd(45)}║`);
   console.log(`║  Client Secret: ${config.clientSecret ? '✅ Configured'.padEnd(45) : '❌ NOT SET'.padEnd(45)}║`);
-  console.log(`║  Scopes:        ${String(scopeCount + ' permissions').padEnd(45)}║`);
+  console.log(`║  Scopes:        ${`${scopeCount} permissions (${config.scopeProfiles.defaultProfile})`.substring(0, 45).padEnd(45)}║`);
+  console.log(`║  Apps:          ${Object.keys(ghlApps).join(', ').substring(0, 45).padEnd(45)}║`);
+  console.log(`║  Token Store:   ${store.driver.padEnd(45)}║`);
+  console.log(`║  Auto Refresh:  ${(config.scheduler.enabled ? `every ${config.scheduler.intervalMs / 1000}s, ${config.scheduler.refreshAheadMs / 60000}m ahead` : 'disabled').padEnd(45)}║`);
+  console.log(`║  Encryption:    ${(keyring ? `✅ AES-256-GCM (key ${keyring.activeId})` : '❌ DISABLED').substring(0, 45).padEnd(45)}║`);
   console.log('╠════════════════════════════════════════════════════════════════╣');
   console.log('║  Endpoints:                                                    ║');
   console.log('║    GET  /              → Status                                ║');
@@ -728,8 +1835,40 @@ app.listen(config.port, () => {
   console.log('╚════════════════════════════════════════════════════════════════╝');
   console.log('');
   
+  if (config.sandbox.enabled) {
+    console.log('🧪 SANDBOX_MODE is on: GHL is simulated at /sandbox, nothing reaches GoHighLevel.');
+    console.log(`   Install a sample location at ${new URL('/authorize', config.redirectUri)}`);
+    console.log('');
+  }
+
   if (!config.clientId || !config.clientSecret) {
     console.log('⚠️  WARNING: Missing GHL credentials!');
     console.log('');
   }
+
+  if (!keyring) {
+    console.log('⚠️  WARNING: TOKEN_ENCRYPTION_KEYS not set, tokens are stored in plain text!');
+    console.log('');
+  }
+
+  if (config.webhooks.devMode) {
+    console.log('⚠️  WARNING: WEBHOOK_DEV_MODE is on, unsigned webhooks are accepted!');
+    console.log('');
+  } else if (!config.webhooks.publicKey) {
+    console.log('⚠️  WARNING: GHL_WEBHOOK_PUBLIC_KEY not set, all webhooks will be rejected!');
+    console.log('');
+  }
+
+  if (config.scheduler.enabled) {
+    schedulers.forEach((scheduler) => scheduler.start());
+    if (notifier.channels.length) {
+      expiryWatch.start();
+    }
+  }
+
+  deliveryQueue.start();
+
+  bootstrapAdminKey().catch((err) => {
+    log.keys.error('Failed to issue bootstrap admin key', { error: err.message });
+  });
 });
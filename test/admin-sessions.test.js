@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionManager } = require('../lib/admin-sessions');
+const { createMemoryStore } = require('../lib/store/memory');
+const { startService, tokenRecord, API_KEY } = require('./helpers/service');
+
+const adminKey = { id: 'root', name: 'API_KEY' };
+
+function requestWith(cookie) {
+  return { headers: { cookie } };
+}
+
+test('sessions are looked up by cookie and only a hash is stored', async () => {
+  const collection = createMemoryStore().collection('adminSessions');
+  const sessions = createSessionManager({ collection });
+
+  const { sessionId, session } = await sessions.create(adminKey, { ip: '1.2.3.4' });
+  const [[storedId]] = await collection.list();
+  assert.notEqual(storedId, sessionId);
+
+  const found = await sessions.fromRequest(requestWith(`other=1; ghl_admin_session=${sessionId}`));
+  assert.equal(found.keyId, 'root');
+  assert.equal(found.csrfToken, session.csrfToken);
+  assert.equal(await sessions.fromRequest(requestWith('ghl_admin_session=forged')), null);
+  assert.equal(await sessions.fromRequest(requestWith('')), null);
+
+  await sessions.destroy(requestWith(`ghl_admin_session=${sessionId}`));
+  assert.equal(await sessions.fromRequest(requestWith(`ghl_admin_session=${sessionId}`)), null);
+});
+
+test('expired sessions are refused', async () => {
+  const sessions = createSessionManager({ collection: createMemoryStore().collection('adminSessions'), options: { ttlMs: -1 } });
+  const { sessionId } = await sessions.create(adminKey);
+
+  assert.equal(await sessions.fromRequest(requestWith(`ghl_admin_session=${sessionId}`)), null);
+});
+
+test('CSRF tokens must match exactly and cookies are locked down', async () => {
+  const sessions = createSessionManager({ collection: createMemoryStore().collection('adminSessions') });
+  const { sessionId, session } = await sessions.create(adminKey);
+
+  assert.ok(sessions.verifyCsrf(session, session.csrfToken));
+  assert.ok(!sessions.verifyCsrf(session, `${session.csrfToken}x`));
+  assert.ok(!sessions.verifyCsrf(session, undefined));
+
+  const cookie = sessions.cookie(sessionId, { secure: true });
+  for (const attribute of ['Path=/admin', 'HttpOnly', 'SameSite=Strict', 'Secure']) {
+    assert.ok(cookie.includes(attribute), attribute);
+  }
+  assert.match(sessions.clearCookie(), /Max-Age=0/);
+});
+
+test('dashboard sign-in, CSRF-checked actions and sign-out', async (t) => {
+  const service = await startService(t, { records: { tokens: { loc1: tokenRecord() } } });
+  const form = (fields) => ({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(fields).toString()
+  });
+
+  assert.equal((await service.request('/admin')).headers.get('location'), '/admin/login');
+  assert.equal((await service.request('/admin/login', form({ apiKey: 'wrong' }))).status, 401);
+
+  const login = await service.request('/admin/login', form({ apiKey: API_KEY }));
+  assert.equal(login.status, 303);
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+  const withCookie = (options = {}) => ({ ...options, headers: { ...options.headers, Cookie: cookie } });
+
+  const dashboard = await service.request('/admin', withCookie());
+  const page = await dashboard.text();
+  assert.equal(dashboard.status, 200);
+  assert.ok(page.includes('loc1'));
+  const csrf = page.match(/name="_csrf" value="([^"]+)"/)[1];
+
+  assert.equal((await service.request('/admin/locations/loc1/disconnect', withCookie(form({})))).status, 403);
+  assert.equal((await service.request('/admin/locations/loc1/disconnect', withCookie(form({ _csrf: 'forged' })))).status, 403);
+  assert.ok((await service.readCollection('tokens')).loc1);
+
+  const logout = await service.request('/admin/logout', withCookie(form({ _csrf: csrf })));
+  assert.equal(logout.headers.get('location'), '/admin/login');
+  assert.equal((await service.request('/admin', withCookie())).headers.get('location'), '/admin/login');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyRegistry, hasPermission, canAccessLocation } = require('../lib/api-keys');
+const { createMemoryStore } = require('../lib/store/memory');
+
+function createRegistry(rootKey) {
+  return createKeyRegistry({ collection: createMemoryStore().collection('api_keys'), rootKey });
+}
+
+test('issued keys authenticate without exposing the hash', async () => {
+  const keys = createRegistry();
+  const { key, record } = await keys.issue({ name: 'n8n', permissions: ['token:read'], locations: ['loc1'] });
+
+  assert.match(key, /^ghk_[0-9a-f]{12}_/);
+  assert.equal(record.hash, undefined);
+
+  const authenticated = await keys.authenticate(key);
+  assert.equal(authenticated.id, record.id);
+  assert.equal(authenticated.hash, undefined);
+});
+
+test('unknown, malformed and tampered keys are refused', async () => {
+  const keys = createRegistry();
+  const { key, record } = await keys.issue({ name: 'n8n', permissions: ['proxy'] });
+
+  assert.equal(await keys.authenticate(''), null);
+  assert.equal(await keys.authenticate('not-a-key'), null);
+  assert.equal(await keys.authenticate(`ghk_${record.id}_wrong`), null);
+  assert.equal(await keys.authenticate(`${key.slice(0, -1)}x`), null);
+  assert.equal(await keys.authenticate(key.replace(record.id, 'ffffffffffff')), null);
+});
+
+test('revoked keys stop authenticating', async () => {
+  const keys = createRegistry();
+  const { key, record } = await keys.issue({ name: 'n8n', permissions: ['proxy'] });
+
+  const revoked = await keys.revoke(record.id);
+  assert.ok(revoked.revokedAt);
+  assert.equal(await keys.authenticate(key), null);
+  assert.equal(await keys.findActive(record.id), null);
+  assert.equal(await keys.hasKeys(), false);
+  assert.equal(await keys.revoke('missing'), null);
+});
+
+test('the legacy root key is an admin key for every location', async () => {
+  const keys = createRegistry('legacy-secret');
+  const root = await keys.authenticate('legacy-secret');
+
+  assert.equal(root.id, 'root');
+  assert.ok(hasPermission(root, 'token:refresh'));
+  assert.ok(canAccessLocation(root, 'any-location'));
+  assert.equal((await keys.findActive('root')).id, 'root');
+  assert.equal(await createRegistry().findActive('root'), null);
+});
+
+test('issue() validates name, permissions and locations', async () => {
+  const keys = createRegistry();
+
+  await assert.rejects(keys.issue({ permissions: ['proxy'] }), /name is required/);
+  await assert.rejects(keys.issue({ name: 'x' }), /permissions must be/);
+  await assert.rejects(keys.issue({ name: 'x', permissions: ['delete'] }), /permissions must be/);
+  await assert.rejects(keys.issue({ name: 'x', permissions: ['proxy'], locations: [] }), /locations must be/);
+});
+
+test('permission and location checks', () => {
+  const key = { permissions: ['token:read'], locations: ['loc1'] };
+
+  assert.ok(hasPermission(key, 'token:read'));
+  assert.ok(!hasPermission(key, 'proxy'));
+  assert.ok(canAccessLocation(key, 'loc1'));
+  assert.ok(!canAccessLocation(key, 'loc2'));
+  assert.ok(hasPermission({ permissions: ['admin'] }, 'proxy'));
+});
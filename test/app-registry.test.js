@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseApps, appCollectionName, appAuthorizePath, DEFAULT_APP_ID } = require('../lib/app-registry');
+const { parseScopeProfiles } = require('../lib/scope-profiles');
+
+const catalog = [
+  'contacts.readonly',
+  'contacts.write',
+  'conversations.readonly',
+  'calendars.readonly',
+  'calendars.write',
+  'calendars/events.readonly',
+  'calendars/events.write',
+  'locations.readonly',
+  'payments/orders.readonly',
+  'products.readonly',
+  'invoices.readonly',
+  'charges.readonly',
+  'voice-ai-agents.readonly'
+];
+
+const config = {
+  clientId: 'main-abc',
+  clientSecret: 'main-secret',
+  redirectUri: 'https://oauth.example.com/oauth/callback',
+  appName: 'Chatbot',
+  branding: { name: 'Chatbot', primaryColor: '#000000' },
+  uninstall: { appId: 'main' },
+  scopeProfiles: { definitions: null, defaultProfile: 'full' }
+};
+const SCOPE_PROFILES = parseScopeProfiles(null, catalog);
+
+function parse(apps) {
+  return parseApps(apps === undefined ? undefined : JSON.stringify(apps), { config, SCOPE_PROFILES, catalog });
+}
+
+test('without APPS only the default app is registered', () => {
+  const apps = parse();
+
+  assert.equal(apps.length, 1);
+  assert.equal(apps[0].id, DEFAULT_APP_ID);
+  assert.equal(apps[0].config, config);
+});
+
+test('extra apps inherit the service config with their own credentials', () => {
+  const [, voice] = parse([{ id: 'voice', clientId: 'voice123-xyz', clientSecret: 's', branding: { name: 'Voice AI' } }]);
+
+  assert.equal(voice.id, 'voice');
+  assert.equal(voice.config.clientId, 'voice123-xyz');
+  assert.equal(voice.config.redirectUri, 'https://oauth.example.com/apps/voice/oauth/callback');
+  assert.equal(voice.config.uninstall.appId, 'voice123');
+  assert.equal(voice.config.appName, 'Voice AI');
+  assert.equal(voice.config.branding.primaryColor, '#000000');
+  assert.deepEqual(voice.SCOPE_PROFILES, SCOPE_PROFILES);
+});
+
+test('apps can bring their own scope profiles', () => {
+  const [, voice] = parse([{
+    id: 'voice',
+    clientId: 'voice-1',
+    clientSecret: 's',
+    scopeProfiles: { voice: ['voice-ai*', 'contacts.readonly'] },
+    defaultScopeProfile: 'voice'
+  }]);
+
+  assert.deepEqual(voice.SCOPE_PROFILES.voice, ['contacts.readonly', 'voice-ai-agents.readonly']);
+  assert.equal(voice.config.scopeProfiles.defaultProfile, 'voice');
+});
+
+test('malformed entries fail at startup', () => {
+  const creds = { clientId: 'c-1', clientSecret: 's' };
+
+  assert.throws(() => parseApps('{}', { config, SCOPE_PROFILES, catalog }), /JSON array/);
+  assert.throws(() => parse([{ id: 'Voice', ...creds }]), /must be lowercase/);
+  assert.throws(() => parse([{ id: 'default', ...creds }]), /must be lowercase/);
+  assert.throws(() => parse([{ id: 'voice', ...creds }, { id: 'voice', ...creds }]), /registered twice/);
+  assert.throws(() => parse([{ id: 'voice', clientId: 'c-1' }]), /needs a clientId and clientSecret/);
+  assert.throws(() => parse([{ id: 'voice', ...creds, scopeProfiles: { voice: ['users.write'] } }]), /App "voice": Scope profile "voice"/);
+  assert.throws(() => parse([{ id: 'voice', ...creds, defaultScopeProfile: 'missing' }]), /"missing" is not defined/);
+});
+
+test('the default app keeps the original collection names and routes', () => {
+  assert.equal(appCollectionName('tokens', DEFAULT_APP_ID), 'tokens');
+  assert.equal(appCollectionName('tokens', 'voice'), 'tokens.voice');
+  assert.equal(appAuthorizePath(DEFAULT_APP_ID), '/authorize');
+  assert.equal(appAuthorizePath('voice'), '/apps/voice/authorize');
+});
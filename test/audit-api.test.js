@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, tokenRecord } = require('./helpers/service');
+
+test('token reads and denied keys are audited and can be queried and exported', async (t) => {
+  const service = await startService(t, {
+    records: { tokens: { loc1: tokenRecord(), loc2: tokenRecord({ accessToken: 'at-2' }) } }
+  });
+
+  assert.equal((await service.request('/api/token?locationId=loc1')).status, 200);
+  assert.equal((await service.request('/api/token?locationId=loc2')).status, 200);
+  assert.equal((await service.request('/api/token?locationId=loc1', { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+
+  const recent = await (await service.request('/api/audit?locationId=loc1&event=token.read')).json();
+  assert.equal(recent.count, 1);
+  assert.equal(recent.entries[0].actor.id, 'root');
+
+  const newestFirst = await (await service.request('/api/audit?event=token.read&limit=1')).json();
+  assert.deepEqual(newestFirst.entries.map((e) => e.locationId), ['loc2']);
+
+  const denied = await (await service.request('/api/audit?outcome=denied')).json();
+  assert.ok(denied.count >= 1);
+
+  const exported = await service.request('/api/audit/export?event=token.read');
+  assert.equal(exported.headers.get('content-type'), 'application/x-ndjson');
+  const lines = (await exported.text()).trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((e) => e.locationId), ['loc1', 'loc2']);
+});
+
+test('audit queries need an admin key and valid dates', async (t) => {
+  const service = await startService(t);
+
+  assert.equal((await service.request('/api/audit', { headers: { 'X-API-Key': 'wrong' } })).status, 401);
+  assert.equal((await service.request('/api/audit?from=yesterday')).status, 400);
+  assert.equal((await service.request('/api/audit/export?to=soon')).status, 400);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuditLog, parseAuditFilters } = require('../lib/audit');
+const { createMemoryStore } = require('../lib/store/memory');
+
+async function collect(iterator) {
+  const entries = [];
+  for await (const entry of iterator) entries.push(entry);
+  return entries;
+}
+
+test('record() resolves with the entry when the log write fails', async () => {
+  const failing = {
+    async append() {
+      throw new Error('disk full');
+    },
+    async *read() {}
+  };
+  const audit = createAuditLog({ log: failing });
+
+  const entry = await audit.record('token.read', { locationId: 'loc1' });
+
+  assert.equal(entry.event, 'token.read');
+  assert.equal(entry.locationId, 'loc1');
+  assert.equal(entry.outcome, 'success');
+});
+
+test('query() applies location, event and outcome filters', async () => {
+  const audit = createAuditLog({ log: createMemoryStore().log('audit') });
+  await audit.record('install', { locationId: 'loc1' });
+  await audit.record('token.read', { locationId: 'loc1', outcome: 'failure' });
+  await audit.record('token.read', { locationId: 'loc2' });
+
+  const byLocation = await collect(audit.query({ locationId: 'loc1' }));
+  assert.deepEqual(byLocation.map((e) => e.event), ['install', 'token.read']);
+
+  const failures = await collect(audit.query({ events: ['token.read'], outcome: 'failure' }));
+  assert.deepEqual(failures.map((e) => e.locationId), ['loc1']);
+});
+
+test('parseAuditFilters() splits events and rejects malformed dates', () => {
+  const filters = parseAuditFilters({ event: 'install,uninstall', from: '2024-01-01' });
+  assert.deepEqual(filters.events, ['install', 'uninstall']);
+  assert.equal(filters.from, '2024-01-01T00:00:00.000Z');
+
+  assert.throws(() => parseAuditFilters({ to: 'yesterday' }), /to must be an ISO date/);
+});
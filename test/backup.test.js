@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createBackupManager, summarizeImport } = require('../lib/backup');
+const { createSingleFlight } = require('../lib/single-flight');
+const { createMemoryStore } = require('../lib/store/memory');
+const { tokenRecord } = require('./helpers/service');
+
+const PASSPHRASE = 'correct horse battery';
+
+function createApp(store, prefix = '') {
+  return {
+    tokenStore: store.collection(`${prefix}tokens`),
+    companyStore: store.collection(`${prefix}companies`),
+    uninstalledLocations: store.collection(`${prefix}uninstalledLocations`),
+    refreshFlight: createSingleFlight({ store, prefix, options: { pollMs: 5 } })
+  };
+}
+
+// A version 1 bundle, from before multiple apps, sealed with a cheap KDF
+function versionOneBundle(contents, passphrase) {
+  const kdf = { name: 'scrypt', N: 1024, r: 8, p: 1, salt: crypto.randomBytes(16) };
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, kdf.salt, 32, kdf);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from('ghl-oauth-backup:1'));
+  const data = Buffer.concat([cipher.update(JSON.stringify(contents)), cipher.final()]);
+  return {
+    format: 'ghl-oauth-backup',
+    version: 1,
+    kdf: { ...kdf, salt: kdf.salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+test('a bundle round-trips every app and keeps tokens out of the clear', async () => {
+  const source = createMemoryStore();
+  const apps = { default: createApp(source), second: createApp(source, 'second:') };
+  await apps.default.tokenStore.set('loc1', tokenRecord());
+  await apps.default.companyStore.set('c1', tokenRecord({ userType: 'Company' }));
+  await apps.second.tokenStore.set('loc2', tokenRecord({ accessToken: 'second-at' }));
+
+  const bundle = await createBackupManager({ apps }).exportBundle(PASSPHRASE);
+  assert.deepEqual(bundle.counts, { locations: 2, companies: 1, apps: { default: { locations: 1, companies: 1 }, second: { locations: 1, companies: 0 } } });
+  assert.ok(!JSON.stringify(bundle).includes('at-1'));
+
+  const target = createMemoryStore();
+  const targetApps = { default: createApp(target), second: createApp(target, 'second:') };
+  const report = await createBackupManager({ apps: targetApps }).importBundle(bundle, PASSPHRASE);
+
+  assert.deepEqual(report.apps.default.locations.created, ['loc1']);
+  assert.deepEqual(report.apps.default.companies.created, ['c1']);
+  assert.equal((await targetApps.second.tokenStore.get('loc2')).accessToken, 'second-at');
+  assert.deepEqual(summarizeImport(report), { dryRun: false, strategy: 'skip', exportedAt: bundle.createdAt, created: 3, overwritten: 0, skipped: 0, unknownApps: [] });
+});
+
+test('wrong passphrases, short passphrases, bad strategies and tampering are refused', async () => {
+  const backup = createBackupManager({ apps: { default: createApp(createMemoryStore()) } });
+  const bundle = await backup.exportBundle(PASSPHRASE);
+
+  await assert.rejects(backup.exportBundle('short'), { code: 'invalid_passphrase' });
+  await assert.rejects(backup.importBundle(bundle, 'wrong passphrase!'), { code: 'wrong_passphrase' });
+  await assert.rejects(backup.importBundle(bundle, PASSPHRASE, { strategy: 'merge' }), { code: 'invalid_strategy' });
+  await assert.rejects(backup.importBundle({ ...bundle, version: 1 }, PASSPHRASE), { code: 'wrong_passphrase' }, 'the version is authenticated');
+  await assert.rejects(backup.importBundle({ ...bundle, version: 9 }, PASSPHRASE), { code: 'invalid_bundle' });
+  await assert.rejects(backup.importBundle({ tokens: {} }, PASSPHRASE), { code: 'invalid_bundle' });
+});
+
+test('conflict strategies decide per record, tombstones count as conflicts', async () => {
+  const source = createMemoryStore();
+  const sourceApp = createApp(source);
+  const old = new Date(Date.now() - 86400000).toISOString();
+  const recent = new Date().toISOString();
+  await sourceApp.tokenStore.set('same', tokenRecord({ accessToken: 'bundle-at', lastRefreshed: recent }));
+  await sourceApp.tokenStore.set('stale', tokenRecord({ accessToken: 'bundle-at', lastRefreshed: old }));
+  await sourceApp.tokenStore.set('gone', tokenRecord({ accessToken: 'bundle-at', lastRefreshed: old }));
+  await sourceApp.tokenStore.set('broken', { accessToken: 42 });
+  const bundle = await createBackupManager({ apps: { default: sourceApp } }).exportBundle(PASSPHRASE);
+
+  async function importWith(strategy, dryRun = false) {
+    const app = createApp(createMemoryStore());
+    await app.tokenStore.set('same', tokenRecord({ accessToken: 'target-at', lastRefreshed: old }));
+    await app.tokenStore.set('stale', tokenRecord({ accessToken: 'target-at', lastRefreshed: recent }));
+    await app.uninstalledLocations.set('gone', { uninstalledAt: recent });
+    const report = await createBackupManager({ apps: { default: app } }).importBundle(bundle, PASSPHRASE, { strategy, dryRun });
+    return { app, locations: report.apps.default.locations };
+  }
+
+  const skip = await importWith('skip');
+  assert.deepEqual(skip.locations.skipped, [
+    { id: 'same', reason: 'exists' },
+    { id: 'stale', reason: 'exists' },
+    { id: 'gone', reason: 'uninstalled' },
+    { id: 'broken', reason: 'invalid_record' }
+  ]);
+
+  const newest = await importWith('newest-wins');
+  assert.deepEqual(newest.locations.overwritten, ['same']);
+  assert.deepEqual(newest.locations.skipped.map((s) => s.reason), ['not_newer', 'uninstalled_later', 'invalid_record']);
+
+  const overwrite = await importWith('overwrite');
+  assert.deepEqual(overwrite.locations.overwritten, ['same', 'stale', 'gone']);
+  assert.equal((await overwrite.app.tokenStore.get('gone')).accessToken, 'bundle-at');
+  assert.equal(await overwrite.app.uninstalledLocations.get('gone'), null, 'the tombstone is lifted');
+
+  const dry = await importWith('overwrite', true);
+  assert.deepEqual(dry.locations.overwritten, ['same', 'stale', 'gone']);
+  assert.equal((await dry.app.tokenStore.get('same')).accessToken, 'target-at');
+  assert.ok(await dry.app.uninstalledLocations.get('gone'));
+});
+
+test('records are decided under the refresh lock', async () => {
+  const source = createApp(createMemoryStore());
+  await source.tokenStore.set('loc1', tokenRecord({ accessToken: 'bundle-at' }));
+  const bundle = await createBackupManager({ apps: { default: source } }).exportBundle(PASSPHRASE);
+
+  const app = createApp(createMemoryStore());
+  let release;
+  const held = new Promise((resolve) => { release = resolve; });
+  let locked;
+  const lockTaken = new Promise((resolve) => { locked = resolve; });
+  const refresh = app.refreshFlight.exclusive('loc1', async () => {
+    locked();
+    await held;
+    await app.tokenStore.set('loc1', tokenRecord({ accessToken: 'refreshed-at' }));
+  });
+  await lockTaken;
+
+  const importing = createBackupManager({ apps: { default: app } }).importBundle(bundle, PASSPHRASE);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  release();
+  await refresh;
+  const report = await importing;
+
+  assert.deepEqual(report.apps.default.locations.skipped, [{ id: 'loc1', reason: 'exists' }]);
+  assert.equal((await app.tokenStore.get('loc1')).accessToken, 'refreshed-at');
+});
+
+test('version 1 bundles import into the default app, unknown apps are listed', async () => {
+  const app = createApp(createMemoryStore());
+  const backup = createBackupManager({ apps: { default: app } });
+
+  const v1 = versionOneBundle({ exportedAt: '2024-01-01T00:00:00.000Z', locations: { loc1: tokenRecord() }, companies: {} }, PASSPHRASE);
+  const report = await backup.importBundle(v1, PASSPHRASE);
+  assert.deepEqual(report.apps.default.locations.created, ['loc1']);
+  assert.equal(report.exportedAt, '2024-01-01T00:00:00.000Z');
+
+  const other = createApp(createMemoryStore());
+  await other.tokenStore.set('loc2', tokenRecord());
+  const bundle = await createBackupManager({ apps: { default: createApp(createMemoryStore()), elsewhere: other } }).exportBundle(PASSPHRASE);
+  assert.deepEqual((await backup.importBundle(bundle, PASSPHRASE)).unknownApps, ['elsewhere']);
+  assert.equal(await app.tokenStore.get('loc2'), null);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startGhl, tokenRecord } = require('./helpers/service');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ghl-oauth.js');
+
+/**
+ * Returns run(args, env) for a CLI against a temporary file store seeded
+ * with `records`, and GHL pointed at a fake server.
+ */
+async function setup(t, { ghl, records = {} } = {}) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ghl-cli-'));
+  t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+  for (const [name, collection] of Object.entries(records)) {
+    await fs.promises.writeFile(path.join(dataDir, `${name}.json`), JSON.stringify(collection));
+  }
+  const fake = await startGhl(t, ghl);
+
+  function run(args, env = {}) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [CLI, ...args], {
+        timeout: 30000,
+        env: {
+          PATH: process.env.PATH,
+          GHL_CLIENT_ID: 'test-client',
+          GHL_CLIENT_SECRET: 'test-secret',
+          GHL_API_BASE_URL: `${fake.baseUrl}/v1`,
+          REDIRECT_URI: 'https://oauth.example.com/oauth/callback',
+          TOKEN_STORE: 'file',
+          TOKEN_STORE_DIR: dataDir,
+          LOG_LEVEL: 'error',
+          ...env
+        }
+      }, (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+    });
+  }
+
+  async function readCollection(name) {
+    return JSON.parse(await fs.promises.readFile(path.join(dataDir, `${name}.json`), 'utf8'));
+  }
+
+  return { run, readCollection, ghlRequests: fake.requests };
+}
+
+test('no command prints the usage, an unknown one exits 2', async (t) => {
+  const { run } = await setup(t);
+
+  const help = await run([]);
+  assert.equal(help.code, 0);
+  assert.match(help.stdout, /^Usage: ghl-oauth <command>/);
+
+  const unknown = await run(['frobnicate']);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /Unknown command "frobnicate"/);
+  assert.match(unknown.stderr, /Usage:/);
+
+  const app = await run(['locations', '--app', 'nope']);
+  assert.equal(app.code, 2);
+  assert.match(app.stderr, /Unknown app "nope", registered apps: default/);
+});
+
+test('token prints the access token alone and refreshes one close to expiry', async (t) => {
+  const { run, readCollection, ghlRequests } = await setup(t, {
+    ghl: (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ access_token: 'at-2', refresh_token: 'rt-2', expires_in: 86400 }));
+    },
+    records: {
+      tokens: {
+        loc1: tokenRecord(),
+        loc2: tokenRecord({ accessToken: 'old-at', expiresAt: new Date(Date.now() + 60000).toISOString() })
+      }
+    }
+  });
+
+  assert.deepEqual(await run(['token', 'loc1']), { code: 0, stdout: 'at-1\n', stderr: '' });
+  assert.equal(ghlRequests.length, 0);
+
+  const refreshed = JSON.parse((await run(['token', 'loc2', '--json'])).stdout);
+  assert.equal(refreshed.accessToken, 'at-2');
+  assert.equal(refreshed.refreshed, true);
+  assert.equal((await readCollection('tokens')).loc2.refreshToken, 'rt-2');
+
+  const list = JSON.parse((await run(['locations', '--json'])).stdout);
+  assert.deepEqual(list.locations.map((l) => l.locationId).sort(), ['loc1', 'loc2']);
+});
+
+test('revoke tombstones the location and token reports it uninstalled', async (t) => {
+  const { run, readCollection, ghlRequests } = await setup(t, { records: { tokens: { loc1: tokenRecord() } } });
+
+  const revoked = await run(['revoke', 'loc1', '--keep-ghl']);
+  assert.equal(revoked.code, 0);
+  assert.match(revoked.stdout, /Uninstalled loc1 \(GHL revocation: skipped\)/);
+  assert.equal(ghlRequests.length, 0);
+  assert.deepEqual(await readCollection('tokens'), {});
+  assert.equal((await readCollection('uninstalledLocations')).loc1.source, 'cli');
+
+  const again = await run(['revoke', 'loc1']);
+  assert.match(again.stdout, /was already uninstalled/);
+
+  const token = await run(['token', 'loc1']);
+  assert.equal(token.code, 1);
+  assert.match(token.stderr, /Location loc1 was uninstalled at /);
+  assert.equal(token.stdout, '');
+});
+
+test('keys can be issued, listed and revoked', async (t) => {
+  const { run } = await setup(t);
+
+  const issued = JSON.parse((await run(['keys', 'issue', '--name', 'n8n', '--permissions', 'token:read', '--locations', 'loc1', '--json'])).stdout);
+  assert.match(issued.key, /\S{20,}/);
+  assert.deepEqual(issued.locations, ['loc1']);
+
+  const listed = JSON.parse((await run(['keys', 'list', '--json'])).stdout);
+  assert.equal(listed.count, 1);
+  assert.equal(listed.keys[0].id, issued.id);
+  assert.ok(!JSON.stringify(listed).includes(issued.key), 'the secret is never listed');
+
+  assert.equal((await run(['keys', 'revoke', issued.id])).stdout, `Revoked key ${issued.id}\n`);
+  assert.equal((await run(['keys', 'revoke', 'missing'])).code, 1);
+  assert.equal((await run(['keys', 'rotate'])).code, 2);
+});
+
+test('config fails on missing credentials and a bad redirect URI', async (t) => {
+  const { run } = await setup(t);
+
+  const ok = JSON.parse((await run(['config', '--json'])).stdout);
+  assert.equal(ok.ok, true);
+
+  const bad = await run(['config', '--json'], { GHL_CLIENT_SECRET: '', REDIRECT_URI: 'https://oauth.example.com/callback?x=1' });
+  assert.equal(bad.code, 1);
+  const failed = JSON.parse(bad.stdout).checks.filter((check) => check.status === 'fail').map((check) => check.label);
+  assert.deepEqual(failed.sort(), ['Credentials', 'Redirect URI']);
+});
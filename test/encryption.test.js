@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { parseKeyring, createEncryptedCollection } = require('../lib/encryption');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const FIELDS = ['accessToken', 'refreshToken'];
+const keyV1 = crypto.randomBytes(32).toString('base64');
+const keyV2 = crypto.randomBytes(32).toString('hex');
+
+function setup(spec = `v1:${keyV1}`) {
+  const raw = createMemoryStore().collection('tokens');
+  return { raw, tokens: createEncryptedCollection(raw, parseKeyring(spec), FIELDS) };
+}
+
+test('parseKeyring() accepts base64 and hex keys and picks the active one', () => {
+  const keyring = parseKeyring(`v1:${keyV1}, v2:${keyV2}`);
+  assert.deepEqual(Array.from(keyring.keys.keys()), ['v1', 'v2']);
+  assert.equal(keyring.activeId, 'v2');
+  assert.equal(parseKeyring(`v1:${keyV1},v2:${keyV2}`, 'v1').activeId, 'v1');
+  assert.equal(parseKeyring(''), null);
+
+  assert.throws(() => parseKeyring(keyV1), /must look like <id>:<key>/);
+  assert.throws(() => parseKeyring('v1:c2hvcnQ='), /must be 32 bytes/);
+  assert.throws(() => parseKeyring(`v1:${keyV1}`, 'v9'), /"v9" is not in TOKEN_ENCRYPTION_KEYS/);
+});
+
+test('secret fields are encrypted at rest and decrypted on read', async () => {
+  const { raw, tokens } = setup();
+  await tokens.set('loc1', { accessToken: 'at-1', refreshToken: 'rt-1', companyId: 'c1' });
+
+  const stored = await raw.get('loc1');
+  assert.match(stored.accessToken, /^enc:/);
+  assert.ok(!JSON.stringify(stored).includes('rt-1'));
+  assert.equal(stored.companyId, 'c1');
+  assert.equal(stored._encryption.keyId, 'v1');
+
+  assert.deepEqual(await tokens.get('loc1'), { accessToken: 'at-1', refreshToken: 'rt-1', companyId: 'c1' });
+  assert.deepEqual(await tokens.list(), [['loc1', { accessToken: 'at-1', refreshToken: 'rt-1', companyId: 'c1' }]]);
+});
+
+test('ciphertext is bound to its record id', async () => {
+  const { raw, tokens } = setup();
+  await tokens.set('loc1', { accessToken: 'at-1' });
+  await raw.set('loc2', await raw.get('loc1'));
+
+  await assert.rejects(tokens.get('loc2'));
+});
+
+test('rewrap() moves records to the active key and encrypts plaintext ones', async () => {
+  const { raw, tokens } = setup();
+  await tokens.set('loc1', { accessToken: 'at-1' });
+  await raw.set('legacy', { accessToken: 'at-legacy' });
+  const before = await raw.get('loc1');
+
+  const rotated = createEncryptedCollection(raw, parseKeyring(`v1:${keyV1},v2:${keyV2}`), FIELDS);
+  const result = await rotated.rewrap();
+
+  assert.deepEqual(result, { total: 2, rewrapped: 1, encrypted: 1, failed: [] });
+  const after = await raw.get('loc1');
+  assert.equal(after._encryption.keyId, 'v2');
+  assert.equal(after.accessToken, before.accessToken);
+  assert.equal((await raw.get('legacy'))._encryption.keyId, 'v2');
+
+  const v2Only = createEncryptedCollection(raw, parseKeyring(`v2:${keyV2}`), FIELDS);
+  assert.equal((await v2Only.get('loc1')).accessToken, 'at-1');
+  assert.equal((await v2Only.get('legacy')).accessToken, 'at-legacy');
+});
+
+test('rewrap() reports records under an unknown key without stopping', async () => {
+  const { raw, tokens } = setup(`v0:${keyV2}`);
+  await tokens.set('lost', { accessToken: 'at-0' });
+  await raw.set('legacy', { accessToken: 'at-legacy' });
+
+  const result = await createEncryptedCollection(raw, parseKeyring(`v1:${keyV1}`), FIELDS).rewrap();
+
+  assert.equal(result.encrypted, 1);
+  assert.deepEqual(result.failed.map((f) => f.id), ['lost']);
+  assert.match(result.failed[0].error, /unknown key "v0"/);
+});
+
+test('rewrap() re-reads each record inside the lock', async () => {
+  const { raw, tokens } = setup();
+  await tokens.set('loc1', { refreshToken: 'rt-1' });
+  await tokens.set('gone', { refreshToken: 'rt-x' });
+  const rotated = createEncryptedCollection(raw, parseKeyring(`v1:${keyV1},v2:${keyV2}`), FIELDS);
+
+  // A refresh that finishes, and an uninstall, while rewrap waits for the lock
+  const result = await rotated.rewrap({
+    lock: async (id, fn) => {
+      if (id === 'loc1') await tokens.set('loc1', { refreshToken: 'rt-2' });
+      if (id === 'gone') await raw.delete('gone');
+      return fn();
+    }
+  });
+
+  assert.equal(result.rewrapped, 1);
+  assert.equal(await raw.get('gone'), null);
+  assert.equal((await rotated.get('loc1')).refreshToken, 'rt-2');
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../lib/store/file');
+
+async function tempStore(t) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ghl-store-'));
+  t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+  return { dataDir, store: createFileStore({ dataDir }) };
+}
+
+async function collect(iterator) {
+  const entries = [];
+  for await (const entry of iterator) entries.push(entry);
+  return entries;
+}
+
+async function writeLock(dataDir, name, contents, ageMs = 0) {
+  const file = path.join(dataDir, 'locks', `${name}.lock`);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, contents);
+  const mtime = new Date(Date.now() - ageMs);
+  await fs.promises.utimes(file, mtime, mtime);
+}
+
+test('records survive a new store instance and writes leave no temp files', async (t) => {
+  const { dataDir, store } = await tempStore(t);
+  const tokens = store.collection('tokens');
+  await Promise.all([tokens.set('loc1', { a: 1 }), tokens.set('loc2', { b: 2 })]);
+  await tokens.delete('loc2');
+
+  const reopened = createFileStore({ dataDir }).collection('tokens');
+  assert.deepEqual(await reopened.list(), [['loc1', { a: 1 }]]);
+  assert.deepEqual(await fs.promises.readdir(dataDir), ['tokens.json']);
+});
+
+test('a held lock is exclusive until released', async (t) => {
+  const { store } = await tempStore(t);
+
+  const token = await store.acquireLock('loc1', 30000);
+  assert.ok(token);
+  assert.equal(await store.acquireLock('loc1', 30000), null);
+  assert.equal(await store.releaseLock('loc1', 'not-the-token'), false);
+  assert.equal(await store.releaseLock('loc1', token), true);
+  assert.ok(await store.acquireLock('loc1', 30000));
+});
+
+test('only one waiter breaks an expired lock', async (t) => {
+  const { dataDir } = await tempStore(t);
+  await writeLock(dataDir, 'loc1', JSON.stringify({ token: 'dead', expiresAt: Date.now() - 1000 }));
+
+  const waiters = Array.from({ length: 5 }, () => createFileStore({ dataDir }));
+  const tokens = await Promise.all(waiters.map((store) => store.acquireLock('loc1', 30000)));
+
+  assert.equal(tokens.filter(Boolean).length, 1);
+  assert.deepEqual(await fs.promises.readdir(path.join(dataDir, 'locks')), ['loc1.lock']);
+});
+
+test('a corrupt lock file is only broken once it is older than the TTL', async (t) => {
+  const { dataDir, store } = await tempStore(t);
+
+  await writeLock(dataDir, 'fresh', '');
+  assert.equal(await store.acquireLock('fresh', 30000), null);
+
+  await writeLock(dataDir, 'old', '{"tok', 60000);
+  assert.ok(await store.acquireLock('old', 30000));
+});
+
+test('logs append NDJSON entries and read them back in order', async (t) => {
+  const { dataDir, store } = await tempStore(t);
+  const audit = store.log('audit');
+
+  assert.deepEqual(await collect(audit.read()), []);
+  await audit.append({ n: 1 });
+  await audit.append({ n: 2 });
+
+  assert.deepEqual(await collect(createFileStore({ dataDir }).log('audit').read()), [{ n: 1 }, { n: 2 }]);
+  assert.equal(await fs.promises.readFile(path.join(dataDir, 'audit.ndjson'), 'utf8'), '{"n":1}\n{"n":2}\n');
+});
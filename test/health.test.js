@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHealthCheck } = require('../lib/health');
+const { createMemoryStore } = require('../lib/store/memory');
+const { startService, tokenRecord } = require('./helpers/service');
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+function setup({ options, credentials = { clientId: 'id', clientSecret: 'secret' } } = {}) {
+  const store = createMemoryStore();
+  const app = { id: 'default', tokenStore: store.collection('tokens'), companyStore: store.collection('companies'), credentials };
+  return { store, app, health: createHealthCheck({ store, apps: [app], options }) };
+}
+
+test('tokens are classified as fresh, expiring, expired or needs_reauth', async () => {
+  const { app, health } = setup({ options: { maxExpiredPercent: 100, maxNeedsReauthPercent: 100 } });
+  await app.tokenStore.set('fresh', tokenRecord({ expiresAt: inMinutes(60) }));
+  await app.tokenStore.set('expiring', tokenRecord({ expiresAt: inMinutes(5) }));
+  await app.tokenStore.set('expired', tokenRecord({ expiresAt: inMinutes(-5) }));
+  await app.tokenStore.set('garbled', tokenRecord({ expiresAt: 'not a date' }));
+  await app.tokenStore.set('reauth', tokenRecord({ status: 'needs_reauth', expiresAt: inMinutes(60), lastRefreshError: 'invalid_grant' }));
+
+  const report = await health.readiness();
+  const { locations } = report.checks.tokens;
+
+  assert.equal(report.status, 'ready');
+  assert.deepEqual({ total: locations.total, fresh: locations.fresh, expiring: locations.expiring, expired: locations.expired, needs_reauth: locations.needs_reauth },
+    { total: 5, fresh: 1, expiring: 1, expired: 2, needs_reauth: 1 });
+  assert.deepEqual(Object.fromEntries(locations.entries.map((e) => [e.id, e.state])),
+    { fresh: 'fresh', expiring: 'expiring', expired: 'expired', garbled: 'expired', reauth: 'needs_reauth' });
+  assert.equal(locations.entries.find((e) => e.id === 'reauth').lastRefreshError, 'invalid_grant');
+});
+
+test('readiness fails when a share of tokens crosses its threshold', async () => {
+  const { app, health } = setup();
+  await app.tokenStore.set('a', tokenRecord({ expiresAt: inMinutes(60) }));
+  await app.companyStore.set('c1', tokenRecord({ expiresAt: inMinutes(-1) }));
+
+  const report = await health.readiness();
+
+  assert.equal(report.status, 'not_ready');
+  assert.equal(report.checks.tokens.locations.ok, true);
+  assert.deepEqual(report.checks.tokens.companies.breaches, [{ state: 'expired', count: 1, percent: 100, maxPercent: 50 }]);
+});
+
+test('an empty store is ready, missing credentials and a dead store are not', async () => {
+  assert.equal((await setup().health.readiness()).status, 'ready');
+
+  const noSecret = await setup({ credentials: { clientId: 'id' } }).health.readiness();
+  assert.equal(noSecret.status, 'not_ready');
+  assert.deepEqual(noSecret.checks.credentials, { ok: false, apps: { default: { clientId: true, clientSecret: false } } });
+
+  const { store, health } = setup();
+  store.ping = async () => {
+    throw new Error('connection refused');
+  };
+  const down = await health.readiness();
+  assert.equal(down.status, 'not_ready');
+  assert.equal(down.checks.store.error, 'connection refused');
+  assert.deepEqual(down.checks.tokens, { ok: false, error: 'store unavailable' });
+});
+
+test('/readyz answers 503 when not ready and lists tokens only with a key', async (t) => {
+  const service = await startService(t, {
+    records: { tokens: { loc1: tokenRecord({ expiresAt: inMinutes(-1) }) } }
+  });
+
+  const anonymous = await fetch(`${service.url}/readyz`);
+  assert.equal(anonymous.status, 503);
+  assert.equal(anonymous.headers.get('cache-control'), 'no-store');
+  const report = await anonymous.json();
+  assert.equal(report.checks.tokens.locations.expired, 1);
+  assert.equal(report.checks.tokens.locations.entries, undefined);
+
+  const verbose = await (await service.request('/readyz?verbose=true')).json();
+  assert.deepEqual(verbose.checks.tokens.locations.entries.map((e) => e.id), ['loc1']);
+
+  assert.equal((await fetch(`${service.url}/readyz?verbose=true`)).status, 401);
+  assert.equal((await fetch(`${service.url}/healthz`)).status, 200);
+});
@@ -0,0 +1,146 @@
+/**
+ * Runs server.js in a child process against a fake GHL API and a temporary
+ * file store, for tests that go through the HTTP routes.
+ *
+ *   const service = await startService(t, {
+ *     ghl: (req, res, body) => { ... },      // fake GHL, defaults to 404
+ *     records: { tokens: { loc1: {...} } },  // seeded store collections
+ *     env: { RATE_LIMIT_PER_IP: '5' }
+ *   });
+ *   const res = await service.request('/api/token?locationId=loc1');
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-api-key';
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startGhl(t, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (handler) {
+        handler(req, res, body);
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+async function waitUntilUp(url, child, output) {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      if ((await fetch(`${url}/healthz`)).ok) return;
+    } catch (err) {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`server.js did not start:\n${output.join('')}`);
+}
+
+async function startService(t, { ghl, records = {}, env = {} } = {}) {
+  const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ghl-service-'));
+  t.after(() => fs.promises.rm(dataDir, { recursive: true, force: true }));
+  for (const [name, collection] of Object.entries(records)) {
+    await fs.promises.writeFile(path.join(dataDir, `${name}.json`), JSON.stringify(collection));
+  }
+
+  const fake = await startGhl(t, ghl);
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const output = [];
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      API_KEY,
+      GHL_CLIENT_ID: 'test-client',
+      GHL_CLIENT_SECRET: 'test-secret',
+      GHL_API_BASE_URL: `${fake.baseUrl}/v1`,
+      GHL_MARKETPLACE_URL: `${fake.baseUrl}/marketplace`,
+      REDIRECT_URI: `${url}/oauth/callback`,
+      TOKEN_STORE: 'file',
+      TOKEN_STORE_DIR: dataDir,
+      REFRESH_SCHEDULER: 'false',
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', (chunk) => output.push(chunk));
+  child.stderr.on('data', (chunk) => output.push(chunk));
+  t.after(() => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  }));
+
+  await waitUntilUp(url, child, output);
+
+  return {
+    url,
+    dataDir,
+    ghlRequests: fake.requests,
+    output,
+    request(pathname, { headers = {}, ...options } = {}) {
+      return fetch(`${url}${pathname}`, { redirect: 'manual', ...options, headers: { 'X-API-Key': API_KEY, ...headers } });
+    },
+    async readCollection(name) {
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(dataDir, `${name}.json`), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+      }
+    }
+  };
+}
+
+function tokenRecord(overrides = {}) {
+  return {
+    accessToken: 'at-1',
+    refreshToken: 'rt-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    companyId: 'c1',
+    userType: 'Location',
+    scopes: ['contacts.readonly'],
+    installedAt: new Date().toISOString(),
+    ...overrides
+  };
+}
+
+module.exports = { startService, startGhl, tokenRecord, API_KEY };
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers/service');
+
+test('CORS headers go only to allowlisted origins', async (t) => {
+  const service = await startService(t, { env: { CORS_ORIGINS: 'https://app.example.com' } });
+
+  const allowed = await service.request('/api/locations', { headers: { Origin: 'https://app.example.com' } });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+  assert.match(allowed.headers.get('vary'), /Origin/);
+
+  const other = await service.request('/api/locations', { headers: { Origin: 'https://evil.example.com' } });
+  assert.equal(other.headers.get('access-control-allow-origin'), null);
+
+  const preflight = await service.request('/api/token', { method: 'OPTIONS', headers: { Origin: 'https://app.example.com' } });
+  assert.equal(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /X-Api-Key/);
+});
+
+test('every response carries the hardening headers and a fresh CSP nonce', async (t) => {
+  const service = await startService(t);
+
+  const first = await service.request('/healthz');
+  const second = await service.request('/healthz');
+  assert.equal(first.headers.get('x-content-type-options'), 'nosniff');
+  assert.equal(first.headers.get('x-frame-options'), 'DENY');
+  assert.equal(first.headers.get('x-powered-by'), null);
+  assert.equal(first.headers.get('strict-transport-security'), null, 'plain HTTP gets no HSTS');
+
+  const nonce = (res) => res.headers.get('content-security-policy').match(/'nonce-([^']+)'/)[1];
+  assert.notEqual(nonce(first), nonce(second));
+  assert.match(first.headers.get('content-security-policy'), /frame-ancestors 'none'/);
+});
+
+test('HSTS is sent when the proxy reports HTTPS', async (t) => {
+  const service = await startService(t);
+  const res = await service.request('/healthz', { headers: { 'X-Forwarded-Proto': 'https' } });
+  assert.match(res.headers.get('strict-transport-security'), /max-age=31536000/);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../lib/logger');
+
+test('redact() masks secret and PII fields at any depth', () => {
+  const result = redact({
+    locationId: 'loc1',
+    accessToken: 'eyJhbGciOiJIUzI1NiJ9.eyJzdWIiOiIxIn0.c2ln',
+    details: { client_secret: 'shh', email: 'ana@example.com', needsReauth: true },
+    contacts: [{ firstName: 'Ana', id: 'ct1' }]
+  });
+
+  assert.deepEqual(result, {
+    locationId: 'loc1',
+    accessToken: '[REDACTED]',
+    details: { client_secret: '[REDACTED]', email: '[PII]', needsReauth: true },
+    contacts: [{ firstName: '[PII]', id: 'ct1' }]
+  });
+});
+
+test('redact() scrubs tokens and keys embedded in strings and errors', () => {
+  assert.equal(redact('Authorization: Bearer abc.def-ghi'), 'Authorization: [REDACTED]');
+  assert.equal(redact('key ghk_0123abcd_secret was revoked'), 'key [REDACTED] was revoked');
+  assert.deepEqual(redact(new Error('bad eyJa.eyJb.c')), { message: 'bad [REDACTED]', name: 'Error' });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createMetrics } = require('../lib/metrics');
+const { createMemoryStore } = require('../lib/store/memory');
+
+test('array routes are labelled with the pattern that matched', async (t) => {
+  const metrics = createMetrics({ tokenStores: {} });
+  const app = express();
+  app.use(metrics.httpMiddleware);
+  app.get(['/authorize', '/apps/:appId/authorize'], (req, res) => res.send('ok'));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await (await fetch(`${base}/authorize`)).text();
+  await (await fetch(`${base}/apps/voice/authorize`)).text();
+  await (await fetch(`${base}/nope`)).text();
+
+  const output = await metrics.render();
+  assert.match(output, /http_request_duration_seconds_count\{method="GET",route="\/authorize",status="200"\} 1/);
+  assert.match(output, /http_request_duration_seconds_count\{method="GET",route="\/apps\/:appId\/authorize",status="200"\} 1/);
+  assert.match(output, /route="unmatched",status="404"/);
+});
+
+test('token gauges are reported per app', async () => {
+  const store = createMemoryStore();
+  const stores = { default: store.collection('tokens'), voice: store.collection('tokens.voice') };
+  await stores.default.set('loc1', { expiresAt: new Date(Date.now() + 3600 * 1000).toISOString(), lastRefreshed: new Date().toISOString() });
+  await stores.voice.set('loc2', { status: 'needs_reauth', expiresAt: new Date(Date.now() - 1000).toISOString() });
+  const metrics = createMetrics({ tokenStores: stores });
+  metrics.recordRefresh('location', 'success', 'scheduler');
+
+  const output = await metrics.render();
+
+  assert.match(output, /ghl_locations\{app="default",status="active"\} 1/);
+  assert.match(output, /ghl_locations\{app="voice",status="needs_reauth"\} 1/);
+  assert.match(output, /ghl_token_expires_in_seconds\{app="default",location_id="loc1"\} 3[56]\d\d/);
+  assert.match(output, /ghl_token_expires_in_seconds\{app="voice",location_id="loc2"\} -/);
+  assert.match(output, /ghl_token_refresh_total\{kind="location",outcome="success",trigger="scheduler"\} 1/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCredentialSync } = require('../lib/n8n-sync');
+const { createMemoryStore } = require('../lib/store/memory');
+const { startGhl, tokenRecord } = require('./helpers/service');
+
+async function setup(t, n8n) {
+  const fake = await startGhl(t, n8n || ((req, res) => res.end('{}')));
+  const store = createMemoryStore();
+  const tokenStore = store.collection('tokens');
+  const sync = createCredentialSync({
+    collection: store.collection('n8nCredentials'),
+    tokenStore,
+    options: { baseUrl: `${fake.baseUrl}/`, apiKey: 'n8n-key' }
+  });
+  return { sync, tokenStore, requests: fake.requests };
+}
+
+test('mappings are validated and listed per location', async (t) => {
+  const { sync } = await setup(t);
+
+  await assert.rejects(sync.add({ locationId: 'loc1' }), { code: 'invalid_mapping' });
+  await assert.rejects(sync.add({ locationId: 'loc1', credentialId: '7', credentialType: 'oauth2' }), /credentialType must be one of/);
+  const mapping = await sync.add({ locationId: 'loc1', credentialId: 7 });
+  assert.equal(mapping.credentialId, '7');
+  assert.equal(mapping.status, 'pending');
+  await assert.rejects(sync.add({ locationId: 'loc1', credentialId: '7' }), /already mapped/);
+  await sync.add({ locationId: 'loc2', credentialId: '8' });
+
+  assert.deepEqual((await sync.list({ locationId: 'loc1' })).map((m) => m.credentialId), ['7']);
+  assert.equal((await sync.remove(mapping.id)).id, mapping.id);
+  assert.equal(await sync.remove(mapping.id), null);
+});
+
+test('a sync pushes the stored token in the shape of each credential type', async (t) => {
+  const { sync, tokenStore, requests } = await setup(t);
+  await sync.add({ locationId: 'loc1', credentialId: 'header' });
+  await sync.add({ locationId: 'loc1', credentialId: 'bearer', credentialType: 'httpBearerAuth' });
+
+  assert.deepEqual((await sync.syncLocation('loc1')).map((m) => m.status), ['pending', 'pending'], 'nothing to push before the install');
+  assert.equal(requests.length, 0);
+
+  await tokenStore.set('loc1', tokenRecord());
+  const results = await sync.syncLocation('loc1');
+
+  assert.deepEqual(results.map((m) => m.status), ['synced', 'synced']);
+  assert.deepEqual(requests.map((r) => [r.method, r.url, r.headers['x-n8n-api-key'], JSON.parse(r.body)]), [
+    ['PATCH', '/api/v1/credentials/header', 'n8n-key', { data: { name: 'Authorization', value: 'Bearer at-1' } }],
+    ['PATCH', '/api/v1/credentials/bearer', 'n8n-key', { data: { token: 'at-1' } }]
+  ]);
+});
+
+test('failed pushes are recorded on the mapping and a manual resync retries them', async (t) => {
+  let status = 404;
+  const { sync, tokenStore } = await setup(t, (req, res) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ message: 'Credential not found' }));
+  });
+  await tokenStore.set('loc1', tokenRecord());
+  const mapping = await sync.add({ locationId: 'loc1', credentialId: '7' });
+
+  await sync.syncLocation('loc1');
+  const [failed] = await sync.syncLocation('loc1');
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.lastError, 'HTTP 404: Credential not found');
+  assert.equal(failed.failures, 2);
+
+  status = 200;
+  const [synced] = await sync.resync({ mappingId: mapping.id });
+  assert.equal(synced.status, 'synced');
+  assert.equal(synced.failures, 0);
+  await assert.rejects(sync.resync({ mappingId: 'missing' }), { code: 'not_found' });
+});
+
+test('background syncs of a location run one at a time and end on the newest token', async (t) => {
+  const { sync, tokenStore, requests } = await setup(t, (req, res) => setTimeout(() => res.end('{}'), 50));
+  await sync.add({ locationId: 'loc1', credentialId: '7' });
+  await tokenStore.set('loc1', tokenRecord({ accessToken: 'at-1' }));
+
+  const first = sync.queueSync('loc1');
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await tokenStore.set('loc1', tokenRecord({ accessToken: 'at-2' }));
+  const second = sync.queueSync('loc1');
+  await tokenStore.set('loc1', tokenRecord({ accessToken: 'at-3' }));
+  const third = sync.queueSync('loc1');
+
+  assert.equal(second, first, 'requests made during a sync are folded into it');
+  assert.equal(third, first);
+  await sync.idle();
+  assert.equal((await first)[0].status, 'synced');
+  assert.deepEqual(requests.map((r) => JSON.parse(r.body).data.value), ['Bearer at-1', 'Bearer at-3']);
+});
+
+test('without n8n settings nothing is synced', async () => {
+  const store = createMemoryStore();
+  const sync = createCredentialSync({ collection: store.collection('n8nCredentials'), tokenStore: store.collection('tokens') });
+
+  assert.equal(sync.enabled, false);
+  assert.deepEqual(await sync.queueSync('loc1'), []);
+  await assert.rejects(sync.resync(), { code: 'not_configured' });
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { createNotifier, createExpiryWatch, parseChannels } = require('../lib/notifier');
+const { createMemoryStore } = require('../lib/store/memory');
+const { startGhl, tokenRecord } = require('./helpers/service');
+
+async function setup(t, { channels, options, status = 200 }) {
+  const hook = await startGhl(t, (req, res) => {
+    res.statusCode = status;
+    res.end();
+  });
+  const store = createMemoryStore();
+  const notifier = createNotifier({
+    store,
+    collection: store.collection('notifications'),
+    channels: parseChannels(JSON.stringify(channels(hook.baseUrl))),
+    options
+  });
+  return { notifier, requests: hook.requests, store };
+}
+
+test('channels are validated when parsed', () => {
+  assert.deepEqual(parseChannels(''), []);
+  assert.throws(() => parseChannels('{}'), /must be a JSON array/);
+  assert.throws(() => parseChannels('[{"type":"sms","url":"x"}]'), /unknown type "sms"/);
+  assert.throws(() => parseChannels('[{"type":"email"}]'), /email-1 is missing to/);
+  assert.throws(() => parseChannels('[{"type":"slack","url":"x","events":["nope"]}]'), /unknown events: nope/);
+  assert.deepEqual(parseChannels('[{"type":"email","to":"ops@example.com"}]')[0].to, ['ops@example.com']);
+});
+
+test('alerts are signed, filtered by event and held back during the cool-down', async (t) => {
+  const { notifier, requests } = await setup(t, {
+    channels: (url) => [
+      { id: 'ops', type: 'webhook', url: `${url}/ops`, secret: 's3cret' },
+      { id: 'pager', type: 'webhook', url: `${url}/pager`, events: ['token.needs_reauth'] }
+    ]
+  });
+  const fields = { app: 'default', locationId: 'loc1', companyId: 'c1', message: 'Refreshing failed' };
+
+  assert.deepEqual(await notifier.notify('refresh.failed', fields), { sent: true, results: [{ channel: 'ops', ok: true }] });
+  assert.equal(requests.length, 1);
+  const signature = crypto.createHmac('sha256', 's3cret').update(requests[0].body).digest('hex');
+  assert.equal(requests[0].headers['x-notify-signature'], signature);
+
+  assert.deepEqual(await notifier.notify('refresh.failed', fields), { sent: false, reason: 'cooldown' });
+  assert.deepEqual(await notifier.notify('refresh.failed', fields), { sent: false, reason: 'cooldown' });
+  assert.equal(requests.length, 1);
+
+  await notifier.resolve('refresh.failed', fields);
+  await notifier.notify('refresh.failed', fields);
+  assert.equal(requests.length, 2);
+  assert.equal(JSON.parse(requests[1].body).suppressed, 0, 'resolving forgets the suppressed repeats');
+
+  await notifier.notify('token.needs_reauth', fields);
+  assert.deepEqual(requests.slice(2).map((r) => r.url).sort(), ['/ops', '/pager']);
+});
+
+test('the next alert after a cool-down reports the suppressed repeats', async (t) => {
+  const { notifier, requests } = await setup(t, {
+    channels: (url) => [{ type: 'slack', url }],
+    options: { cooldownMs: 50 }
+  });
+  const fields = { locationId: 'loc1', message: 'Refreshing failed' };
+
+  await notifier.notify('refresh.failed', fields);
+  await notifier.notify('refresh.failed', fields);
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  await notifier.notify('refresh.failed', fields);
+
+  assert.equal(requests.length, 2);
+  assert.match(JSON.parse(requests[1].body).text, /\(1 more since /);
+});
+
+test('a failing channel is reported, not thrown', async (t) => {
+  const { notifier } = await setup(t, { channels: (url) => [{ id: 'down', type: 'webhook', url }], status: 500 });
+
+  const result = await notifier.notify('refresh.failed', { locationId: 'loc1', message: 'x' });
+  assert.deepEqual(result, { sent: true, results: [{ channel: 'down', ok: false, error: 'HTTP 500' }] });
+  assert.deepEqual(await notifier.test(), [{ channel: 'down', ok: false, error: 'HTTP 500' }]);
+});
+
+test('another replica sending the same alert is not duplicated', async (t) => {
+  const { notifier, requests, store } = await setup(t, { channels: (url) => [{ type: 'webhook', url }] });
+  await store.acquireLock('notify:refresh.failed:loc1', 30000);
+
+  assert.deepEqual(await notifier.notify('refresh.failed', { locationId: 'loc1', message: 'x' }), { sent: false, reason: 'duplicate' });
+  assert.equal(requests.length, 0);
+});
+
+test('email goes through an SMTP transport with bounded timeouts', (t) => {
+  const createTransport = t.mock.method(nodemailer, 'createTransport', () => ({}));
+  const channels = parseChannels('[{"type":"email","to":["ops@example.com"]}]');
+
+  assert.throws(() => createNotifier({ channels }), /need SMTP_URL/);
+  assert.throws(() => createNotifier({ channels, options: { smtpUrl: 'smtp://mail' } }), /needs a from address/);
+
+  createNotifier({ channels, options: { smtpUrl: 'smtp://mail', emailFrom: 'alerts@example.com' } });
+  const [transport] = createTransport.mock.calls[0].arguments;
+  assert.equal(transport.url, 'smtp://mail');
+  for (const timeout of ['connectionTimeout', 'greetingTimeout', 'socketTimeout']) {
+    assert.ok(transport[timeout] > 0 && transport[timeout] <= 10000, timeout);
+  }
+});
+
+test('the expiry watch alerts for tokens running out unrefreshed', async () => {
+  const store = createMemoryStore();
+  const tokenStore = store.collection('tokens');
+  const companyStore = store.collection('companies');
+  const alerts = [];
+  const notifier = { notify: async (event, fields) => alerts.push({ event, ...fields }) };
+
+  await tokenStore.set('fresh', tokenRecord());
+  await tokenStore.set('late', tokenRecord({ expiresAt: new Date(Date.now() + 5 * 60000).toISOString() }));
+  await tokenStore.set('reauth', tokenRecord({ status: 'needs_reauth', expiresAt: new Date(0).toISOString() }));
+  await companyStore.set('c1', tokenRecord({ expiresAt: new Date(Date.now() - 60000).toISOString() }));
+
+  await createExpiryWatch({ notifier, apps: [{ id: 'default', tokenStore, companyStore }] }).check();
+
+  assert.deepEqual(alerts.map((a) => [a.event, a.app, a.locationId, a.companyId]), [
+    ['token.expiring', 'default', 'late', 'c1'],
+    ['token.expiring', 'default', null, 'c1']
+  ]);
+  assert.match(alerts[0].message, /expires in 5 minutes/);
+  assert.match(alerts[1].message, /^The company token for c1 expired at /);
+});
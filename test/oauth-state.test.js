@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateManager } = require('../lib/oauth-state');
+const { createMemoryStore } = require('../lib/store/memory');
+
+function createManager(options) {
+  return createStateManager({
+    secret: 'test-secret',
+    collection: createMemoryStore().collection('oauth_states'),
+    options
+  });
+}
+
+test('issued state round-trips its return URL, tag, profile and app', async () => {
+  const states = createManager();
+  const state = await states.issue({ returnUrl: '/done', tag: 'ws-1', profile: 'full', app: 'voice' });
+
+  const result = await states.consume(state);
+
+  assert.equal(result.returnUrl, '/done');
+  assert.equal(result.tag, 'ws-1');
+  assert.equal(result.profile, 'full');
+  assert.equal(result.app, 'voice');
+});
+
+test('state can only be consumed once', async () => {
+  const states = createManager();
+  const state = await states.issue();
+  await states.consume(state);
+
+  await assert.rejects(states.consume(state), { code: 'reused_state' });
+});
+
+test('missing and tampered state are rejected', async () => {
+  const states = createManager();
+  const state = await states.issue({ tag: 'a' });
+  const [payload, signature] = state.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), tag: 'b' })).toString('base64url');
+
+  await assert.rejects(states.consume(''), { code: 'missing_state' });
+  await assert.rejects(states.consume(`${forged}.${signature}`), { code: 'invalid_state' });
+  await assert.rejects(states.consume(payload), { code: 'invalid_state' });
+});
+
+test('state signed with another secret is rejected', async () => {
+  const other = createStateManager({ secret: 'other', collection: createMemoryStore().collection('oauth_states') });
+  const state = await other.issue();
+
+  await assert.rejects(createManager().consume(state), { code: 'invalid_state' });
+});
+
+test('expired state is rejected', async () => {
+  const states = createManager({ ttlMs: -1 });
+  const state = await states.issue();
+
+  await assert.rejects(states.consume(state), { code: 'expired_state' });
+});
+
+test('returnUrl must be relative or on the allowlist', async () => {
+  const states = createManager({ allowedReturnOrigins: ['https://n8n.example.com'] });
+
+  const allowed = await states.consume(await states.issue({ returnUrl: 'https://n8n.example.com/setup' }));
+  assert.equal(allowed.returnUrl, 'https://n8n.example.com/setup');
+
+  await assert.rejects(states.issue({ returnUrl: 'https://evil.example.com/' }), { code: 'invalid_return_url' });
+  await assert.rejects(states.issue({ returnUrl: '//evil.example.com/' }), { code: 'invalid_return_url' });
+  await assert.rejects(states.issue({ tag: 'x'.repeat(201) }), { code: 'invalid_tag' });
+});
+
+test('returnUrl paths cannot leave the service origin', async () => {
+  const states = createManager({ baseUrl: 'https://oauth.example.com/oauth/callback' });
+
+  for (const returnUrl of ['/\\evil.com', '/\\evil.com/x', '\\\\evil.com', '/\tevil.com', '/done\r\nSet-Cookie: x=1']) {
+    await assert.rejects(states.issue({ returnUrl }), { code: 'invalid_return_url' }, returnUrl);
+  }
+
+  const encoded = await states.consume(await states.issue({ returnUrl: '/%5Cevil.com' }));
+  assert.equal(encoded.returnUrl, '/%5Cevil.com');
+  assert.equal(new URL(encoded.returnUrl, 'https://oauth.example.com/oauth/callback').origin, 'https://oauth.example.com');
+
+  const own = await states.consume(await states.issue({ returnUrl: 'https://oauth.example.com/installed?x=1' }));
+  assert.equal(own.returnUrl, 'https://oauth.example.com/installed?x=1');
+  await assert.rejects(states.issue({ returnUrl: ['/a', '/b'] }), { code: 'invalid_return_url' });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, escapeHtml } = require('../lib/views/html');
+const { pickLocale, createTranslator, LOCALES } = require('../lib/views/i18n');
+const { createPageRenderer } = require('../lib/views/pages');
+
+const branding = { name: 'Acme <Sync>', primaryColor: '#3b82f6', darkColor: '#1e293b', supportEmail: 'help@acme.test' };
+
+test('html`` escapes values but not nested templates or raw()', () => {
+  const inner = html`<b>${'<i>'}</b>`;
+  assert.equal(String(html`<p title="${'"x"'}">${inner}${raw('<br>')}${['a', '&']}${null}${false}</p>`),
+    '<p title="&quot;x&quot;"><b>&lt;i&gt;</b><br>a&amp;</p>');
+  assert.equal(escapeHtml("'"), '&#39;');
+  assert.equal(escapeHtml(undefined), '');
+});
+
+test('pickLocale() honours q-values, region tags and the fallback', () => {
+  assert.equal(pickLocale('pt-BR,pt;q=0.9,en;q=0.8'), 'pt');
+  assert.equal(pickLocale('de,fr;q=0.5,es;q=0.7'), 'es');
+  assert.equal(pickLocale('es;q=0,fr;q=0.1'), 'fr');
+  assert.equal(pickLocale('de', 'es'), 'es');
+  assert.equal(pickLocale(undefined), 'en');
+});
+
+test('translations fall back to English and fill placeholders', () => {
+  const t = createTranslator('es');
+  assert.equal(t('successTitle'), LOCALES.es.successTitle);
+  assert.ok(t('needHelp', { support: 'a@b' }).includes('a@b'));
+  assert.equal(createTranslator('xx')('successTitle'), LOCALES.en.successTitle);
+  assert.equal(t('no.such.key'), 'no.such.key');
+
+  for (const [locale, messages] of Object.entries(LOCALES)) {
+    for (const key of Object.keys(messages)) {
+      assert.ok(key in LOCALES.en, `${locale} has key ${key} that en does not`);
+    }
+  }
+});
+
+test('invalid branding is refused at startup', () => {
+  assert.throws(() => createPageRenderer({ branding: { ...branding, primaryColor: 'red;}</style>' } }), /primaryColor must be a hex color/);
+  assert.throws(() => createPageRenderer({ branding: { ...branding, logoUrl: 'javascript:alert(1)' } }), /BRAND_LOGO_URL/);
+});
+
+test('error pages escape query-string values', () => {
+  const pages = createPageRenderer({ branding, authorizePath: '/apps/second/authorize' });
+  const page = pages.authorizationError('en', { error: '<script>alert(1)</script>', description: '"onmouseover=x' });
+
+  assert.ok(!page.includes('<script>alert(1)'));
+  assert.ok(page.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(page.includes('&quot;onmouseover=x'));
+  assert.ok(page.includes('href="/apps/second/authorize"'));
+  assert.ok(page.includes('<title>Authorization Failed - Acme &lt;Sync&gt;</title>'));
+  assert.ok(page.includes('help@acme.test'));
+});
+
+test('state errors are translated, unknown codes show the error message', () => {
+  const pages = createPageRenderer({ branding });
+
+  const expired = pages.stateError('es', Object.assign(new Error('expired'), { code: 'expired_state' }));
+  assert.ok(expired.startsWith('<!DOCTYPE html>\n<html lang="es">'));
+  assert.ok(expired.includes(escapeHtml(LOCALES.es.stateErrors.expired_state)));
+
+  const unknown = pages.stateError('en', Object.assign(new Error('Something <odd>'), { code: 'odd_state' }));
+  assert.ok(unknown.includes('Something &lt;odd&gt;'));
+});
+
+test('the success page shows install details and never the tokens', () => {
+  const pages = createPageRenderer({ branding: { ...branding, logoUrl: 'https://acme.test/logo.png' } });
+  const page = pages.success('en', {
+    locationId: 'loc1',
+    companyId: null,
+    userType: 'Location',
+    scopeProfile: 'chatbot-minimal',
+    expiresAt: Date.now() + 3600000,
+    accessToken: 'secret-at'
+  });
+
+  assert.ok(page.includes('loc1'));
+  assert.ok(page.includes('chatbot-minimal'));
+  assert.ok(page.includes('GET /api/token?locationId=loc1'));
+  assert.ok(page.includes('<img class="logo" src="https://acme.test/logo.png"'));
+  assert.ok(!page.includes('secret-at'));
+});
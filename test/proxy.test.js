@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService, tokenRecord } = require('./helpers/service');
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+test('requests are forwarded with the location token', async (t) => {
+  const service = await startService(t, {
+    records: { tokens: { loc1: tokenRecord() } },
+    ghl: (req, res) => json(res, 200, { contacts: [{ id: 'ct1' }] })
+  });
+
+  const res = await service.request('/api/ghl/contacts/?locationId=loc1&query=ana&apiKey=leak');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { contacts: [{ id: 'ct1' }] });
+  const [forwarded] = service.ghlRequests;
+  assert.equal(forwarded.url, '/v1/contacts/?locationId=loc1&query=ana');
+  assert.equal(forwarded.headers.authorization, 'Bearer at-1');
+  assert.ok(forwarded.headers.version);
+});
+
+test('a 401 from GHL refreshes the token and retries once', async (t) => {
+  const service = await startService(t, {
+    records: { tokens: { loc1: tokenRecord() } },
+    ghl: (req, res) => {
+      if (req.url === '/v1/oauth/token') {
+        return json(res, 200, { access_token: 'at-2', refresh_token: 'rt-2', expires_in: 86400 });
+      }
+      if (req.headers.authorization === 'Bearer at-1') {
+        return json(res, 401, { message: 'Invalid JWT' });
+      }
+      json(res, 200, { ok: true });
+    }
+  });
+
+  const res = await service.request('/api/ghl/contacts/?locationId=loc1');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(service.ghlRequests.map((r) => r.url), ['/v1/contacts/?locationId=loc1', '/v1/oauth/token', '/v1/contacts/?locationId=loc1']);
+  assert.equal((await service.readCollection('tokens')).loc1.refreshToken, 'rt-2');
+});
+
+test('paths cannot climb out of the GHL base path', async (t) => {
+  const service = await startService(t, { records: { tokens: { loc1: tokenRecord() } } });
+
+  const res = await service.request('/api/ghl/..%2f..%2felsewhere?locationId=loc1');
+
+  assert.equal(res.status, 400);
+  assert.equal(service.ghlRequests.length, 0);
+});
+
+test('an upstream reset mid-body ends the client response instead of hanging', { timeout: 10000 }, async (t) => {
+  const service = await startService(t, {
+    records: { tokens: { loc1: tokenRecord() } },
+    ghl: (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': '1000' });
+      res.write('{"contacts": [');
+      setTimeout(() => res.socket.destroy(), 50);
+    }
+  });
+
+  const res = await service.request('/api/ghl/contacts/?locationId=loc1');
+  assert.equal(res.status, 200);
+  await assert.rejects(res.text());
+
+  assert.equal((await service.request('/healthz')).status, 200);
+});
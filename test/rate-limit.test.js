@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, createLockout, setRateLimitHeaders } = require('../lib/rate-limit');
+const { startService } = require('./helpers/service');
+
+test('the rate limiter allows `limit` hits per key per window', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+  assert.equal(limiter.hit('a').remaining, 1);
+  assert.equal(limiter.hit('a').allowed, true);
+  assert.deepEqual(limiter.hit('a'), { allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+  assert.equal(limiter.hit('b').allowed, true);
+
+  t.mock.timers.tick(1000);
+  assert.equal(limiter.hit('a').allowed, true);
+});
+
+test('the lockout starts at the threshold, ends after lockoutMs and resets on success', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const lockout = createLockout({ threshold: 2, windowMs: 1000, lockoutMs: 5000 });
+
+  assert.equal(lockout.recordFailure('ip'), false);
+  assert.equal(lockout.lockedUntil('ip'), null);
+  assert.equal(lockout.recordFailure('ip'), true);
+  assert.equal(lockout.lockedUntil('ip'), 5000);
+
+  t.mock.timers.tick(5000);
+  assert.equal(lockout.lockedUntil('ip'), null);
+
+  lockout.recordFailure('other');
+  t.mock.timers.tick(1000);
+  assert.equal(lockout.recordFailure('other'), false, 'failures outside the window are not counted together');
+  lockout.reset('other');
+  assert.equal(lockout.recordFailure('other'), false);
+});
+
+test('rate limit headers carry Retry-After only when limited', () => {
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+  const resetAt = Date.now() + 30000;
+
+  setRateLimitHeaders(res, { allowed: true, limit: 5, remaining: 4, resetAt });
+  assert.deepEqual(Object.keys(headers), ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']);
+  assert.equal(headers['RateLimit-Reset'], 30);
+
+  setRateLimitHeaders(res, { allowed: false, limit: 5, remaining: 0, resetAt });
+  assert.equal(headers['Retry-After'], 30);
+});
+
+// Counts requests with a different X-Forwarded-For each until one is limited
+async function requestsUntilLimited(service, max) {
+  for (let i = 1; i <= max; i++) {
+    const res = await service.request('/api/locations', { headers: { 'X-Forwarded-For': `203.0.113.${i}` } });
+    if (res.status === 429) return i;
+  }
+  return null;
+}
+
+test('behind one proxy each forwarded client gets its own IP budget', async (t) => {
+  const service = await startService(t, { env: { RATE_LIMIT_PER_IP: '2' } });
+  assert.equal(await requestsUntilLimited(service, 4), null);
+});
+
+test('TRUST_PROXY_HOPS=0 ignores X-Forwarded-For', async (t) => {
+  const service = await startService(t, { env: { RATE_LIMIT_PER_IP: '2', TRUST_PROXY_HOPS: '0' } });
+  // /healthz from the start-up check already used one hit of the budget
+  assert.equal(await requestsUntilLimited(service, 4), 2);
+});
+
+test('repeated invalid keys lock the client IP out, valid keys included', async (t) => {
+  const service = await startService(t, { env: { AUTH_LOCKOUT_THRESHOLD: '2' } });
+  const bad = { headers: { 'X-API-Key': 'wrong' } };
+
+  assert.equal((await service.request('/api/locations', bad)).status, 401);
+  assert.equal((await service.request('/api/locations', bad)).status, 401);
+  const res = await service.request('/api/locations');
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+});
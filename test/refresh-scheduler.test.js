@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRefreshScheduler, NEEDS_REAUTH } = require('../lib/refresh-scheduler');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const MINUTE = 60 * 1000;
+
+function expiresIn(ms) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+function setup(refresh) {
+  const tokenStore = createMemoryStore().collection('tokens');
+  const refreshed = [];
+  const scheduler = createRefreshScheduler({
+    tokenStore,
+    refresh: async (record, locationId) => {
+      refreshed.push(locationId);
+      if (refresh) await refresh(record, locationId);
+    },
+    options: { refreshAheadMs: 30 * MINUTE, jitterMs: 1, backoffBaseMs: MINUTE }
+  });
+  return { tokenStore, scheduler, refreshed };
+}
+
+test('tick() refreshes only locations inside the refresh window', async () => {
+  const { tokenStore, scheduler, refreshed } = setup();
+  await tokenStore.set('due', { refreshToken: 'rt', expiresAt: expiresIn(10 * MINUTE) });
+  await tokenStore.set('fresh', { refreshToken: 'rt', expiresAt: expiresIn(5 * 60 * MINUTE) });
+  await tokenStore.set('agency', { source: 'agency', expiresAt: expiresIn(MINUTE) });
+  await tokenStore.set('no-refresh-token', { expiresAt: expiresIn(MINUTE) });
+  await tokenStore.set('reauth', { refreshToken: 'rt', status: NEEDS_REAUTH, expiresAt: expiresIn(-MINUTE) });
+
+  const summary = await scheduler.tick();
+
+  assert.deepEqual(refreshed.sort(), ['agency', 'due']);
+  assert.deepEqual(summary, { checked: 5, refreshed: 2, failed: 0, needsReauth: 1 });
+});
+
+test('failed refreshes back off and are skipped until the retry time', async () => {
+  const { tokenStore, scheduler, refreshed } = setup(async () => {
+    throw new Error('GHL is down');
+  });
+  await tokenStore.set('loc1', { refreshToken: 'rt', expiresAt: expiresIn(MINUTE) });
+
+  await scheduler.tick();
+  const first = await tokenStore.get('loc1');
+  assert.equal(first.refreshFailures, 1);
+  assert.equal(first.lastRefreshError, 'GHL is down');
+  const delay = new Date(first.nextRefreshAttempt) - Date.now();
+  assert.ok(delay > 0 && delay <= MINUTE);
+
+  await scheduler.tick();
+  assert.deepEqual(refreshed, ['loc1']);
+
+  await tokenStore.set('loc1', { ...first, nextRefreshAttempt: expiresIn(-1) });
+  await scheduler.tick();
+  const second = await tokenStore.get('loc1');
+  assert.equal(second.refreshFailures, 2);
+  assert.ok(new Date(second.nextRefreshAttempt) - Date.now() <= 2 * MINUTE);
+});
+
+test('a rejected refresh token is not retried with backoff', async () => {
+  const { tokenStore, scheduler } = setup(async (record, locationId) => {
+    await tokenStore.set(locationId, { ...record, status: NEEDS_REAUTH });
+    throw Object.assign(new Error('invalid_grant'), { needsReauth: true });
+  });
+  await tokenStore.set('loc1', { refreshToken: 'rt', expiresAt: expiresIn(MINUTE) });
+
+  const summary = await scheduler.tick();
+
+  assert.deepEqual(summary, { checked: 1, refreshed: 0, failed: 1, needsReauth: 1 });
+  const record = await tokenStore.get('loc1');
+  assert.equal(record.status, NEEDS_REAUTH);
+  assert.equal(record.refreshFailures, undefined);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startService } = require('./helpers/service');
+
+const VOICE = { id: 'voice', clientId: 'voice-client', clientSecret: 'voice-secret' };
+
+function sandboxService(t) {
+  return startService(t, { env: { SANDBOX_MODE: 'true', APPS: JSON.stringify([VOICE]) } });
+}
+
+function form(fields) {
+  return { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams(fields).toString() };
+}
+
+// Runs /authorize → consent → callback for an app, returns the consent redirect's code
+async function install(service, authorizePath) {
+  const consent = new URL((await service.request(authorizePath)).headers.get('location'));
+  const fields = { ...Object.fromEntries(consent.searchParams), locationId: 'sbxLoc0000000000001', decision: 'allow' };
+  const granted = await service.request('/sandbox/oauth/chooselocation', form(fields));
+  assert.equal(granted.status, 303);
+  return { consent, callback: new URL(granted.headers.get('location')) };
+}
+
+test('a registered app other than the default installs with its own credentials', async (t) => {
+  const service = await sandboxService(t);
+
+  const { consent, callback } = await install(service, '/apps/voice/authorize');
+  assert.equal(consent.searchParams.get('client_id'), 'voice-client');
+  assert.equal(callback.pathname, '/apps/voice/oauth/callback');
+
+  const done = await service.request(`${callback.pathname}${callback.search}`);
+  assert.equal(done.status, 200);
+  const record = (await service.readCollection('tokens.voice')).sbxLoc0000000000001;
+  assert.ok(record);
+
+  const token = await service.request('/api/token?locationId=sbxLoc0000000000001&app=voice');
+  assert.equal(token.status, 200);
+});
+
+test('the consent page checks the redirect URI of the app named by client_id', async (t) => {
+  const service = await sandboxService(t);
+  const params = (overrides) => new URLSearchParams({
+    client_id: 'voice-client',
+    redirect_uri: `${service.url}/apps/voice/oauth/callback`,
+    scope: 'contacts.readonly',
+    ...overrides
+  });
+
+  assert.equal((await service.request(`/sandbox/oauth/chooselocation?${params()}`)).status, 200);
+
+  const wrongRedirect = await service.request(`/sandbox/oauth/chooselocation?${params({ redirect_uri: `${service.url}/oauth/callback` })}`);
+  assert.equal(wrongRedirect.status, 400);
+  assert.match(await wrongRedirect.text(), /redirect_uri must be http:\/\/127\.0\.0\.1:\d+\/apps\/voice\/oauth\/callback/);
+
+  const unknown = await service.request(`/sandbox/oauth/chooselocation?${params({ client_id: 'nobody' })}`);
+  assert.equal(unknown.status, 400);
+});
+
+test('codes and refresh tokens only work for the client they were issued to', async (t) => {
+  const service = await sandboxService(t);
+  const token = (fields) => service.request('/sandbox/oauth/token', form(fields));
+  const voice = { client_id: 'voice-client', client_secret: 'voice-secret' };
+  const sandboxDefault = { client_id: 'sandbox-client', client_secret: 'sandbox-secret' };
+
+  assert.equal((await token({ ...voice, client_secret: 'sandbox-secret', grant_type: 'refresh_token' })).status, 401);
+
+  const { callback } = await install(service, '/apps/voice/authorize');
+  const code = { grant_type: 'authorization_code', code: callback.searchParams.get('code'), redirect_uri: callback.origin + callback.pathname };
+  assert.deepEqual(await (await token({ ...sandboxDefault, ...code })).json(), { error: 'invalid_grant', error_description: 'Invalid or expired authorization code' });
+
+  const { callback: second } = await install(service, '/apps/voice/authorize');
+  const issued = await (await token({ ...voice, ...code, code: second.searchParams.get('code') })).json();
+  assert.ok(issued.refresh_token);
+  const claims = JSON.parse(Buffer.from(issued.access_token.split('.')[1], 'base64url'));
+  assert.equal(claims.sourceId, 'voice-client');
+
+  const refresh = { grant_type: 'refresh_token', refresh_token: issued.refresh_token };
+  assert.equal((await token({ ...sandboxDefault, ...refresh })).status, 400);
+  assert.equal((await token({ ...voice, ...refresh })).status, 200);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseScopeProfiles, BUILT_IN_PROFILES } = require('../lib/scope-profiles');
+const { startService } = require('./helpers/service');
+
+const catalog = ['contacts.readonly', 'contacts.write', 'conversations.readonly', 'conversations/message.write', 'locations.readonly', 'payments/orders.readonly', 'products.readonly', 'invoices.readonly', 'charges.readonly', 'calendars.readonly', 'calendars.write', 'calendars/events.readonly', 'calendars/events.write'];
+
+test('built-in profiles expand wildcards in catalog order', () => {
+  const profiles = parseScopeProfiles(null, catalog);
+
+  assert.deepEqual(Object.keys(profiles), Object.keys(BUILT_IN_PROFILES));
+  assert.deepEqual(profiles.full, catalog);
+  assert.deepEqual(profiles['chatbot-minimal'].slice(0, 4), ['contacts.readonly', 'contacts.write', 'conversations.readonly', 'conversations/message.write']);
+});
+
+test('configured profiles are added and can override built-ins', () => {
+  const profiles = parseScopeProfiles(JSON.stringify({
+    reporting: ['locations.readonly', 'contacts.readonly'],
+    full: ['contacts*']
+  }), catalog);
+
+  assert.deepEqual(profiles.reporting, ['contacts.readonly', 'locations.readonly']);
+  assert.deepEqual(profiles.full, ['contacts.readonly', 'contacts.write']);
+});
+
+test('malformed profiles fail at startup', () => {
+  assert.throws(() => parseScopeProfiles('[]', catalog), /JSON object/);
+  assert.throws(() => parseScopeProfiles('{"bad name": ["contacts.readonly"]}', catalog), /may only contain/);
+  assert.throws(() => parseScopeProfiles('{"empty": []}', catalog), /non-empty list/);
+  assert.throws(() => parseScopeProfiles('{"typo": ["contact.readonly", "users*"]}', catalog), /not enabled on the app: contact.readonly, users\*/);
+});
+
+test('/authorize asks for the chosen profile and refuses unknown ones', async (t) => {
+  const service = await startService(t, { env: { SCOPE_PROFILES: JSON.stringify({ reporting: ['locations.readonly'] }) } });
+
+  const res = await service.request('/authorize?profile=reporting');
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get('location'));
+  assert.equal(location.pathname, '/marketplace/oauth/chooselocation');
+  assert.equal(location.searchParams.get('scope'), 'locations.readonly');
+
+  const unknown = await service.request('/authorize?profile=constructor');
+  assert.equal(unknown.status, 400);
+  assert.ok((await unknown.json()).profiles.includes('reporting'));
+});
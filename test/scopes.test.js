@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeTokenClaims, grantedScopesFromResponse, grantedScopesForRecord, diffScopes } = require('../lib/scopes');
+const { startService, tokenRecord } = require('./helpers/service');
+
+function jwt(claims) {
+  return ['eyJhbGciOiJIUzI1NiJ9', Buffer.from(JSON.stringify(claims)).toString('base64url'), 'sig'].join('.');
+}
+
+test('granted scopes come from the scope field, then the JWT claims', () => {
+  const accessToken = jwt({ authClassId: 'loc1', oauthMeta: { scopes: ['contacts.readonly'] } });
+
+  assert.deepEqual(grantedScopesFromResponse({ scope: 'contacts.readonly  contacts.write', access_token: accessToken }), ['contacts.readonly', 'contacts.write']);
+  assert.deepEqual(grantedScopesFromResponse({ access_token: accessToken }), ['contacts.readonly']);
+  assert.equal(grantedScopesFromResponse({ access_token: 'opaque' }), null);
+
+  assert.deepEqual(grantedScopesForRecord({ scopes: ['a'], accessToken }), ['a']);
+  assert.deepEqual(grantedScopesForRecord({ scopes: [], accessToken }), ['contacts.readonly']);
+  assert.deepEqual(grantedScopesForRecord({ accessToken: 'opaque' }), []);
+});
+
+test('decodeTokenClaims() returns null for anything that is not a JWT', () => {
+  assert.equal(decodeTokenClaims(undefined), null);
+  assert.equal(decodeTokenClaims('a.b'), null);
+  assert.equal(decodeTokenClaims('a.!!!.c'), null);
+  assert.equal(decodeTokenClaims(jwt('just a string')), null);
+  assert.equal(decodeTokenClaims(jwt({ authClass: 'Location' })).authClass, 'Location');
+});
+
+test('diffScopes() reports missing and extra scopes', () => {
+  assert.deepEqual(diffScopes(['a', 'b'], ['b', 'c']), { missing: ['a'], extra: ['c'] });
+});
+
+test('the scopes endpoint compares the grant with the install profile', async (t) => {
+  const service = await startService(t, {
+    records: {
+      tokens: {
+        loc1: tokenRecord({
+          scopeProfile: 'chatbot-minimal',
+          scopes: ['contacts.readonly', 'contacts.write'],
+          accessToken: jwt({ authClass: 'Location', authClassId: 'loc1' })
+        })
+      }
+    }
+  });
+
+  const report = await (await service.request('/api/locations/loc1/scopes')).json();
+
+  assert.equal(report.scopeProfile, 'chatbot-minimal');
+  assert.equal(report.authClassId, 'loc1');
+  assert.equal(report.complete, false);
+  assert.ok(report.missing.includes('locations.readonly'));
+  assert.ok(!report.missing.includes('contacts.write'));
+  assert.match(report.reauthorizeUrl, /profile=chatbot-minimal/);
+  assert.equal((await service.request('/api/locations/nope/scopes')).status, 404);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSingleFlight } = require('../lib/single-flight');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const options = { pollMs: 5, lockWaitMs: 500 };
+
+test('concurrent run() calls for one key share a single call', async () => {
+  const flight = createSingleFlight({ store: createMemoryStore(), options });
+  let calls = 0;
+  const fn = async () => {
+    calls++;
+    await sleep(20);
+    return `token-${calls}`;
+  };
+
+  const results = await Promise.all([flight.run('loc1', fn), flight.run('loc1', fn), flight.run('loc2', fn)]);
+
+  assert.equal(calls, 2);
+  assert.equal(results[0], results[1]);
+  assert.equal(await flight.run('loc1', fn), 'token-3');
+});
+
+test('replicas sharing a store take turns instead of overlapping', async () => {
+  const store = createMemoryStore();
+  const replicas = [createSingleFlight({ store, options }), createSingleFlight({ store, options })];
+  const events = [];
+  const fn = (name) => async () => {
+    events.push(`${name}:start`);
+    await sleep(20);
+    events.push(`${name}:end`);
+  };
+
+  await Promise.all([replicas[0].run('loc1', fn('a')), replicas[1].run('loc1', fn('b'))]);
+
+  assert.deepEqual(events, ['a:start', 'a:end', 'b:start', 'b:end']);
+});
+
+test('exclusive() waits for a refresh in flight instead of joining it', async () => {
+  const flight = createSingleFlight({ store: createMemoryStore(), options });
+  const events = [];
+
+  await Promise.all([
+    flight.run('loc1', async () => {
+      await sleep(20);
+      events.push('refresh');
+    }),
+    flight.exclusive('loc1', async () => events.push('disconnect'))
+  ]);
+
+  assert.deepEqual(events, ['refresh', 'disconnect']);
+});
+
+test('the lock is released when fn throws, and waiting gives up after lockWaitMs', async () => {
+  const store = createMemoryStore();
+  const flight = createSingleFlight({ store, options });
+
+  await assert.rejects(flight.run('loc1', async () => {
+    throw new Error('boom');
+  }), /boom/);
+  assert.equal(await flight.run('loc1', async () => 'ok'), 'ok');
+
+  await store.acquireLock('refresh:loc1', 60000);
+  await assert.rejects(flight.run('loc1', async () => 'never'), /Timed out waiting for lock refresh:loc1/);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenService } = require('../lib/token-service');
+const { createSingleFlight } = require('../lib/single-flight');
+const { createAuditLog } = require('../lib/audit');
+const { createMemoryStore } = require('../lib/store/memory');
+const { startGhl, tokenRecord } = require('./helpers/service');
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+async function setup(t, ghl, overrides = {}) {
+  const fake = await startGhl(t, ghl);
+  const store = createMemoryStore();
+  const calls = { notify: [], sync: [], enqueue: [] };
+  const deps = {
+    config: {
+      baseUrl: `${fake.baseUrl}/v1`,
+      clientId: 'test-client',
+      clientSecret: 'test-secret',
+      apiVersion: '2021-07-28',
+      uninstall: { revokeWithGhl: true, appId: 'app1' }
+    },
+    tokenStore: store.collection('tokens'),
+    companyStore: store.collection('companies'),
+    uninstalledLocations: store.collection('uninstalledLocations'),
+    refreshFlight: createSingleFlight({ store, options: { pollMs: 5 } }),
+    audit: createAuditLog({ log: store.log('audit') }),
+    metrics: { recordRefresh() {} },
+    notifier: {
+      async notify(event, fields) {
+        calls.notify.push({ event, ...fields });
+      },
+      async resolve() {}
+    },
+    credentialSync: {
+      queueSync(locationId) {
+        calls.sync.push(locationId);
+      }
+    },
+    deliveryQueue: {
+      async enqueue(type, payload) {
+        calls.enqueue.push({ type, ...payload });
+        return [];
+      }
+    },
+    ...overrides
+  };
+  return { ...deps, calls, ghlRequests: fake.requests, tokens: createTokenService(deps) };
+}
+
+test('a location without tokens is minted from its agency install', async (t) => {
+  const { tokens, tokenStore, companyStore, ghlRequests } = await setup(t, (req, res) => {
+    json(res, 200, { access_token: 'loc-at', expires_in: 86400, token_type: 'Bearer', userType: 'Location' });
+  });
+  await companyStore.set('c1', tokenRecord({ accessToken: 'company-at', userType: 'Company', installTag: 'ws-1' }));
+
+  const record = await tokens.loadLocationToken('loc1', null);
+
+  assert.equal(record.accessToken, 'loc-at');
+  assert.equal(record.source, 'agency');
+  assert.equal(record.installTag, 'ws-1');
+  assert.equal((await tokenStore.get('loc1')).companyId, 'c1');
+  assert.equal(ghlRequests[0].url, '/v1/oauth/locationToken');
+  assert.equal(ghlRequests[0].headers.authorization, 'Bearer company-at');
+  assert.equal(new URLSearchParams(ghlRequests[0].body).get('locationId'), 'loc1');
+});
+
+test('an agency token close to expiry is refreshed before minting', async (t) => {
+  const { tokens, companyStore, ghlRequests } = await setup(t, (req, res) => {
+    if (req.url === '/v1/oauth/token') {
+      return json(res, 200, { access_token: 'company-at-2', refresh_token: 'company-rt-2', expires_in: 86400 });
+    }
+    json(res, 200, { access_token: 'loc-at', expires_in: 86400 });
+  });
+  await companyStore.set('c1', tokenRecord({ accessToken: 'company-at', refreshToken: 'company-rt', expiresAt: new Date(Date.now() + 60000).toISOString() }));
+
+  await tokens.loadLocationToken('loc1', 'c1');
+
+  assert.deepEqual(ghlRequests.map((r) => r.url), ['/v1/oauth/token', '/v1/oauth/locationToken']);
+  assert.equal(ghlRequests[1].headers.authorization, 'Bearer company-at-2');
+  assert.equal((await companyStore.get('c1')).refreshToken, 'company-rt-2');
+});
+
+test('uninstalled locations and failing agencies mint nothing', async (t) => {
+  const { tokens, companyStore, uninstalledLocations } = await setup(t, (req, res) => {
+    json(res, 400, { message: 'Location not in company' });
+  });
+  await companyStore.set('c1', tokenRecord());
+  await uninstalledLocations.set('gone', { uninstalledAt: new Date().toISOString() });
+
+  assert.equal(await tokens.loadLocationToken('gone', 'c1'), null);
+  assert.equal(await tokens.loadLocationToken('loc1', null), null);
+});
+
+test('refreshing an agency-minted location re-mints it', async (t) => {
+  const { tokens, tokenStore, companyStore, ghlRequests } = await setup(t, (req, res) => {
+    json(res, 200, { access_token: 'loc-at-2', expires_in: 86400 });
+  });
+  await companyStore.set('c1', tokenRecord());
+  await tokenStore.set('loc1', tokenRecord({ source: 'agency', refreshToken: null, accessToken: 'loc-at-1' }));
+
+  const result = await tokens.refreshToken(null, 'loc1');
+
+  assert.equal(result.accessToken, 'loc-at-2');
+  assert.deepEqual(ghlRequests.map((r) => r.url), ['/v1/oauth/locationToken']);
+});
+
+test('an uninstall waits for a refresh in flight and the refresh does not bring the tokens back', async (t) => {
+  let arrived;
+  const refreshArrived = new Promise((resolve) => { arrived = resolve; });
+  const { tokens, tokenStore, uninstalledLocations } = await setup(t, (req, res) => {
+    if (req.url === '/v1/oauth/token') {
+      arrived();
+      return setTimeout(() => json(res, 200, { access_token: 'at-2', refresh_token: 'rt-2', expires_in: 86400 }), 100);
+    }
+    json(res, 200, {});
+  });
+  await tokenStore.set('loc1', tokenRecord());
+
+  const refresh = tokens.refreshToken('rt-1', 'loc1');
+  await refreshArrived;
+  const disconnect = tokens.disconnectLocation('loc1', { source: 'webhook' });
+
+  assert.equal((await refresh).accessToken, 'at-2');
+  const { removed, revocation } = await disconnect;
+  assert.equal(removed, true);
+  assert.equal(revocation.status, 'revoked');
+  assert.equal(await tokenStore.get('loc1'), null);
+  assert.ok(await uninstalledLocations.get('loc1'));
+});
+
+test('a refresh queued behind an uninstall finds the tombstone and writes nothing', async (t) => {
+  let arrived;
+  const revokeArrived = new Promise((resolve) => { arrived = resolve; });
+  const { tokens, tokenStore, uninstalledLocations, ghlRequests } = await setup(t, (req, res) => {
+    if (req.method === 'DELETE') {
+      arrived();
+      return setTimeout(() => json(res, 200, {}), 100);
+    }
+    json(res, 200, { access_token: 'at-2', refresh_token: 'rt-2', expires_in: 86400 });
+  });
+  await tokenStore.set('loc1', tokenRecord());
+
+  const disconnect = tokens.disconnectLocation('loc1', { source: 'webhook' });
+  await revokeArrived;
+  const refresh = tokens.refreshToken('rt-1', 'loc1');
+
+  await assert.rejects(refresh, (err) => err.uninstalled === true);
+  await disconnect;
+  assert.equal(await tokenStore.get('loc1'), null);
+  assert.ok(await uninstalledLocations.get('loc1'));
+  assert.ok(!ghlRequests.some((r) => r.url === '/v1/oauth/token'));
+});
+
+test('a token exchange for a tombstoned location is refused', async (t) => {
+  const { tokens, tokenStore, companyStore, uninstalledLocations } = await setup(t, (req, res) => {
+    json(res, 200, { access_token: 'loc-at', expires_in: 86400 });
+  });
+  await companyStore.set('c1', tokenRecord());
+  await uninstalledLocations.set('loc1', { uninstalledAt: new Date().toISOString() });
+
+  await assert.rejects(tokens.exchangeLocationToken('c1', 'loc1'), (err) => err.uninstalled === true);
+  assert.equal(await tokenStore.get('loc1'), null);
+});
+
+test('a stalled alert channel does not hold up a failing refresh', async (t) => {
+  const notified = [];
+  const { tokens, tokenStore } = await setup(t, (req, res) => {
+    json(res, 400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+  }, {
+    notifier: {
+      notify(event, fields) {
+        notified.push({ event, ...fields });
+        return new Promise(() => {});
+      },
+      async resolve() {}
+    }
+  });
+  await tokenStore.set('loc1', tokenRecord());
+
+  await assert.rejects(tokens.refreshToken('rt-1', 'loc1'), (err) => err.needsReauth === true);
+  assert.equal(notified[0].event, 'token.needs_reauth');
+  assert.equal(notified[0].companyId, 'c1');
+  assert.equal((await tokenStore.get('loc1')).status, 'needs_reauth');
+});
+
+test('a refresh queues the n8n sync without waiting for it', async (t) => {
+  const queued = [];
+  const { tokens, tokenStore } = await setup(t, (req, res) => {
+    json(res, 200, { access_token: 'at-2', refresh_token: 'rt-2', expires_in: 86400 });
+  }, {
+    credentialSync: {
+      queueSync(locationId) {
+        queued.push(locationId);
+        return new Promise(() => {});
+      }
+    }
+  });
+  await tokenStore.set('loc1', tokenRecord());
+
+  assert.equal((await tokens.refreshToken('rt-1', 'loc1')).accessToken, 'at-2');
+  assert.deepEqual(queued, ['loc1']);
+});
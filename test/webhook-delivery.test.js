@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { createDeliveryQueue, parseSubscriptions } = require('../lib/webhook-delivery');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Answers with the next status in the list (the last one repeats)
+async function receiver(t, statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+async function drain(queue) {
+  for (let i = 0; i < 50 && (await queue.listPending()).length; i++) {
+    await queue.processDue();
+    await sleep(5);
+  }
+}
+
+function createQueue(url, options = {}) {
+  const subscriptions = parseSubscriptions(JSON.stringify([
+    { id: 'chatbot', url, events: ['InboundMessage'], locations: ['loc1'], secret: 'hook-secret' }
+  ]));
+  return createDeliveryQueue({
+    store: createMemoryStore(),
+    subscriptions,
+    options: { backoffBaseMs: 1, backoffMaxMs: 1, maxAttempts: 3, ...options }
+  });
+}
+
+test('parseSubscriptions() fills in ids and defaults', () => {
+  assert.deepEqual(parseSubscriptions(JSON.stringify([{ url: 'https://n8n/x' }])), [
+    { id: 'sub-1', url: 'https://n8n/x', events: ['*'], locations: null, secret: null }
+  ]);
+  assert.deepEqual(parseSubscriptions(''), []);
+  assert.throws(() => parseSubscriptions('{}'), /JSON array/);
+  assert.throws(() => parseSubscriptions('[{}]'), /#1 is missing a url/);
+});
+
+test('matching events are delivered once with a signature', async (t) => {
+  const { url, requests } = await receiver(t, [200]);
+  const queue = createQueue(url);
+
+  assert.equal((await queue.enqueue('ContactCreate', { locationId: 'loc1' })).length, 0);
+  assert.equal((await queue.enqueue('InboundMessage', { locationId: 'loc2' })).length, 0);
+  const [id] = await queue.enqueue('InboundMessage', { locationId: 'loc1', body: 'hi' });
+  await Promise.all([queue.processDue(), queue.processDue()]);
+  await drain(queue);
+
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  assert.equal(headers['x-delivery-id'], id);
+  assert.equal(headers['x-ghl-event'], 'InboundMessage');
+  assert.equal(headers['x-webhook-signature'], crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex'));
+  assert.deepEqual(await queue.listPending(), []);
+});
+
+test('failed deliveries are retried and then dead-lettered', async (t) => {
+  const { url, requests } = await receiver(t, [500]);
+  const queue = createQueue(url);
+
+  const [id] = await queue.enqueue('InboundMessage', { locationId: 'loc1' });
+  await drain(queue);
+
+  assert.deepEqual(requests.map((r) => r.headers['x-delivery-attempt']), ['1', '2', '3']);
+  const [dead] = await queue.listDead();
+  assert.equal(dead.id, id);
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastError, 'HTTP 500');
+});
+
+test('a replayed dead letter gets a fresh attempt budget', async (t) => {
+  const { url, requests } = await receiver(t, [500, 500, 500, 200]);
+  const queue = createQueue(url);
+
+  const [id] = await queue.enqueue('InboundMessage', { locationId: 'loc1' });
+  await drain(queue);
+  assert.equal((await queue.listDead()).length, 1);
+
+  const requeued = await queue.replay(id);
+  assert.equal(requeued.attempts, 0);
+  assert.equal(requeued.deadAt, undefined);
+  await drain(queue);
+
+  assert.equal(requests.length, 4);
+  assert.deepEqual(await queue.listDead(), []);
+  assert.deepEqual(await queue.listPending(), []);
+  assert.equal(await queue.replay('missing'), null);
+});
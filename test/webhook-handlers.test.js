@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhookHandlers, normalizeEventType } = require('../lib/webhook-handlers');
+const { createMemoryStore } = require('../lib/store/memory');
+
+function setup() {
+  const store = createMemoryStore();
+  const disconnects = [];
+  const deps = {
+    tokenStore: store.collection('tokens'),
+    companyStore: store.collection('companies'),
+    uninstalledLocations: store.collection('uninstalledLocations'),
+    disconnectLocation: async (locationId, options) => {
+      disconnects.push({ locationId, options });
+      return { removed: true };
+    }
+  };
+  return { ...deps, disconnects, handlers: createWebhookHandlers(deps) };
+}
+
+test('normalizeEventType() fixes the casing of known types', () => {
+  assert.equal(normalizeEventType('install'), 'INSTALL');
+  assert.equal(normalizeEventType('inboundmessage'), 'InboundMessage');
+  assert.equal(normalizeEventType('SomethingNew'), 'SomethingNew');
+  assert.equal(normalizeEventType(undefined), null);
+});
+
+test('types that name Object.prototype members are not handled', async () => {
+  const { handlers } = setup();
+
+  for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'SomethingNew']) {
+    assert.deepEqual(await handlers.handle({ type }), { type, handled: false });
+  }
+});
+
+test('a location UNINSTALL disconnects without revoking or notifying', async () => {
+  const { handlers, disconnects } = setup();
+
+  const result = await handlers.handle({ type: 'UNINSTALL', locationId: 'loc1' }, { ip: '1.2.3.4' });
+
+  assert.deepEqual(result, { type: 'UNINSTALL', handled: true, removed: true });
+  assert.deepEqual(disconnects, [{
+    locationId: 'loc1',
+    options: { ip: '1.2.3.4', source: 'webhook', revoke: false, notify: false }
+  }]);
+});
+
+test('an agency UNINSTALL removes the company tokens', async () => {
+  const { handlers, companyStore, disconnects } = setup();
+  await companyStore.set('c1', { accessToken: 'at' });
+
+  assert.equal((await handlers.handle({ type: 'UNINSTALL', companyId: 'c1' })).removed, true);
+  assert.equal(await companyStore.get('c1'), null);
+  assert.deepEqual(disconnects, []);
+});
+
+test('INSTALL lifts the tombstone and stamps tokens already on file', async () => {
+  const { handlers, tokenStore, uninstalledLocations } = setup();
+  await uninstalledLocations.set('loc1', { uninstalledAt: 'earlier' });
+  await tokenStore.set('loc1', { accessToken: 'at' });
+
+  const result = await handlers.handle({ type: 'install', locationId: 'loc1', companyId: 'c1' });
+
+  assert.equal(result.tokensOnFile, true);
+  assert.equal(await uninstalledLocations.get('loc1'), null);
+  const record = await tokenStore.get('loc1');
+  assert.equal(record.companyId, 'c1');
+  assert.ok(record.marketplaceInstalledAt);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createWebhookVerifier, SIGNATURE_HEADER } = require('../lib/webhook-verifier');
+const { createMemoryStore } = require('../lib/store/memory');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+function signedRequest(body, { key = privateKey, signature } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const headers = {
+    [SIGNATURE_HEADER]: signature ?? crypto.sign('sha256', rawBody, key).toString('base64')
+  };
+  return { rawBody, body, get: (name) => headers[name.toLowerCase()] };
+}
+
+// Runs the middleware and resolves with the rejection or 'next'
+function run(verify, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      }
+    };
+    verify(req, res, (err) => (err ? reject(err) : resolve('next')));
+  });
+}
+
+function createVerifier(options, store = createMemoryStore()) {
+  return createWebhookVerifier({
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    store,
+    collection: store.collection('webhookReplay'),
+    options
+  });
+}
+
+function payload(overrides = {}) {
+  return { type: 'INSTALL', webhookId: crypto.randomUUID(), timestamp: new Date().toISOString(), ...overrides };
+}
+
+test('accepts a correctly signed, fresh webhook', async () => {
+  assert.equal(await run(createVerifier(), signedRequest(payload())), 'next');
+});
+
+test('rejects a signature from another key', async () => {
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const result = await run(createVerifier(), signedRequest(payload(), { key: otherKey }));
+
+  assert.equal(result.status, 401);
+  assert.match(result.body.message, /Invalid webhook signature/);
+});
+
+test('rejects a body changed after signing', async () => {
+  const req = signedRequest(payload());
+  req.rawBody = Buffer.from(req.rawBody.toString().replace('INSTALL', 'UNINSTALL'));
+
+  assert.equal((await run(createVerifier(), req)).status, 401);
+});
+
+test('rejects a replayed webhookId', async () => {
+  const verify = createVerifier();
+  const body = payload();
+
+  assert.equal(await run(verify, signedRequest(body)), 'next');
+  const replay = await run(verify, signedRequest(body));
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /already been processed/);
+});
+
+test('replicas racing on the same webhookId accept it once', async () => {
+  const store = createMemoryStore();
+  const replicas = [createVerifier({}, store), createVerifier({}, store)];
+  const body = payload();
+
+  const results = await Promise.all(replicas.map((verify) => run(verify, signedRequest(body))));
+
+  assert.equal(results.filter((result) => result === 'next').length, 1);
+  assert.equal(results.find((result) => result !== 'next').status, 401);
+});
+
+test('rejects a timestamp outside the window', async () => {
+  const stale = payload({ timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+  const result = await run(createVerifier(), signedRequest(stale));
+
+  assert.equal(result.status, 401);
+  assert.match(result.body.message, /outside the allowed window/);
+});
+
+test('unsigned webhooks are only accepted in dev mode', async () => {
+  const unsigned = { body: payload(), get: () => undefined };
+
+  assert.equal((await run(createVerifier(), unsigned)).status, 401);
+  assert.equal(await run(createVerifier({ devMode: true }), unsigned), 'next');
+});